@@ -9,6 +9,7 @@
 // @grant        GM_unregisterMenuCommand
 // @grant        GM_getValue
 // @grant        GM_setValue
+// @grant        GM_deleteValue
 // @run-at       document-start
 // @compatible   chrome Tampermonkey, Violentmonkey
 // @compatible   firefox Tampermonkey, Greasemonkey, Violentmonkey
@@ -25,7 +26,7 @@
  * 
  * A comprehensive userscript for INSTANT page loads through:
  * - EXTREME SPEED MODE: Early hints, speculative prefetch, priority optimization
- * - Critical CSS inlining for instant rendering
+ * - Above-the-fold critical CSS extraction, inlined on repeat visits
  * - Service Worker aggressive caching
  * - Third-party request optimization (deferred, not blocked)
  * - Resource hints (preconnect, dns-prefetch, preload)
@@ -69,14 +70,18 @@
             aggressiveDefer: true,
             reduceReflows: true,
             telemetry: true,  // NEW: Lightweight performance telemetry
+            telemetryHistory: true,  // Keep per-domain page-load summaries for trend reports
             
             // Advanced settings
             imageFormats: ['jpg', 'jpeg', 'png'],
-            preferFormat: 'webp',
+            preferFormat: 'webp',  // 'webp' or 'avif', used when the browser and origin support it
             backgroundFps: 12,
             activeFps: 60,
             cacheSizeLimitMB: 120,
             cacheMaxAge: 3600000,  // NEW: 1 hour cache TTL
+            serviceWorkerUrl: '',  // Same-origin URL serving the generated worker; empty uses the page fallback
+            historyDays: 30,  // Days of telemetry history to keep
+            persistentCache: true,  // Keep cached blobs in IndexedDB across page loads
             parallelPrefetchCount: 6,
             maxConcurrentFetches: 6,
             
@@ -84,26 +89,44 @@
             extremeMode: true,           // Enable all aggressive optimizations
             earlyHints: true,            // HTTP 103 Early Hints simulation
             speculativePrefetch: true,   // Prefetch likely next pages
+            speculationRules: true,      // Emit <script type="speculationrules"> where supported (else link prefetch)
+            speculationEagerness: 'moderate', // Hover prefetch: 'conservative' (pointer-down), 'moderate' (hover) or 'eager'
+            prerenderCount: 0,           // Visible links to prerender instead of prefetch (speculation rules only)
+            speculationExclusions: [],   // Extra URL substrings never prefetched or prerendered
+            networkBudget: true,         // Throttle speculative work by connection, Save-Data and battery
+            speculationBudgetMB: 10,     // Bytes per page for prefetch/preload on a fast connection (20% on 3G/cellular)
+            navigationPredictor: true,   // Rank prefetch candidates by click history, prominence and pointer movement
+            predictionBudget: 5,         // Predicted URLs prefetched per page (all prefetchers together)
             priorityHints: true,         // fetchpriority attributes
             blockThirdParty: true,       // Defer non-critical 3rd party resources
-            inlineCriticalCSS: true,     // Inline critical CSS
-            preloadScanner: true,        // Simulate browser preload scanner
+            inlineCriticalCSS: true,     // Extract above-the-fold CSS per URL template, inline it on later visits
+            preloadScanner: true,        // Warm critical resources of predicted next pages
             resourcePriority: true,      // Optimize resource loading priority
-            serviceWorkerCache: true,    // Aggressive SW caching
+            serviceWorkerCache: true,    // Per-route request caching (Service Worker or page fallback)
             http2Push: true,             // Simulate HTTP/2 server push
-            instantNavigation: true,     // Instant back/forward navigation
+            instantNavigation: true,     // Back/forward cache diagnostics (stands down on SPAs)
             jitScriptCompile: true,      // JIT compile scripts on hover
             hoverDNSPrefetch: true,      // DNS prefetch on link hover
             blockAdsTrackers: true,      // Block ad and tracker domains
+            cosmeticFiltering: true,     // Hide ad slots matched by element hiding rules
+            customFilters: [],           // Extra filter rules in Adblock Plus syntax
+            allowedDomains: [],          // Request domains never blocked (set per site from the request log)
+            blockingMode: 'neuter',      // 'neuter' (stub responses, script surrogates) or 'error' (reject/throw)
             aggressiveImagePreload: true, // NEW v6.3: Preload all above-fold images immediately
             
             // Safety settings - NEW
             safeMode: false,  // If true, disables aggressive optimizations
             maxObservers: 3,  // Limit number of concurrent observers
             
-            // Domain settings - NEW
-            whitelist: [],  // Domains to always enable on
-            blacklist: [],  // Domains to always disable on
+            // Domain settings - NEW (rules support *.example.com, .example.com, example.*, host/path/*)
+            whitelist: [],  // Sites to always enable on
+            blacklist: [],  // Sites to always disable on
+            whitelistMode: false,  // Only run on sites matching the whitelist
+
+            // Experiment mode - measure each module's impact per site
+            experimentMode: false,       // Randomly hold back experimentModules on some page loads
+            experimentModules: [],       // Feature keys to experiment on (e.g. 'imageRewriter')
+            experimentHoldoutRate: 0.5,  // Chance per page load that each module is turned off
         },
 
         /**
@@ -112,25 +135,90 @@
          */
         config: {},
 
+        /**
+         * Global configuration (defaults merged with saved settings, no domain overrides)
+         * @type {Object}
+         */
+        globalConfig: {},
+
+        /**
+         * True when the current page is excluded by the site rules
+         * @type {boolean}
+         */
+        siteDisabled: false,
+
         /**
          * Per-domain configuration overrides
          * @type {Map<string, Object>}
          */
         domainConfig: new Map(),
 
+        /**
+         * Current stored settings schema version
+         * @type {number}
+         */
+        schemaVersion: 1,
+
+        /**
+         * Ordered migrations; each upgrades stored state to its `version`.
+         * State is `{ config, domains }` as persisted (global values and per-domain overrides).
+         * @type {Array<{version: number, description: string, migrate: Function}>}
+         */
+        migrations: [
+            {
+                version: 1,
+                description: 'Store only values that differ from defaults',
+                migrate(state, defaults) {
+                    // Unversioned builds saved the whole effective config, which froze
+                    // every default at install time; drop values equal to the default
+                    for (const key of Object.keys(state.config)) {
+                        if (JSON.stringify(state.config[key]) === JSON.stringify(defaults[key])) {
+                            delete state.config[key];
+                        }
+                    }
+                    return state;
+                }
+            }
+        ],
+
+        /**
+         * Value constraints beyond the type implied by defaults
+         * @type {Object<string, {min?: number, max?: number, integer?: boolean, choices?: string[], multiline?: boolean}>}
+         */
+        constraints: {
+            preferFormat: { choices: ['webp', 'avif'] },
+            blockingMode: { choices: ['neuter', 'error'] },
+            speculationEagerness: { choices: ['conservative', 'moderate', 'eager'] },
+            prerenderCount: { min: 0, max: 10, integer: true },
+            predictionBudget: { min: 0, max: 50, integer: true },
+            speculationBudgetMB: { min: 0, max: 1000 },
+            backgroundFps: { min: 1, max: 240, integer: true },
+            activeFps: { min: 1, max: 240, integer: true },
+            cacheSizeLimitMB: { min: 1, max: 4096 },
+            cacheMaxAge: { min: 0 },
+            parallelPrefetchCount: { min: 0, max: 50, integer: true },
+            maxConcurrentFetches: { min: 1, max: 32, integer: true },
+            maxObservers: { min: 1, max: 20, integer: true },
+            experimentHoldoutRate: { min: 0, max: 1 },
+            historyDays: { min: 1, max: 365, integer: true },
+            customFilters: { multiline: true },
+            speculationExclusions: { multiline: true }
+        },
+
         /**
          * Initialize configuration system
-         * Loads saved settings from GM storage
+         * Loads saved settings from GM storage, migrating and validating them
          */
         async init() {
             try {
+                const state = await this.loadState();
+
                 // Load global config
-                const savedConfig = await this.loadFromStorage('webperf_config');
-                this.config = { ...this.defaults, ...savedConfig };
+                this.globalConfig = { ...this.defaults, ...state.config };
+                this.config = { ...this.globalConfig };
 
                 // Load domain-specific configs
-                const domainConfigs = await this.loadFromStorage('webperf_domain_configs') || {};
-                this.domainConfig = new Map(Object.entries(domainConfigs));
+                this.domainConfig = new Map(Object.entries(state.domains));
 
                 // Apply domain-specific overrides
                 const domain = this.getCurrentDomain();
@@ -139,8 +227,10 @@
                 }
 
                 // Check whitelist/blacklist
-                if (this.config.blacklist.includes(domain)) {
-                    Logger.warn(`Domain ${domain} is blacklisted, disabling all features`);
+                const status = this.explain();
+                if (!status.enabled) {
+                    Logger.warn(`Disabled on ${domain}: ${status.message}`);
+                    this.siteDisabled = true;
                     this.disableAllFeatures();
                 }
 
@@ -148,11 +238,233 @@
                 this.updateHotCache();
             } catch (e) {
                 Logger.error('Failed to load config', e);
+                this.globalConfig = { ...this.defaults };
                 this.config = { ...this.defaults };
                 this.updateHotCache();
             }
         },
 
+        /**
+         * Load stored state, run pending migrations and validate it
+         * @returns {Promise<{config: Object, domains: Object}>} Clean state
+         */
+        async loadState() {
+            const storedVersion = await this.loadFromStorage('webperf_schema_version') || 0;
+            let state = {
+                config: await this.loadFromStorage('webperf_config') || {},
+                domains: await this.loadFromStorage('webperf_domain_configs') || {}
+            };
+
+            if (storedVersion > this.schemaVersion) {
+                // Written by a newer build; use it as-is rather than downgrade it
+                Logger.warn(`Stored settings are schema v${storedVersion}, expected v${this.schemaVersion}`);
+                return this.validateState(state);
+            }
+
+            state = this.validateState(this.migrate(state, storedVersion));
+
+            if (storedVersion < this.schemaVersion) {
+                await this.saveState(state);
+                Logger.info(`Settings migrated from schema v${storedVersion} to v${this.schemaVersion}`);
+            }
+            return state;
+        },
+
+        /**
+         * Apply migrations newer than the given version
+         * @param {{config: Object, domains: Object}} state - Stored state
+         * @param {number} fromVersion - Version the state was written with
+         * @returns {{config: Object, domains: Object}} Migrated state
+         */
+        migrate(state, fromVersion) {
+            return this.migrations
+                .filter(migration => migration.version > fromVersion)
+                .reduce((current, migration) => {
+                    Logger.debug(`Migration v${migration.version}: ${migration.description}`);
+                    return migration.migrate(current, this.defaults);
+                }, state);
+        },
+
+        /**
+         * Validate global values and every domain's overrides
+         * @param {{config: Object, domains: Object}} state - State to validate
+         * @returns {{config: Object, domains: Object}} State with invalid values dropped
+         */
+        validateState(state) {
+            const domains = {};
+            for (const [domain, overrides] of Object.entries(state.domains || {})) {
+                const clean = this.validate(overrides, domain);
+                if (Object.keys(clean).length > 0) {
+                    domains[domain] = clean;
+                }
+            }
+            return { config: this.validate(state.config || {}, 'global'), domains };
+        },
+
+        /**
+         * Validate values against the types of the defaults and the constraints
+         * Unknown keys and invalid values are dropped so the default applies
+         * @param {Object} values - Values to validate
+         * @param {string} source - Label used in log messages
+         * @returns {Object} Valid values only
+         */
+        validate(values, source) {
+            const clean = {};
+            if (!values || typeof values !== 'object' || Array.isArray(values)) return clean;
+
+            for (const [key, value] of Object.entries(values)) {
+                if (!(key in this.defaults)) {
+                    Logger.debug(`Dropping unknown setting "${key}" (${source})`);
+                    continue;
+                }
+                if (this.isValidValue(key, value)) {
+                    clean[key] = value;
+                } else {
+                    Logger.warn(`Invalid value for "${key}" (${source}), using default`, value);
+                }
+            }
+            return clean;
+        },
+
+        /**
+         * Check a single value
+         * @param {string} key - Config key
+         * @param {any} value - Candidate value
+         * @returns {boolean} True if valid
+         */
+        isValidValue(key, value) {
+            const defaultValue = this.defaults[key];
+            const rule = this.constraints[key] || {};
+
+            if (Array.isArray(defaultValue)) {
+                return Array.isArray(value) && value.every(item => typeof item === 'string');
+            }
+            if (typeof value !== typeof defaultValue) return false;
+
+            if (typeof value === 'number') {
+                if (!Number.isFinite(value)) return false;
+                if (rule.integer && !Number.isInteger(value)) return false;
+                if (rule.min !== undefined && value < rule.min) return false;
+                if (rule.max !== undefined && value > rule.max) return false;
+            }
+            if (rule.choices && !rule.choices.includes(value)) return false;
+
+            return true;
+        },
+
+        /**
+         * Get global values that differ from defaults (what we persist)
+         * @returns {Object} Non-default global values
+         */
+        getStoredGlobal() {
+            const stored = {};
+            for (const [key, value] of Object.entries(this.globalConfig)) {
+                if (JSON.stringify(value) !== JSON.stringify(this.defaults[key])) {
+                    stored[key] = value;
+                }
+            }
+            return stored;
+        },
+
+        /**
+         * Persist full state with the current schema version
+         * @param {{config: Object, domains: Object}} state - State to save
+         */
+        async saveState(state) {
+            await this.saveToStorage('webperf_config', state.config);
+            await this.saveToStorage('webperf_domain_configs', state.domains);
+            await this.saveToStorage('webperf_schema_version', this.schemaVersion);
+        },
+
+        /**
+         * Build a portable export of global settings and domain overrides
+         * @returns {Object} Export document
+         */
+        exportSettings() {
+            return {
+                format: 'webperf-settings',
+                version: this.schemaVersion,
+                exportedAt: new Date().toISOString(),
+                config: this.getStoredGlobal(),
+                domains: Object.fromEntries(this.domainConfig)
+            };
+        },
+
+        /**
+         * Import an export document, replacing current settings
+         * @param {Object} data - Parsed export document
+         * @returns {Promise<{config: Object, domains: Object}>} Imported (clean) state
+         */
+        async importSettings(data) {
+            if (!data || data.format !== 'webperf-settings') {
+                throw new Error('Not a WebPerf settings file');
+            }
+
+            const version = Number(data.version) || 0;
+            if (version > this.schemaVersion) {
+                throw new Error(`Settings file is schema v${version}, this version supports up to v${this.schemaVersion}`);
+            }
+
+            const state = this.validateState(this.migrate({
+                config: { ...data.config },
+                domains: { ...data.domains }
+            }, version));
+
+            await this.saveState(state);
+            return state;
+        },
+
+        /**
+         * Explain whether WebPerf runs on a page and which rule decided it
+         * Whitelist matches win over blacklist matches; in whitelist mode
+         * pages matching no whitelist rule are disabled
+         * @param {string} [href] - Page URL (defaults to current page)
+         * @returns {{enabled: boolean, reason: string, list: ?string, rule: ?string, message: string}} Decision
+         */
+        explain(href = location.href) {
+            const url = URLCache.parse(href);
+            if (!url) {
+                return { enabled: true, reason: 'default', list: null, rule: null, message: 'invalid URL, no rules applied' };
+            }
+
+            // Read the stored layers, this.config has booleans forced off on disabled sites
+            const rules = { ...this.globalConfig, ...this.getDomainOverrides(url.hostname) };
+
+            const whitelistRule = SiteMatcher.findMatch(rules.whitelist, url);
+            if (whitelistRule) {
+                return {
+                    enabled: true,
+                    reason: 'whitelist',
+                    list: 'whitelist',
+                    rule: whitelistRule,
+                    message: `whitelisted by "${whitelistRule}"`
+                };
+            }
+
+            const blacklistRule = SiteMatcher.findMatch(rules.blacklist, url);
+            if (blacklistRule) {
+                return {
+                    enabled: false,
+                    reason: 'blacklist',
+                    list: 'blacklist',
+                    rule: blacklistRule,
+                    message: `blacklisted by "${blacklistRule}"`
+                };
+            }
+
+            if (rules.whitelistMode) {
+                return {
+                    enabled: false,
+                    reason: 'whitelist-only',
+                    list: 'whitelist',
+                    rule: null,
+                    message: 'whitelist-only mode and no whitelist rule matches'
+                };
+            }
+
+            return { enabled: true, reason: 'default', list: null, rule: null, message: 'no rule matches' };
+        },
+
         /**
          * Get current domain
          * @returns {string} Current domain name
@@ -194,14 +506,30 @@
         },
 
         /**
-         * Update configuration
+         * Delete a key from GM storage
+         * @param {string} key - Storage key
+         */
+        async removeFromStorage(key) {
+            try {
+                if (typeof GM_deleteValue === 'function') {
+                    GM_deleteValue(key);
+                }
+            } catch (e) {
+                Logger.warn('Failed to delete from storage', e);
+            }
+        },
+
+        /**
+         * Update global configuration
+         * Only the global layer is persisted, so domain overrides never leak into it
          * @param {Object} updates - Configuration updates
          * @param {boolean} persist - Whether to persist to storage
          */
         async updateConfig(updates, persist = true) {
-            this.config = { ...this.config, ...updates };
+            this.globalConfig = { ...this.globalConfig, ...updates };
+            Object.keys(updates).forEach(key => this.refreshKey(key));
             if (persist) {
-                await this.saveToStorage('webperf_config', this.config);
+                await this.saveToStorage('webperf_config', this.getStoredGlobal());
             }
         },
 
@@ -211,11 +539,73 @@
          * @param {Object} config - Domain-specific config
          */
         async setDomainConfig(domain, config) {
-            this.domainConfig.set(domain, config);
+            const previous = this.domainConfig.get(domain) || {};
+            if (Object.keys(config).length > 0) {
+                this.domainConfig.set(domain, config);
+            } else {
+                this.domainConfig.delete(domain);
+            }
+
+            if (domain === this.getCurrentDomain()) {
+                new Set([...Object.keys(previous), ...Object.keys(config)])
+                    .forEach(key => this.refreshKey(key));
+            }
+
             const domainConfigs = Object.fromEntries(this.domainConfig);
             await this.saveToStorage('webperf_domain_configs', domainConfigs);
         },
 
+        /**
+         * Get overrides for a domain
+         * @param {string} domain - Domain name (defaults to current)
+         * @returns {Object} Domain overrides (empty if none)
+         */
+        getDomainOverrides(domain = this.getCurrentDomain()) {
+            return this.domainConfig.get(domain) || {};
+        },
+
+        /**
+         * Set a single value in the given scope
+         * @param {string} key - Config key
+         * @param {any} value - New value
+         * @param {'global'|'domain'} scope - Where to write it
+         */
+        async setValue(key, value, scope = 'global') {
+            if (scope === 'domain') {
+                const domain = this.getCurrentDomain();
+                await this.setDomainConfig(domain, { ...this.getDomainOverrides(domain), [key]: value });
+            } else {
+                await this.updateConfig({ [key]: value });
+            }
+        },
+
+        /**
+         * Remove a current-domain override so the global value applies again
+         * @param {string} key - Config key
+         */
+        async clearDomainValue(key) {
+            const domain = this.getCurrentDomain();
+            const { [key]: removed, ...rest } = this.getDomainOverrides(domain);
+            await this.setDomainConfig(domain, rest);
+        },
+
+        /**
+         * Recompute the effective value of one key from the global and domain layers
+         * @param {string} key - Config key
+         */
+        refreshKey(key) {
+            const overrides = this.getDomainOverrides();
+            let value = key in overrides ? overrides[key] : this.globalConfig[key];
+
+            // Blacklisted sites keep every feature off
+            if (this.siteDisabled && typeof value === 'boolean') {
+                value = false;
+            }
+
+            this.config[key] = value;
+            this.updateHotCache();
+        },
+
         /**
          * Disable all features (for blacklisted domains)
          */
@@ -325,6 +715,643 @@
         }
     };
 
+    /**
+     * Public Suffix List lookups
+     * Registrable domain (eTLD+1) and label-boundary domain matching
+     * @namespace PublicSuffix
+     */
+    const PublicSuffix = {
+        /**
+         * Bundled Public Suffix List snapshot (https://publicsuffix.org/list/), keyed by TLD
+         * with the labels below it space-separated. Holds the ICANN suffixes up to two labels
+         * plus every wildcard (`*`) and exception (`!`) rule, and common hosting platforms
+         * from the private section. TLDs themselves are covered by the PSL default rule.
+         * @type {Object<string, string>}
+         */
+        rules: {
+            ac: 'com edu gov net mil org',
+            ad: 'nom',
+            ae: 'co net org sch ac gov mil',
+            aero: 'accident-investigation accident-prevention aerobatic aeroclub aerodrome agents aircraft airline' +
+                ' airport air-surveillance airtraffic air-traffic-control ambulance amusement association author' +
+                ' ballooning broker caa cargo catering certification championship charter civilaviation club' +
+                ' conference consultant consulting control council crew design dgca educator emergency engine' +
+                ' engineer entertainment equipment exchange express federation flight fuel gliding government' +
+                ' groundhandling group hanggliding homebuilt insurance journal journalist leasing logistics' +
+                ' magazine maintenance media microlight modelling navigation parachuting paragliding' +
+                ' passenger-association pilot press production recreation repbody res research rotorcraft safety' +
+                ' scientist services show skydiving software student trader trading trainer union workinggroup' +
+                ' works',
+            af: 'gov com org net edu',
+            ag: 'com org net co nom',
+            ai: 'off com net org',
+            al: 'com edu gov mil net org',
+            am: 'co com commune net org',
+            ao: 'ed gv og co pb it',
+            ar: 'bet com coop edu gob gov int mil musica mutual net org senasa tur',
+            arpa: 'e164 in-addr ip6 iris uri urn',
+            as: 'gov',
+            at: 'ac co gv or',
+            au: 'com net org edu gov asn id info conf oz act nsw nt qld sa tas vic wa',
+            aw: 'com',
+            az: 'com net int gov org edu info pp mil name pro biz',
+            ba: 'com edu gov mil net org',
+            bb: 'biz co com edu gov info net org store tv',
+            bd: '*',
+            be: 'ac',
+            bf: 'gov',
+            bg: 'a b c d e f g h i j k l m n o p q r s t u v w x y z 0 1 2 3 4 5 6 7 8 9',
+            bh: 'com edu net org gov',
+            bi: 'co com edu or org',
+            bj: 'africa agro architectes assur avocats co com eco econo edu info loisirs money net org ote resto' +
+                ' restaurant tourism univ',
+            bm: 'com edu gov net org',
+            bn: 'com edu gov net org',
+            bo: 'com edu gob int org net mil tv web academia agro arte blog bolivia ciencia cooperativa' +
+                ' democracia deporte ecologia economia empresa indigena industria info medicina movimiento musica' +
+                ' natural nombre noticias patria politica profesional plurinacional pueblo revista salud' +
+                ' tecnologia tksat transporte wiki',
+            br: '9guacu abc adm adv agr aju am anani aparecida app arq art ato b barueri belem bhz bib bio blog' +
+                ' bmd boavista bsb campinagrande campinas caxias cim cng cnt com contagem coop coz cri cuiaba' +
+                ' curitiba def des det dev ecn eco edu emp enf eng esp etc eti far feira flog floripa fm fnd' +
+                ' fortal fot foz fst g12 geo ggf goiania gov gru imb ind inf jab jampa jdf joinville jor jus leg' +
+                ' lel log londrina macapa maceio manaus maringa mat med mil morena mp mus natal net niteroi *.nom' +
+                ' not ntr odo ong org osasco palmas poa ppg pro psc psi pvh qsl radio rec recife rep ribeirao rio' +
+                ' riobranco riopreto salvador sampa santamaria santoandre saobernardo saogonca seg sjc slg slz' +
+                ' sorocaba srv taxi tc tec teo the tmp trd tur tv udi vet vix vlog wiki zlg',
+            bs: 'com net org edu gov',
+            bt: 'com edu gov net org',
+            bw: 'co org',
+            by: 'gov mil com of',
+            bz: 'com net org edu gov',
+            ca: 'ab bc mb nb nf nl ns nt nu on pe qc sk yk gc',
+            cd: 'gov',
+            ci: 'org or com co edu ed ac net go asso int presse md gouv',
+            ck: '* !www',
+            cl: 'co gob gov mil',
+            cm: 'co com gov net',
+            cn: 'ac com edu gov net org mil ah bj cq fj gd gs gz gx ha hb he hi hl hn jl js jx ln nm nx qh sc sd' +
+                ' sh sn sx tj xj xz yn zj hk mo tw',
+            co: 'arts com edu firm gov info int mil net nom org rec web repl',
+            cr: 'ac co ed fi go or sa',
+            cu: 'com edu org net gov inf',
+            cv: 'com edu int nome org',
+            cw: 'com edu net org',
+            cx: 'gov',
+            cy: 'ac biz com ekloges gov ltd mil net org press pro tm',
+            dm: 'com net org edu gov',
+            do: 'art com edu gob gov mil net org sld web',
+            dz: 'art asso com edu gov org net pol soc tm',
+            ec: 'com info net fin k12 med pro org edu gov gob mil',
+            ee: 'edu gov riik lib med com pri aip org fie',
+            eg: 'com edu eun gov mil name net org sci',
+            er: '*',
+            es: 'com nom org gob edu',
+            et: 'com gov org edu biz name info net',
+            fi: 'aland',
+            fj: 'ac biz com gov info mil name net org pro',
+            fk: '*',
+            fm: 'com edu net org',
+            fr: 'asso com gouv nom prd tm aeroport avocat avoues cci chambagri chirurgiens-dentistes' +
+                ' experts-comptables geometre-expert greta huissier-justice medecin notaires pharmacien port' +
+                ' veterinaire',
+            gd: 'edu gov',
+            ge: 'com edu gov org mil net pvt',
+            gg: 'co net org',
+            gh: 'com edu gov org mil',
+            gi: 'com ltd gov mod edu org',
+            gl: 'co com edu net org',
+            gn: 'ac com edu gov org net',
+            gp: 'com net mobi edu org asso',
+            gr: 'com edu net org gov',
+            gt: 'com edu gob ind mil net org',
+            gu: 'com edu gov guam info net org web',
+            gy: 'co com edu gov net org',
+            hk: 'com edu gov idv net org',
+            hn: 'com edu org net mil gob',
+            hr: 'iz from name com',
+            ht: 'com shop firm info adult net pro org med art coop pol asso edu rel gouv perso',
+            hu: 'co info org priv sport tm 2000 agrar bolt casino city erotica erotika film forum games hotel' +
+                ' ingatlan jogasz konyvelo lakas media news reklam sex shop suli szex tozsde utazas video',
+            id: 'ac biz co desa go mil my net or ponpes sch web',
+            ie: 'gov',
+            il: 'ac co gov idf k12 muni net org',
+            im: 'ac co com net org tt tv',
+            in: '5g 6g ac ai am bihar biz business ca cn co com coop cs delhi dr edu er firm gen gov gujarat ind' +
+                ' info int internet io me mil net nic org pg post pro res travel tv uk up us',
+            int: 'eu',
+            io: 'com github gitlab bitbucket readthedocs ngrok',
+            iq: 'gov edu mil com org net',
+            ir: 'ac co gov id net org sch',
+            is: 'net com edu gov org int',
+            it: 'gov edu abr abruzzo aosta-valley aostavalley bas basilicata cal calabria cam campania' +
+                ' emilia-romagna emiliaromagna emr friuli-v-giulia friuli-ve-giulia friuli-vegiulia' +
+                ' friuli-venezia-giulia friuli-veneziagiulia friuli-vgiulia friuliv-giulia friulive-giulia' +
+                ' friulivegiulia friulivenezia-giulia friuliveneziagiulia friulivgiulia fvg laz lazio lig liguria' +
+                ' lom lombardia lombardy lucania mar marche mol molise piedmont piemonte pmn pug puglia sar' +
+                ' sardegna sardinia sic sicilia sicily taa tos toscana trentin-sud-tirol trentin-sudtirol' +
+                ' trentin-sued-tirol trentin-suedtirol trentino-a-adige trentino-aadige trentino-alto-adige' +
+                ' trentino-altoadige trentino-s-tirol trentino-stirol trentino-sud-tirol trentino-sudtirol' +
+                ' trentino-sued-tirol trentino-suedtirol trentino trentinoa-adige trentinoaadige' +
+                ' trentinoalto-adige trentinoaltoadige trentinos-tirol trentinostirol trentinosud-tirol' +
+                ' trentinosudtirol trentinosued-tirol trentinosuedtirol trentinsud-tirol trentinsudtirol' +
+                ' trentinsued-tirol trentinsuedtirol tuscany umb umbria val-d-aosta val-daosta vald-aosta' +
+                ' valdaosta valle-aosta valle-d-aosta valle-daosta valleaosta valled-aosta valledaosta' +
+                ' vallee-aoste vallee-d-aoste valleeaoste valleedaoste vao vda ven veneto ag agrigento al' +
+                ' alessandria alto-adige altoadige an ancona andria-barletta-trani andria-trani-barletta' +
+                ' andriabarlettatrani andriatranibarletta ao aosta aoste ap aq aquila ar arezzo ascoli-piceno' +
+                ' ascolipiceno asti at av avellino ba balsan-sudtirol balsan-suedtirol balsan bari' +
+                ' barletta-trani-andria barlettatraniandria belluno benevento bergamo bg bi biella bl bn bo' +
+                ' bologna bolzano-altoadige bolzano bozen-sudtirol bozen-suedtirol bozen br brescia brindisi bs bt' +
+                ' bulsan-sudtirol bulsan-suedtirol bulsan bz ca cagliari caltanissetta campidano-medio' +
+                ' campidanomedio campobasso carbonia-iglesias carboniaiglesias carrara-massa carraramassa caserta' +
+                ' catania catanzaro cb ce cesena-forli cesenaforli ch chieti ci cl cn co como cosenza cr cremona' +
+                ' crotone cs ct cuneo cz dell-ogliastra dellogliastra en enna fc fe fermo ferrara fg fi firenze' +
+                ' florence fm foggia forli-cesena forlicesena fr frosinone ge genoa genova go gorizia gr grosseto' +
+                ' iglesias-carbonia iglesiascarbonia im imperia is isernia kr la-spezia laquila laspezia latina lc' +
+                ' le lecce lecco li livorno lo lodi lt lu lucca macerata mantova massa-carrara massacarrara matera' +
+                ' mb mc me medio-campidano mediocampidano messina mi milan milano mn mo modena monza-brianza' +
+                ' monza-e-della-brianza monza monzabrianza monzaebrianza monzaedellabrianza ms mt na naples napoli' +
+                ' no novara nu nuoro og ogliastra olbia-tempio olbiatempio or oristano ot pa padova padua palermo' +
+                ' parma pavia pc pd pe perugia pesaro-urbino pesarourbino pescara pg pi piacenza pisa pistoia pn' +
+                ' po pordenone potenza pr prato pt pu pv pz ra ragusa ravenna rc re reggio-calabria reggio-emilia' +
+                ' reggiocalabria reggioemilia rg ri rieti rimini rm rn ro roma rome rovigo sa salerno sassari' +
+                ' savona si siena siracusa so sondrio sp sr ss suedtirol sv ta taranto te tempio-olbia tempioolbia' +
+                ' teramo terni tn to torino tp tr trani-andria-barletta trani-barletta-andria traniandriabarletta' +
+                ' tranibarlettaandria trapani trento treviso trieste ts turin tv ud udine urbino-pesaro' +
+                ' urbinopesaro va varese vb vc ve venezia venice verbania vercelli verona vi vibo-valentia' +
+                ' vibovalentia vicenza viterbo vr vs vt vv',
+            je: 'co net org',
+            jm: '*',
+            jo: 'com org net edu sch gov mil name',
+            jp: 'ac ad co ed go gr lg ne or aichi akita aomori chiba ehime fukui fukuoka fukushima gifu gunma' +
+                ' hiroshima hokkaido hyogo ibaraki ishikawa iwate kagawa kagoshima kanagawa kochi kumamoto kyoto' +
+                ' mie miyagi miyazaki nagano nagasaki nara niigata oita okayama okinawa osaka saga saitama shiga' +
+                ' shimane shizuoka tochigi tokushima tokyo tottori toyama wakayama yamagata yamaguchi yamanashi' +
+                ' *.kawasaki *.kitakyushu *.kobe *.nagoya *.sapporo *.sendai *.yokohama !city.kawasaki' +
+                ' !city.kitakyushu !city.kobe !city.nagoya !city.sapporo !city.sendai !city.yokohama',
+            ke: 'ac co go info me mobi ne or sc',
+            kg: 'org net com edu gov mil',
+            kh: '*',
+            ki: 'edu biz net org gov info com',
+            km: 'org nom gov prd tm edu mil ass com coop asso presse medecin notaires pharmaciens veterinaire' +
+                ' gouv',
+            kn: 'net org edu gov',
+            kp: 'com edu gov org rep tra',
+            kr: 'ac co es go hs kg mil ms ne or pe re sc busan chungbuk chungnam daegu daejeon gangwon gwangju' +
+                ' gyeongbuk gyeonggi gyeongnam incheon jeju jeonbuk jeonnam seoul ulsan',
+            kw: 'com edu emb gov ind net org',
+            ky: 'com edu net org',
+            kz: 'org edu net gov mil com',
+            la: 'int net info edu gov per com org',
+            lb: 'com edu gov net org',
+            lc: 'com net co org edu gov',
+            lk: 'gov sch net int com org edu ngo soc web ltd assn grp hotel ac',
+            lr: 'com edu gov org net',
+            ls: 'ac biz co edu gov info net org sc',
+            lt: 'gov',
+            lv: 'com edu gov org mil id net asn conf',
+            ly: 'com net gov plc edu sch med org id',
+            ma: 'co net gov org ac press',
+            mc: 'tm asso',
+            me: 'co net org edu ac gov its priv glitch',
+            mg: 'org nom gov prd tm edu mil com co',
+            mk: 'com org net edu gov inf name',
+            ml: 'com edu gouv gov net org presse',
+            mm: '*',
+            mn: 'gov edu org',
+            mo: 'com net org edu gov',
+            mr: 'gov',
+            ms: 'com edu gov net org',
+            mt: 'com edu net org',
+            mu: 'com net org gov ac co or',
+            museum: 'academy agriculture air airguard alabama alaska amber ambulance american americana' +
+                ' americanantiques americanart amsterdam and annefrank anthro anthropology antiques aquarium' +
+                ' arboretum archaeological archaeology architecture art artanddesign artcenter artdeco' +
+                ' arteducation artgallery arts artsandcrafts asmatart assassination assisi association astronomy' +
+                ' atlanta austin australia automotive aviation axis badajoz baghdad bahn bale baltimore barcelona' +
+                ' baseball basel baths bauern beauxarts beeldengeluid bellevue bergbau berkeley berlin bern bible' +
+                ' bilbao bill birdart birthplace bonn boston botanical botanicalgarden botanicgarden botany' +
+                ' brandywinevalley brasil bristol british britishcolumbia broadcast brunel brussel brussels' +
+                ' bruxelles building burghof bus bushey cadaques california cambridge can canada capebreton' +
+                ' carrier cartoonart casadelamoneda castle castres celtic center chattanooga cheltenham' +
+                ' chesapeakebay chicago children childrens childrensgarden chiropractic chocolate christiansburg' +
+                ' cincinnati cinema circus civilisation civilization civilwar clinton clock coal coastaldefence' +
+                ' cody coldwar collection colonialwilliamsburg coloradoplateau columbia columbus communication' +
+                ' communications community computer computerhistory contemporary contemporaryart convent' +
+                ' copenhagen corporation corvette costume countryestate county crafts cranbrook creation cultural' +
+                ' culturalcenter culture cyber cymru dali dallas database ddr decorativearts delaware delmenhorst' +
+                ' denmark depot design detroit dinosaur discovery dolls donostia durham eastafrica eastcoast' +
+                ' education educational egyptian eisenbahn elburg elvendrell embroidery encyclopedic england' +
+                ' entomology environment environmentalconservation epilepsy essex estate ethnology exeter' +
+                ' exhibition family farm farmequipment farmers farmstead field figueres filatelia film fineart' +
+                ' finearts finland flanders florida force fortmissoula fortworth foundation francaise frankfurt' +
+                ' franziskaner freemasonry freiburg fribourg frog fundacio furniture gallery garden gateway' +
+                ' geelvinck gemological geology georgia giessen glas glass gorge grandrapids graz guernsey' +
+                ' halloffame hamburg handson harvestcelebration hawaii health heimatunduhren hellas helsinki' +
+                ' hembygdsforbund heritage histoire historical historicalsociety historichouses historisch' +
+                ' historisches history historyofscience horology house humanities illustration imageandsound' +
+                ' indian indiana indianapolis indianmarket intelligence interactive iraq iron isleofman jamison' +
+                ' jefferson jerusalem jewelry jewish jewishart jfk journalism judaica judygarland juedisches juif' +
+                ' karate karikatur kids koebenhavn koeln kunst kunstsammlung kunstunddesign labor labour lajolla' +
+                ' lancashire landes lans larsson lewismiller lincoln linz living livinghistory localhistory london' +
+                ' losangeles louvre loyalist lucerne luxembourg luzern mad madrid mallorca manchester mansion' +
+                ' mansions manx marburg maritime maritimo maryland marylhurst media medical medizinhistorisches' +
+                ' meeres memorial mesaverde michigan midatlantic military mill miners mining minnesota missile' +
+                ' missoula modern moma money monmouth monticello montreal moscow motorcycle muenchen muenster' +
+                ' mulhouse muncie museet museumcenter museumvereniging music national nationalfirearms' +
+                ' nationalheritage nativeamerican naturalhistory naturalhistorymuseum naturalsciences nature' +
+                ' naturhistorisches natuurwetenschappen naumburg naval nebraska neues newhampshire newjersey' +
+                ' newmexico newport newspaper newyork niepce norfolk north nrw nyc nyny oceanographic' +
+                ' oceanographique omaha online ontario openair oregon oregontrail otago oxford pacific paderborn' +
+                ' palace paleo palmsprings panama paris pasadena pharmacy philadelphia philadelphiaarea philately' +
+                ' phoenix photography pilots pittsburgh planetarium plantation plants plaza portal portland' +
+                ' portlligat posts-and-telecommunications preservation presidio press project public pubol quebec' +
+                ' railroad railway research resistance riodejaneiro rochester rockart roma russia saintlouis salem' +
+                ' salvadordali salzburg sandiego sanfrancisco santabarbara santacruz santafe saskatchewan satx' +
+                ' savannahga schlesisches schoenbrunn schokoladen school schweiz science scienceandhistory' +
+                ' scienceandindustry sciencecenter sciencecenters science-fiction sciencehistory sciences' +
+                ' sciencesnaturelles scotland seaport settlement settlers shell sherbrooke sibenik silk ski skole' +
+                ' society sologne soundandvision southcarolina southwest space spy square stadt stalbans starnberg' +
+                ' state stateofdelaware station steam steiermark stjohn stockholm stpetersburg stuttgart suisse' +
+                ' surgeonshall surrey svizzera sweden sydney tank tcm technology telekommunikation television' +
+                ' texas textile theater time timekeeping topology torino touch town transport tree trolley trust' +
+                ' trustee uhren ulm undersea university usa usantiques usarts uscountryestate usculture' +
+                ' usdecorativearts usgarden ushistory ushuaia uslivinghistory utah uvic valley vantaa versailles' +
+                ' viking village virginia virtual virtuel vlaanderen volkenkunde wales wallonie war washingtondc' +
+                ' watchandclock watch-and-clock western westfalen whaling wildlife williamsburg windmill workshop' +
+                ' york yorkshire yosemite youth zoological zoology',
+            mv: 'aero biz com coop edu gov info int mil museum name net org pro',
+            mw: 'ac biz co com coop edu gov int museum net org',
+            mx: 'com org gob edu net',
+            my: 'biz com edu gov mil name net org',
+            mz: 'ac adv co edu gov mil net org',
+            na: 'info pro name school or dr us mx ca in cc tv ws mobi co com org',
+            nc: 'asso nom',
+            nf: 'com net per rec web arts firm info other store',
+            ng: 'com edu gov i mil mobi name net org sch',
+            ni: 'ac biz co com edu gob in info int mil net nom org web',
+            no: 'fhs vgs fylkesbibl folkebibl museum idrett priv mil stat dep kommune herad aa ah bu fm hl hm' +
+                ' jan-mayen mr nl nt of ol oslo rl sf st svalbard tm tr va vf akrehamn algard arna brumunddal' +
+                ' bryne bronnoysund drobak egersund fetsund floro fredrikstad hokksund honefoss jessheim jorpeland' +
+                ' kirkenes kopervik krokstadelva langevag leirvik mjondalen mo-i-rana mosjoen nesoddtangen' +
+                ' orkanger osoyro raholt sandnessjoen skedsmokorset slattum spjelkavik stathelle stavern' +
+                ' stjordalshalsen tananger tranby vossevangen afjord agdenes al alesund alstahaug alta alaheadju' +
+                ' alvdal amli amot andebu andoy andasuolo ardal aremark arendal aseral asker askim askvoll askoy' +
+                ' asnes audnedaln aukra aure aurland aurskog-holand austevoll austrheim averoy balestrand' +
+                ' ballangen balat balsfjord bahccavuotna bamble bardu beardu beiarn bajddar baidar berg bergen' +
+                ' berlevag bearalvahki bindal birkenes bjarkoy bjerkreim bjugn bodo badaddja budejju bokn' +
+                ' bremanger bronnoy bygland bykle barum bievat bomlo batsfjord bahcavuotna dovre drammen drangedal' +
+                ' dyroy donna eid eidfjord eidsberg eidskog eidsvoll eigersund elverum enebakk engerdal etne' +
+                ' etnedal evenes evenassi evje-og-hornnes farsund fauske fuossko fuoisku fedje fet finnoy fitjar' +
+                ' fjaler fjell flakstad flatanger flekkefjord flesberg flora fla folldal forsand fosnes frei frogn' +
+                ' froland frosta frana froya fusa fyresdal forde gamvik gangaviika gaular gausdal gildeskal giske' +
+                ' gjemnes gjerdrum gjerstad gjesdal gjovik gloppen gol gran grane granvin gratangen grimstad grong' +
+                ' kraanghke grue gulen hadsel halden halsa hamar hamaroy habmer hapmir hammerfest hammarfeasta' +
+                ' haram hareid harstad hasvik aknoluokta hattfjelldal aarborte haugesund hemne hemnes hemsedal' +
+                ' hitra hjartdal hjelmeland hobol hof hol hole holmestrand holtalen hornindal horten hurdal hurum' +
+                ' hvaler hyllestad hagebostad hoyanger hoylandet ha ibestad inderoy iveland jevnaker jondal' +
+                ' jolster karasjok karasjohka karlsoy galsa karmoy kautokeino guovdageaidnu klepp klabu kongsberg' +
+                ' kongsvinger kragero kristiansand kristiansund krodsherad kvalsund rahkkeravju kvam kvinesdal' +
+                ' kvinnherad kviteseid kvitsoy kvafjord giehtavuoatna kvanangen navuotna kafjord gaivuotna larvik' +
+                ' lavangen lavagis loabat lebesby davvesiida leikanger leirfjord leka leksvik lenvik leangaviika' +
+                ' lesja levanger lier lierne lillehammer lillesand lindesnes lindas lom loppa lahppi lund lunner' +
+                ' luroy luster lyngdal lyngen ivgu lardal lerdal lodingen lorenskog loten malvik masoy muosat' +
+                ' mandal marker marnardal masfjorden meland meldal melhus meloy meraker moareke midsund' +
+                ' midtre-gauldal modalen modum molde moskenes moss mosvik malselv malatvuopmi namdalseid aejrie' +
+                ' namsos namsskogan naamesjevuemie laakesvuemie nannestad narvik narviika naustdal nedre-eiker' +
+                ' nesna nesodden nesseby unjarga nesset nissedal nittedal nord-aurdal nord-fron nord-odal norddal' +
+                ' nordkapp davvenjarga nordre-land nordreisa raisa nore-og-uvdal notodden naroy notteroy odda' +
+                ' oksnes oppdal oppegard orkdal orland orskog orsta osen osteroy ostre-toten overhalla ovre-eiker' +
+                ' oyer oygarden oystre-slidre porsanger porsangu porsgrunn radoy rakkestad rana ruovat randaberg' +
+                ' rauma rendalen rennebu rennesoy rindal ringebu ringerike ringsaker rissa risor roan rollag rygge' +
+                ' ralingen rodoy romskog roros rost royken royrvik rade salangen siellak saltdal salat samnanger' +
+                ' sandefjord sandnes sandoy sarpsborg sauda sauherad sel selbu selje seljord sigdal siljan sirdal' +
+                ' skaun skedsmo ski skien skiptvet skjervoy skierva skjak skodje skanland skanit smola snillfjord' +
+                ' snasa snoasa snaase sogndal sokndal sola solund songdalen sortland spydeberg stange stavanger' +
+                ' steigen steinkjer stjordal stokke stor-elvdal stord stordal storfjord omasvuotna strand stranda' +
+                ' stryn sula suldal sund sunndal surnadal sveio svelvik sykkylven sogne somna sondre-land' +
+                ' sor-aurdal sor-fron sor-odal sor-varanger matta-varjjat sorfold sorreisa sorum tana deatnu time' +
+                ' tingvoll tinn tjeldsund dielddanuorri tjome tokke tolga torsken tranoy tromso tromsa romsa' +
+                ' trondheim troandin trysil trana trogstad tvedestrand tydal tynset tysfjord divtasvuodna' +
+                ' divttasvuotna tysnes tysvar tonsberg ullensaker ullensvang ulvik utsira vadso cahcesuolo vaksdal' +
+                ' valle vang vanylven vardo varggat vefsn vaapste vega vegarshei vennesla verdal verran vestby' +
+                ' vestnes vestre-slidre vestre-toten vestvagoy vevelstad vik vikna vindafjord volda voss varoy' +
+                ' vagan voagat vagsoy vaga',
+            np: '*',
+            nr: 'biz info gov edu org net com',
+            nz: 'ac co cri geek gen govt health iwi kiwi maori mil net org parliament school',
+            om: 'co com edu gov med museum net org pro',
+            pa: 'ac gob com org sld edu net ing abo med nom',
+            pe: 'edu gob nom mil org com net',
+            pf: 'com org edu',
+            pg: '*',
+            ph: 'com net org gov edu ngo mil i',
+            pk: 'com net edu org fam biz web gov gob gok gon gop gos info',
+            pl: 'com net org aid agro atm auto biz edu gmina gsm info mail miasta media mil nieruchomosci nom pc' +
+                ' powiat priv realestate rel sex shop sklep sos szkola targi tm tourism travel turystyka gov' +
+                ' augustow babia-gora bedzin beskidy bialowieza bialystok bielawa bieszczady boleslawiec bydgoszcz' +
+                ' bytom cieszyn czeladz czest dlugoleka elblag elk glogow gniezno gorlice grajewo ilawa jaworzno' +
+                ' jelenia-gora jgora kalisz kazimierz-dolny karpacz kartuzy kaszuby katowice kepno ketrzyn klodzko' +
+                ' kobierzyce kolobrzeg konin konskowola kutno lapy lebork legnica lezajsk limanowa lomza lowicz' +
+                ' lubin lukow malbork malopolska mazowsze mazury mielec mielno mragowo naklo nowaruda nysa olawa' +
+                ' olecko olkusz olsztyn opoczno opole ostroda ostroleka ostrowiec ostrowwlkp pila pisz podhale' +
+                ' podlasie polkowice pomorze pomorskie prochowice pruszkow przeworsk pulawy radom rawa-maz rybnik' +
+                ' rzeszow sanok sejny slask slupsk sosnowiec stalowa-wola skoczow starachowice stargard suwalki' +
+                ' swidnica swiebodzin swinoujscie szczecin szczytno tarnobrzeg tgory turek tychy ustka walbrzych' +
+                ' warmia warszawa waw wegrow wielun wlocl wloclawek wodzislaw wolomin wroclaw zachpomor zagan' +
+                ' zarow zgora zgorzelec',
+            pn: 'gov co org edu net',
+            pr: 'com net org gov edu isla pro biz info name est prof ac',
+            pro: 'aaa aca acct avocat bar cpa eng jur law med recht',
+            ps: 'edu gov sec plo com org net',
+            pt: 'net gov org edu int publ com nome',
+            pw: 'co ne or ed go belau',
+            py: 'com coop edu gov mil net org',
+            qa: 'com edu gov mil name net org sch',
+            re: 'asso com nom',
+            ro: 'arts com firm info nom nt org rec store tm www',
+            rs: 'ac co edu gov in org',
+            rw: 'ac co coop gov mil net org',
+            sa: 'com net org gov med pub edu sch',
+            sb: 'com edu gov net org',
+            sc: 'com gov net org edu',
+            sd: 'com net org edu med tv gov info',
+            se: 'a ac b bd brand c d e f fh fhsk fhv g h i k komforb kommunalforbund komvux l lanbib m n' +
+                ' naturbruksgymn o org p parti pp press r s t tm u w x y z',
+            sg: 'com net org gov edu per',
+            sh: 'com net gov org mil now',
+            sl: 'com net edu gov org',
+            sn: 'art com edu gouv org perso univ',
+            so: 'com edu gov me net org',
+            ss: 'biz com edu gov me net org sch',
+            st: 'co com consulado edu embaixada mil net org principe saotome store',
+            sv: 'com edu gob org red',
+            sx: 'gov',
+            sy: 'edu gov net mil com org',
+            sz: 'co ac org',
+            th: 'ac co go in mi net or',
+            tj: 'ac biz co com edu go gov int mil name net nic org test web',
+            tl: 'gov',
+            tm: 'com co org net nom gov mil edu',
+            tn: 'com ens fin gov ind info intl mincom nat net org perso tourism',
+            to: 'com gov net org edu mil',
+            tr: 'av bbs bel biz com dr edu gen gov info mil k12 kep name net org pol tel tsk tv web nc',
+            tt: 'co com org net biz info pro int coop jobs mobi travel museum aero name gov edu',
+            tw: 'edu gov mil com net org idv game ebiz club',
+            tz: 'ac co go hotel info me mil mobi ne or sc tv',
+            ua: 'com edu gov in net org cherkassy cherkasy chernigov chernihiv chernivtsi chernovtsy ck cn cr' +
+                ' crimea cv dn dnepropetrovsk dnipropetrovsk donetsk dp if ivano-frankivsk kh kharkiv kharkov' +
+                ' kherson khmelnitskiy khmelnytskyi kiev kirovograd km kr krym ks kv kyiv lg lt lugansk lutsk lv' +
+                ' lviv mk mykolaiv nikolaev od odesa odessa pl poltava rivne rovno rv sb sebastopol sevastopol sm' +
+                ' sumy te ternopil uz uzhgorod vinnica vinnytsia vn volyn yalta zaporizhzhe zaporizhzhia zhitomir' +
+                ' zhytomyr zp zt',
+            ug: 'co or ac sc go ne com org',
+            uk: 'ac co gov ltd me net nhs org plc police *.sch',
+            us: 'dni fed isa kids nsn ak al ar as az ca co ct dc de fl ga gu hi ia id il in ks ky la ma md me mi' +
+                ' mn mo ms mt nc nd ne nh nj nm nv ny oh ok or pa pr ri sc sd tn tx ut vi vt va wa wi wv wy',
+            uy: 'com edu gub mil net org',
+            uz: 'co com net org',
+            vc: 'com net org gov mil edu',
+            ve: 'arts bib co com e12 edu firm gob gov info int mil net nom org rar rec store tec web',
+            vi: 'co com k12 net org',
+            vn: 'com net org edu gov int ac biz info name pro health',
+            vu: 'com edu net org',
+            ws: 'com net org gov edu',
+            ye: 'com edu gov net mil org',
+            za: 'ac agric alt co edu gov grondar law mil net ngo nic nis nom org school tm web',
+            zm: 'ac biz co com edu gov info mil net org sch',
+            zw: 'ac co gov mil org',
+            com: 'githubusercontent blogspot appspot herokuapp firebaseapp s3.amazonaws elasticbeanstalk wixsite' +
+                ' myshopify onrender',
+            app: 'netlify vercel web',
+            dev: 'pages workers r2 fly',
+            net: 'azurewebsites azurestaticapps cloudapp cloudfront ddns',
+            goog: 'translate'
+        },
+
+        /**
+         * Rule sets built from `rules` on first use
+         * @type {{exact: Set<string>, wildcard: Set<string>, exception: Set<string>}|null}
+         */
+        index: null,
+
+        /**
+         * Registrable domain cache
+         * @type {Map<string, string>}
+         */
+        cache: new Map(),
+
+        /**
+         * Max cache size
+         * @type {number}
+         */
+        maxSize: 500,
+
+        /**
+         * Expand `rules` into lookup sets
+         * @returns {{exact: Set<string>, wildcard: Set<string>, exception: Set<string>}} Index
+         */
+        getIndex() {
+            if (this.index) return this.index;
+
+            const index = { exact: new Set(), wildcard: new Set(), exception: new Set() };
+            for (const [tld, labels] of Object.entries(this.rules)) {
+                for (const entry of labels.split(' ')) {
+                    if (entry === '*') {
+                        index.wildcard.add(tld);
+                    } else if (entry.startsWith('*.')) {
+                        index.wildcard.add(`${entry.slice(2)}.${tld}`);
+                    } else if (entry.startsWith('!')) {
+                        index.exception.add(`${entry.slice(1)}.${tld}`);
+                    } else {
+                        index.exact.add(`${entry}.${tld}`);
+                    }
+                }
+            }
+
+            this.index = index;
+            return index;
+        },
+
+        /**
+         * Get the public suffix of a hostname (longest matching rule wins, exceptions first)
+         * @param {string} host - Lowercase hostname
+         * @returns {string} Public suffix, e.g. 'co.uk' for 'www.example.co.uk'
+         */
+        getPublicSuffix(host) {
+            const index = this.getIndex();
+            const labels = host.split('.');
+
+            for (let i = 0; i < labels.length; i++) {
+                const candidate = labels.slice(i).join('.');
+                if (index.exception.has(candidate)) return labels.slice(i + 1).join('.');
+                if (index.exact.has(candidate)) return candidate;
+                if (i + 1 < labels.length && index.wildcard.has(labels.slice(i + 1).join('.'))) return candidate;
+            }
+
+            return labels[labels.length - 1];
+        },
+
+        /**
+         * Get the registrable domain (eTLD+1) of a hostname
+         * IP addresses, single-label hosts and bare public suffixes are returned whole
+         * @param {string} host - Hostname
+         * @returns {string} Registrable domain, e.g. 'example.co.uk' for 'www.example.co.uk'
+         */
+        getRegistrableDomain(host) {
+            const hostname = String(host).toLowerCase().replace(/\.$/, '');
+            if (!hostname.includes('.') || hostname.includes(':') || /^[\d.]+$/.test(hostname)) {
+                return hostname;
+            }
+            if (this.cache.has(hostname)) return this.cache.get(hostname);
+
+            const suffix = this.getPublicSuffix(hostname);
+            let domain = hostname;
+            if (suffix !== hostname) {
+                const rest = hostname.slice(0, -(suffix.length + 1));
+                domain = `${rest.slice(rest.lastIndexOf('.') + 1)}.${suffix}`;
+            }
+
+            if (this.cache.size >= this.maxSize) {
+                this.cache.delete(this.cache.keys().next().value);
+            }
+            this.cache.set(hostname, domain);
+            return domain;
+        },
+
+        /**
+         * Check whether two hostnames share a registrable domain
+         * @param {string} hostA - First hostname
+         * @param {string} hostB - Second hostname
+         * @returns {boolean} True if same site
+         */
+        isSameSite(hostA, hostB) {
+            return this.getRegistrableDomain(hostA) === this.getRegistrableDomain(hostB);
+        },
+
+        /**
+         * Check whether a URL is third-party to a page
+         * @param {string} url - Resource URL
+         * @param {string} [base] - Page URL (defaults to the current page)
+         * @returns {boolean} True if the URL's site differs from the page's
+         */
+        isThirdParty(url, base = location.href) {
+            const target = URLCache.parse(url, base);
+            const page = URLCache.parse(base);
+            if (!target || !page || !target.hostname) return false;
+            return !this.isSameSite(target.hostname, page.hostname);
+        },
+
+        /**
+         * List a hostname and each of its parent domains
+         * @param {string} host - Hostname
+         * @returns {string[]} e.g. ['a.b.example.com', 'b.example.com', 'example.com', 'com']
+         */
+        getSuffixes(host) {
+            const labels = host.split('.');
+            return labels.map((_, i) => labels.slice(i).join('.')).filter(Boolean);
+        },
+
+        /**
+         * Check whether a hostname is a domain or one of its subdomains (label boundary, not substring)
+         * @param {string} host - Hostname
+         * @param {string} domain - Domain
+         * @returns {boolean} True if the host is on the domain
+         */
+        isOnDomain(host, domain) {
+            return host === domain || host.endsWith(`.${domain}`);
+        }
+    };
+
+    /**
+     * Site rule matching for whitelist/blacklist entries
+     *
+     * Rule syntax (scheme is optional and ignored):
+     * - `example.com`            exact host
+     * - `.example.com`           host and all of its subdomains
+     * - `*.example.com`          any subdomain (not the host itself)
+     * - `example.*`              any TLD (`*` in the host never crosses a `/`)
+     * - `github.com/*\/pull/*`   host plus path; `*` in the path matches anything
+     * A rule without a path matches every path on the host.
+     * @namespace SiteMatcher
+     */
+    const SiteMatcher = {
+        /**
+         * Compiled rule cache
+         * @type {Map<string, RegExp|null>}
+         */
+        compiled: new Map(),
+
+        /**
+         * Escape regex metacharacters except `*`
+         * @param {string} text - Literal text
+         * @returns {string} Escaped text
+         */
+        escape(text) {
+            return text.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+        },
+
+        /**
+         * Compile a rule into a regex matched against `host + pathname`
+         * @param {string} rule - Rule string
+         * @returns {RegExp|null} Compiled rule or null if empty
+         */
+        compile(rule) {
+            if (this.compiled.has(rule)) return this.compiled.get(rule);
+
+            let regex = null;
+            const trimmed = String(rule).trim().replace(/^[a-z]+:\/\//i, '');
+            if (trimmed) {
+                const slash = trimmed.indexOf('/');
+                // Hostnames are case-insensitive, paths are not
+                const host = (slash === -1 ? trimmed : trimmed.slice(0, slash)).toLowerCase();
+                const path = slash === -1 ? '' : trimmed.slice(slash);
+
+                let hostSource;
+                if (host.startsWith('.')) {
+                    // Suffix rule: host itself or any subdomain
+                    hostSource = `(?:[^./]+\\.)*${this.escape(host.slice(1))}`;
+                } else if (host.startsWith('*.')) {
+                    // Subdomain wildcard: one or more non-empty labels
+                    hostSource = `(?:[^./]+\\.)+${this.escape(host.slice(2)).replace(/\*/g, '[^/]*')}`;
+                } else {
+                    hostSource = this.escape(host).replace(/\*/g, '[^/]*');
+                }
+
+                const pathSource = path
+                    ? this.escape(path).replace(/\*/g, '.*')
+                    : '(?:/.*)?';
+
+                regex = new RegExp(`^${hostSource}${pathSource}$`);
+            }
+
+            this.compiled.set(rule, regex);
+            return regex;
+        },
+
+        /**
+         * Check a rule against a URL
+         * @param {string} rule - Rule string
+         * @param {URL} url - Page URL
+         * @returns {boolean} True if the rule matches
+         */
+        matches(rule, url) {
+            const regex = this.compile(rule);
+            return regex !== null && regex.test(url.hostname + url.pathname);
+        },
+
+        /**
+         * Find the first matching rule in a list
+         * @param {string[]} rules - Rule list
+         * @param {URL} url - Page URL
+         * @returns {string|null} Matching rule or null
+         */
+        findMatch(rules, url) {
+            return (rules || []).find(rule => this.matches(rule, url)) || null;
+        }
+    };
+
     /**
      * Logging module with severity levels
      * @namespace Logger
@@ -411,7 +1438,7 @@
 
     /**
      * Performance telemetry module
-     * Collects lightweight metrics with minimal CPU overhead
+     * Collects lightweight metrics and Core Web Vitals with minimal CPU overhead
      * @namespace Telemetry
      */
     const Telemetry = {
@@ -423,13 +1450,62 @@
             cacheHits: 0,
             cacheMisses: 0,
             rewrittenImages: 0,
+            rewrittenSrcsets: 0,
+            rewrittenSources: 0,
+            rewrittenBackgrounds: 0,
+            revertedImages: 0,
             deferredScripts: 0,
             preconnectedDomains: 0,
             preloadedResources: 0,
+            prefetchUsed: 0,
+            prefetchWasted: 0,
+            prefetchWastedBytes: 0,
             observerCount: 0,
             startTime: performance.now()
         },
 
+        /**
+         * Core Web Vitals (null until measured), computed as the web-vitals library does
+         * @type {{LCP: ?number, CLS: ?number, INP: ?number, FCP: ?number, TTFB: ?number}}
+         */
+        vitals: {
+            LCP: null,
+            CLS: null,
+            INP: null,
+            FCP: null,
+            TTFB: null
+        },
+
+        /**
+         * Good / poor thresholds per vital (ms, CLS unitless)
+         * @type {Object<string, number[]>}
+         */
+        thresholds: {
+            LCP: [2500, 4000],
+            CLS: [0.1, 0.25],
+            INP: [200, 500],
+            FCP: [1800, 3000],
+            TTFB: [800, 1800]
+        },
+
+        /**
+         * How the current page view started ('navigate', 'reload', 'back-forward', 'back-forward-cache', ...)
+         * @type {string}
+         */
+        navigationType: 'navigate',
+
+        /**
+         * Internal vitals bookkeeping
+         * @type {Object}
+         */
+        vitalsState: null,
+
+        /**
+         * Aborts page listeners added by init()
+         * @type {AbortController|null}
+         */
+        listeners: null,
+
         /**
          * Performance observer instance
          * @type {PerformanceObserver}
@@ -443,43 +1519,299 @@
             if (!ConfigManager.isEnabled('telemetry')) return;
 
             try {
+                this.resetVitalsState();
+                this.setupPageListeners();
+
                 // Use PerformanceObserver for efficient metric collection
                 if ('PerformanceObserver' in window) {
                     this.perfObserver = new PerformanceObserver((list) => {
                         // Process performance entries during idle time
+                        const entries = list.getEntries();
                         SafeScheduler.idle(() => {
-                            for (const entry of list.getEntries()) {
+                            for (const entry of entries) {
                                 this.processPerformanceEntry(entry);
                             }
                         });
                     });
 
-                    // Observe navigation and resource timing
-                    try {
-                        this.perfObserver.observe({ 
-                            entryTypes: ['navigation', 'resource', 'measure'] 
-                        });
-                    } catch (e) {
-                        Logger.debug('Some performance entry types not supported', e);
-                    }
+                    // Observe each type separately so we can ask for buffered entries
+                    const supported = PerformanceObserver.supportedEntryTypes || [];
+                    const types = [
+                        { type: 'navigation', buffered: true },
+                        { type: 'resource' },
+                        { type: 'measure' },
+                        { type: 'paint', buffered: true },
+                        { type: 'largest-contentful-paint', buffered: true },
+                        { type: 'layout-shift', buffered: true },
+                        { type: 'first-input', buffered: true },
+                        { type: 'event', buffered: true, durationThreshold: 40 }
+                    ];
+
+                    for (const options of types) {
+                        if (!supported.includes(options.type)) continue;
+                        try {
+                            this.perfObserver.observe(options);
+                        } catch (e) {
+                            Logger.debug(`Performance entry type ${options.type} not supported`, e);
+                        }
+                    }
+
+                    if (supported.includes('layout-shift')) {
+                        this.vitals.CLS = 0;
+                    }
                 }
             } catch (e) {
                 Logger.warn('Failed to initialize telemetry', e);
             }
         },
 
+        /**
+         * Reset per-page-view vitals bookkeeping
+         */
+        resetVitalsState() {
+            const nav = performance.getEntriesByType
+                ? performance.getEntriesByType('navigation')[0]
+                : null;
+
+            this.vitalsState = {
+                // Paints after the page was first hidden don't count
+                firstHiddenTime: document.visibilityState === 'hidden' && !document.prerendering ? 0 : Infinity,
+                // Prerendered pages measure from activation, not navigation start
+                activationStart: nav && nav.activationStart ? nav.activationStart : 0,
+                // Entries are processed in idle time, so compare paint times instead of a flag
+                firstInputTime: Infinity,
+                clsSession: { value: 0, firstTime: 0, lastTime: 0 },
+                interactions: new Map(),
+                longestInteractions: [],
+                minInteractionId: Infinity,
+                maxInteractionId: 0
+            };
+
+            if (nav) {
+                this.navigationType = document.prerendering || this.vitalsState.activationStart > 0
+                    ? 'prerender'
+                    : nav.type.replace(/_/g, '-');
+            }
+        },
+
+        /**
+         * Listen for visibility, input and bfcache restores
+         */
+        setupPageListeners() {
+            if (this.listeners) this.listeners.abort();
+            this.listeners = new AbortController();
+            const { signal } = this.listeners;
+
+            document.addEventListener('visibilitychange', (e) => {
+                if (document.visibilityState === 'hidden') {
+                    this.vitalsState.firstHiddenTime = Math.min(this.vitalsState.firstHiddenTime, e.timeStamp);
+                }
+            }, { capture: true, signal });
+
+            // LCP stops at the first user input
+            ['keydown', 'click'].forEach(type => {
+                window.addEventListener(type, (e) => {
+                    this.vitalsState.firstInputTime = Math.min(this.vitalsState.firstInputTime, e.timeStamp);
+                }, { capture: true, once: true, signal });
+            });
+
+            window.addEventListener('pageshow', (e) => {
+                if (e.persisted) this.handleBfcacheRestore(e);
+            }, { capture: true, signal });
+        },
+
+        /**
+         * Restart vitals for a back/forward cache restore
+         * @param {PageTransitionEvent} event - pageshow event
+         */
+        handleBfcacheRestore(event) {
+            this.resetVitalsState();
+            this.navigationType = 'back-forward-cache';
+            this.vitals = {
+                LCP: null,
+                CLS: this.vitals.CLS === null ? null : 0,
+                INP: null,
+                FCP: null,
+                TTFB: 0
+            };
+
+            // Restored pages paint on the next frame; measure that like web-vitals does
+            const raf = FPSManager.nativeRAF.bind(window);
+            raf(() => raf(() => {
+                const value = performance.now() - event.timeStamp;
+                this.vitals.FCP = value;
+                this.vitals.LCP = value;
+            }));
+        },
+
         /**
          * Process performance entry
          * @param {PerformanceEntry} entry - Performance entry
          */
         processPerformanceEntry(entry) {
-            // Lightweight processing - just track key metrics
-            if (entry.entryType === 'resource') {
-                // Track resource loading patterns
-                if (entry.name.includes('webp')) {
-                    this.metrics.rewrittenImages++;
-                }
+            switch (entry.entryType) {
+                case 'navigation':
+                    this.processNavigation(entry);
+                    break;
+                case 'paint':
+                    if (entry.name === 'first-contentful-paint') this.processFCP(entry);
+                    break;
+                case 'largest-contentful-paint':
+                    this.processLCP(entry);
+                    break;
+                case 'layout-shift':
+                    this.processLayoutShift(entry);
+                    break;
+                case 'first-input':
+                case 'event':
+                    this.processInteraction(entry);
+                    break;
+            }
+        },
+
+        /**
+         * Time to First Byte
+         * @param {PerformanceNavigationTiming} entry - Navigation entry
+         */
+        processNavigation(entry) {
+            if (entry.responseStart > 0 && entry.responseStart < performance.now()) {
+                this.vitals.TTFB = Math.max(entry.responseStart - this.vitalsState.activationStart, 0);
+            }
+        },
+
+        /**
+         * First Contentful Paint
+         * @param {PerformancePaintTiming} entry - Paint entry
+         */
+        processFCP(entry) {
+            if (entry.startTime < this.vitalsState.firstHiddenTime) {
+                this.vitals.FCP = Math.max(entry.startTime - this.vitalsState.activationStart, 0);
+            }
+        },
+
+        /**
+         * Largest Contentful Paint (last candidate before input or hide)
+         * @param {LargestContentfulPaint} entry - LCP entry
+         */
+        processLCP(entry) {
+            if (entry.startTime < this.vitalsState.firstHiddenTime && entry.startTime < this.vitalsState.firstInputTime) {
+                this.vitals.LCP = Math.max(entry.startTime - this.vitalsState.activationStart, 0);
+            }
+        },
+
+        /**
+         * Cumulative Layout Shift using session windows (1s gap, 5s cap)
+         * @param {LayoutShift} entry - Layout shift entry
+         */
+        processLayoutShift(entry) {
+            if (entry.hadRecentInput) return;
+
+            const session = this.vitalsState.clsSession;
+            if (session.value &&
+                entry.startTime - session.lastTime < 1000 &&
+                entry.startTime - session.firstTime < 5000) {
+                session.value += entry.value;
+                session.lastTime = entry.startTime;
+            } else {
+                session.value = entry.value;
+                session.firstTime = entry.startTime;
+                session.lastTime = entry.startTime;
+            }
+
+            if (session.value > (this.vitals.CLS || 0)) {
+                this.vitals.CLS = session.value;
+            }
+        },
+
+        /**
+         * Interaction to Next Paint
+         * Keeps the 10 longest interactions and reports the p98 approximation
+         * (skip one of the longest for every 50 interactions)
+         * @param {PerformanceEventTiming} entry - Event timing entry
+         */
+        processInteraction(entry) {
+            const id = entry.interactionId;
+            if (!id) return;
+
+            const state = this.vitalsState;
+            state.minInteractionId = Math.min(state.minInteractionId, id);
+            state.maxInteractionId = Math.max(state.maxInteractionId, id);
+
+            const longest = state.longestInteractions;
+            const existing = state.interactions.get(id);
+            const shortest = longest[longest.length - 1];
+
+            if (existing) {
+                existing.latency = Math.max(existing.latency, entry.duration);
+            } else if (longest.length < 10 || entry.duration > shortest.latency) {
+                const interaction = { id, latency: entry.duration };
+                state.interactions.set(id, interaction);
+                longest.push(interaction);
+            } else {
+                return;
+            }
+
+            longest.sort((a, b) => b.latency - a.latency);
+            longest.splice(10).forEach(removed => state.interactions.delete(removed.id));
+
+            const candidate = longest[Math.min(longest.length - 1, Math.floor(this.getInteractionCount() / 50))];
+            this.vitals.INP = candidate.latency;
+        },
+
+        /**
+         * Number of interactions on this page view
+         * Falls back to estimating from interactionId spacing (ids grow by 7)
+         * @returns {number} Interaction count
+         */
+        getInteractionCount() {
+            if (typeof performance.interactionCount === 'number') {
+                return performance.interactionCount;
+            }
+            const { minInteractionId, maxInteractionId } = this.vitalsState;
+            return maxInteractionId ? (maxInteractionId - minInteractionId) / 7 + 1 : 0;
+        },
+
+        /**
+         * Load timing and transfer size of the current document
+         * @returns {{domContentLoaded: ?number, load: ?number, transferKB: number}} Load metrics
+         */
+        getLoadMetrics() {
+            const nav = performance.getEntriesByType('navigation')[0];
+            let transferBytes = nav ? nav.transferSize || 0 : 0;
+            for (const entry of performance.getEntriesByType('resource')) {
+                transferBytes += entry.transferSize || 0;
+            }
+
+            return {
+                domContentLoaded: nav && nav.domContentLoadedEventEnd > 0 ? nav.domContentLoadedEventEnd : null,
+                load: nav && nav.loadEventEnd > 0 ? nav.loadEventEnd : null,
+                transferKB: transferBytes / 1024
+            };
+        },
+
+        /**
+         * Rate a vital value
+         * @param {string} name - Vital name
+         * @param {number|null} value - Vital value
+         * @returns {'good'|'needs-improvement'|'poor'|null} Rating
+         */
+        rate(name, value) {
+            if (value === null || !this.thresholds[name]) return null;
+            const [good, poor] = this.thresholds[name];
+            if (value <= good) return 'good';
+            return value <= poor ? 'needs-improvement' : 'poor';
+        },
+
+        /**
+         * Get Core Web Vitals with ratings
+         * @returns {Object<string, {value: ?number, rating: ?string}>} Vitals
+         */
+        getVitals() {
+            const result = {};
+            for (const [name, value] of Object.entries(this.vitals)) {
+                result[name] = { value, rating: this.rate(name, value) };
             }
+            return result;
         },
 
         /**
@@ -504,10 +1836,14 @@
 
         /**
          * Get all metrics
-         * @returns {Object} All metrics
+         * @returns {Object} All metrics, with Core Web Vitals under `vitals`
          */
         getAll() {
-            return { ...this.metrics };
+            return {
+                ...this.metrics,
+                vitals: { ...this.vitals },
+                navigationType: this.navigationType
+            };
         },
 
         /**
@@ -526,6 +1862,10 @@
                 this.perfObserver.disconnect();
                 this.perfObserver = null;
             }
+            if (this.listeners) {
+                this.listeners.abort();
+                this.listeners = null;
+            }
         }
     };
 
@@ -604,30 +1944,253 @@
     };
 
     /**
-     * Smart cache with LRU eviction and TTL support
+     * Promise-based IndexedDB wrapper shared by persistent modules
+     * @namespace IDBStore
+     */
+    const IDBStore = {
+        /**
+         * Database name
+         * @type {string}
+         */
+        dbName: 'webperf',
+
+        /**
+         * Schema version (bump when adding object stores)
+         * @type {number}
+         */
+        version: 2,
+
+        /**
+         * Object stores created on upgrade
+         * @type {Object<string, {keyPath: string, indexes: string[]}>}
+         */
+        schema: {
+            cache: { keyPath: 'key', indexes: ['lastAccess'] },
+            snapshots: { keyPath: 'id', indexes: ['savedAt'] }
+        },
+
+        /**
+         * Pending or resolved database connection
+         * @type {Promise<IDBDatabase>|null}
+         */
+        dbPromise: null,
+
+        /**
+         * Check if IndexedDB is usable in this context
+         * @returns {boolean} True if available
+         */
+        isAvailable() {
+            try {
+                return typeof indexedDB !== 'undefined' && indexedDB !== null;
+            } catch (e) {
+                // Some sandboxed iframes throw on access
+                return false;
+            }
+        },
+
+        /**
+         * Open (and upgrade if needed) the database
+         * @returns {Promise<IDBDatabase>} Database connection
+         */
+        open() {
+            if (this.dbPromise) return this.dbPromise;
+
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, this.version);
+
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    for (const [name, def] of Object.entries(this.schema)) {
+                        if (db.objectStoreNames.contains(name)) continue;
+                        const store = db.createObjectStore(name, { keyPath: def.keyPath });
+                        (def.indexes || []).forEach(index => store.createIndex(index, index));
+                    }
+                };
+
+                request.onsuccess = () => {
+                    const db = request.result;
+                    // Let newer versions in other tabs upgrade
+                    db.onversionchange = () => {
+                        db.close();
+                        this.dbPromise = null;
+                    };
+                    resolve(db);
+                };
+                request.onerror = () => reject(request.error);
+                // Blocked is transient: other tabs close their connection on versionchange, then
+                // onsuccess fires. Rejecting here would disable the disk tier for the whole page view.
+                request.onblocked = () => Logger.debug('IndexedDB upgrade waiting for other tabs to close the database');
+            }).catch(e => {
+                this.dbPromise = null;
+                throw e;
+            });
+
+            return this.dbPromise;
+        },
+
+        /**
+         * Run a single request in its own transaction
+         * @param {string} storeName - Object store name
+         * @param {IDBTransactionMode} mode - Transaction mode
+         * @param {Function} operation - Receives the store, returns an IDBRequest
+         * @returns {Promise<any>} Request result once the transaction completes
+         */
+        async transact(storeName, mode, operation) {
+            const db = await this.open();
+
+            return new Promise((resolve, reject) => {
+                const tx = db.transaction(storeName, mode);
+                const request = operation(tx.objectStore(storeName));
+                let result;
+
+                if (request) {
+                    request.onsuccess = () => { result = request.result; };
+                }
+                tx.oncomplete = () => resolve(result);
+                tx.onerror = () => reject(tx.error);
+                tx.onabort = () => reject(tx.error);
+            });
+        },
+
+        /**
+         * Get record by key
+         * @param {string} storeName - Object store name
+         * @param {IDBValidKey} key - Record key
+         * @returns {Promise<any>} Record or undefined
+         */
+        get(storeName, key) {
+            return this.transact(storeName, 'readonly', store => store.get(key));
+        },
+
+        /**
+         * Insert or replace record
+         * @param {string} storeName - Object store name
+         * @param {Object} value - Record (must contain the key path)
+         * @returns {Promise<IDBValidKey>} Record key
+         */
+        put(storeName, value) {
+            return this.transact(storeName, 'readwrite', store => store.put(value));
+        },
+
+        /**
+         * Delete record by key
+         * @param {string} storeName - Object store name
+         * @param {IDBValidKey} key - Record key
+         * @returns {Promise<void>}
+         */
+        delete(storeName, key) {
+            return this.transact(storeName, 'readwrite', store => store.delete(key));
+        },
+
+        /**
+         * Get all records in a store
+         * @param {string} storeName - Object store name
+         * @returns {Promise<Array>} Records
+         */
+        getAll(storeName) {
+            return this.transact(storeName, 'readonly', store => store.getAll());
+        },
+
+        /**
+         * Delete all records in a store
+         * @param {string} storeName - Object store name
+         * @returns {Promise<void>}
+         */
+        clear(storeName) {
+            return this.transact(storeName, 'readwrite', store => store.clear());
+        },
+
+        /**
+         * Walk records in ascending order
+         * @param {string} storeName - Object store name
+         * @param {string|null} indexName - Index to walk, or null for primary key order
+         * @param {Function} callback - Receives each cursor, return false to stop
+         * @param {IDBTransactionMode} mode - Transaction mode
+         * @returns {Promise<void>}
+         */
+        async iterate(storeName, indexName, callback, mode = 'readonly') {
+            const db = await this.open();
+
+            return new Promise((resolve, reject) => {
+                const tx = db.transaction(storeName, mode);
+                const store = tx.objectStore(storeName);
+                const source = indexName ? store.index(indexName) : store;
+                const request = source.openCursor();
+
+                request.onsuccess = () => {
+                    const cursor = request.result;
+                    if (cursor && callback(cursor) !== false) {
+                        cursor.continue();
+                    }
+                };
+                tx.oncomplete = () => resolve();
+                tx.onerror = () => reject(tx.error);
+                tx.onabort = () => reject(tx.error);
+            });
+        }
+    };
+
+    /**
+     * Two-tier smart cache with LRU eviction and TTL support
+     * Memory tier holds object URLs, disk tier persists blobs in IndexedDB
      * @namespace CacheManager
      */
     const CacheManager = {
         /**
-         * Cache storage (LRU Map)
+         * Memory tier storage (LRU Map)
          * @type {Map<string, Object>}
          */
         cache: new Map(),
 
         /**
-         * Total cache size in bytes
+         * Total memory tier size in bytes
          * @type {number}
          */
         totalBytes: 0,
 
         /**
-         * Cache statistics
+         * Disk tier entry sizes by key (for byte accounting)
+         * @type {Map<string, number>}
+         */
+        diskIndex: new Map(),
+
+        /**
+         * Total disk tier size in bytes
+         * @type {number}
+         */
+        diskBytes: 0,
+
+        /**
+         * Resolves once the disk index has been loaded
+         * @type {Promise<void>|null}
+         */
+        diskReady: null,
+
+        /**
+         * Set when IndexedDB fails so we stop trying
+         * @type {boolean}
+         */
+        diskFailed: false,
+
+        /**
+         * Overall cache statistics (a hit in any tier counts once)
          * @type {Object}
          */
         stats: {
             hits: 0,
             misses: 0,
-            evictions: 0
+            evictions: 0,
+            revalidated: 0,
+            uncacheable: 0
+        },
+
+        /**
+         * Per-tier cache statistics
+         * @type {{memory: Object, disk: Object}}
+         */
+        tierStats: {
+            memory: { hits: 0, misses: 0, evictions: 0 },
+            disk: { hits: 0, misses: 0, evictions: 0 }
         },
 
         /**
@@ -650,100 +2213,344 @@
             if ('memory' in performance) {
                 this.memoryCheckInterval = setInterval(() => this.checkMemoryPressure(), 30000);
             }
+
+            if (this.isPersistent()) {
+                this.diskReady = this.loadDiskIndex().catch(e => {
+                    Logger.debug('Persistent cache unavailable', e);
+                    this.diskFailed = true;
+                });
+            }
         },
 
         /**
-         * Get item from cache
-         * @param {string} key - Cache key
-         * @returns {string|null} Cached value or null
+         * Check if the disk tier is active
+         * @returns {boolean} True if persistent caching is usable
          */
-        get(key) {
-            if (!ConfigManager.isEnabled('smartCache')) return null;
+        isPersistent() {
+            return ConfigManager.isEnabled('smartCache') &&
+                ConfigManager.isEnabled('persistentCache') &&
+                !this.diskFailed &&
+                IDBStore.isAvailable();
+        },
 
-            const entry = this.cache.get(key);
-            if (!entry) {
-                this.stats.misses++;
-                Telemetry.increment('cacheMisses');
-                return null;
-            }
+        /**
+         * Load disk entry sizes, dropping expired entries
+         */
+        async loadDiskIndex() {
+            this.diskIndex.clear();
+            this.diskBytes = 0;
 
-            // Check TTL
-            if (Date.now() - entry.timestamp > ConfigManager.get('cacheMaxAge')) {
-                this.delete(key);
-                this.stats.misses++;
-                Telemetry.increment('cacheMisses');
-                return null;
-            }
+            await IDBStore.iterate('cache', null, (cursor) => {
+                const entry = cursor.value;
+                // Stale entries are only worth keeping if they can be revalidated
+                if (!this.isFresh(entry) && !this.hasValidators(entry)) {
+                    cursor.delete();
+                } else {
+                    this.diskIndex.set(entry.key, entry.size);
+                    this.diskBytes += entry.size;
+                }
+            }, 'readwrite');
 
-            // Move to end (LRU)
-            this.cache.delete(key);
-            this.cache.set(key, entry);
-            
-            this.stats.hits++;
-            Telemetry.increment('cacheHits');
-            return entry.objUrl;
+            await this.evictDisk();
+            Logger.debug(`Persistent cache: ${this.diskIndex.size} entries loaded`);
         },
 
         /**
-         * Set item in cache
+         * Get item from memory tier (synchronous)
          * @param {string} key - Cache key
-         * @param {Blob} blob - Blob data
-         * @returns {string} Object URL
+         * @returns {string|null} Cached object URL or null
          */
-        set(key, blob) {
-            const objUrl = URL.createObjectURL(blob);
-            const entry = {
-                objUrl,
-                size: blob.size,
-                timestamp: Date.now()
-            };
+        get(key) {
+            if (!ConfigManager.isEnabled('smartCache')) return null;
 
-            this.cache.set(key, entry);
-            this.totalBytes += blob.size;
-            
-            this.evict();
+            const objUrl = this.lookupMemory(key);
+            this.recordLookup(objUrl !== null);
             return objUrl;
         },
 
         /**
-         * Delete item from cache
+         * Get item from memory tier, falling back to disk tier
+         * Disk hits are promoted into memory
          * @param {string} key - Cache key
+         * @returns {Promise<string|null>} Cached object URL or null
          */
-        delete(key) {
-            const entry = this.cache.get(key);
-            if (entry) {
-                URL.revokeObjectURL(entry.objUrl);
-                this.totalBytes -= entry.size;
-                this.cache.delete(key);
+        async getAsync(key) {
+            if (!ConfigManager.isEnabled('smartCache')) return null;
+
+            let objUrl = this.lookupMemory(key);
+            if (objUrl === null && this.isPersistent()) {
+                objUrl = await this.lookupDisk(key);
             }
+
+            this.recordLookup(objUrl !== null);
+            return objUrl;
         },
 
         /**
-         * Evict old entries based on LRU and size limit
+         * Record overall hit/miss
+         * @param {boolean} hit - Whether any tier had the entry
          */
-        evict() {
-            const limitBytes = ConfigManager.get('cacheSizeLimitMB') * 1024 * 1024;
-            
-            while (this.totalBytes > limitBytes && this.cache.size > 0) {
-                const oldestKey = this.cache.keys().next().value;
-                this.delete(oldestKey);
-                this.stats.evictions++;
+        recordLookup(hit) {
+            if (hit) {
+                this.stats.hits++;
+                Telemetry.increment('cacheHits');
+            } else {
+                this.stats.misses++;
+                Telemetry.increment('cacheMisses');
             }
         },
 
         /**
-         * Check memory pressure and reduce cache if needed
+         * Get absolute expiry time of an entry
+         * Entries without an explicit expiry fall back to cacheMaxAge
+         * @param {Object} entry - Cache entry
+         * @returns {number} Expiry timestamp in ms
          */
-        checkMemoryPressure() {
-            if (!('memory' in performance)) return;
+        getExpiry(entry) {
+            return typeof entry.expires === 'number'
+                ? entry.expires
+                : entry.timestamp + ConfigManager.get('cacheMaxAge');
+        },
 
-            const { usedJSHeapSize, jsHeapSizeLimit } = performance.memory;
-            const usage = usedJSHeapSize / jsHeapSizeLimit;
+        /**
+         * Check if entry is still fresh
+         * @param {Object} entry - Cache entry
+         * @returns {boolean} True if it can be served without revalidation
+         */
+        isFresh(entry) {
+            return Date.now() < this.getExpiry(entry);
+        },
 
-            // If memory usage > 80%, aggressively prune cache
-            if (usage > 0.8) {
-                Logger.warn(`High memory pressure (${(usage * 100).toFixed(1)}%), pruning cache`);
-                const targetSize = this.cache.size / 2;
+        /**
+         * Check if entry can be revalidated with a conditional request
+         * @param {Object} entry - Cache entry
+         * @returns {boolean} True if entry has an ETag or Last-Modified
+         */
+        hasValidators(entry) {
+            return Boolean(entry.etag || entry.lastModified);
+        },
+
+        /**
+         * Look up memory tier entry
+         * Stale entries with validators are kept for revalidation
+         * @param {string} key - Cache key
+         * @returns {string|null} Object URL or null
+         */
+        lookupMemory(key) {
+            const tier = this.tierStats.memory;
+            const entry = this.cache.get(key);
+            if (!entry) {
+                tier.misses++;
+                return null;
+            }
+
+            if (!this.isFresh(entry)) {
+                if (!this.hasValidators(entry)) {
+                    this.delete(key);
+                }
+                tier.misses++;
+                return null;
+            }
+
+            // Move to end (LRU)
+            this.cache.delete(key);
+            this.cache.set(key, entry);
+
+            tier.hits++;
+            return entry.objUrl;
+        },
+
+        /**
+         * Look up disk tier entry and promote it to memory
+         * @param {string} key - Cache key
+         * @returns {Promise<string|null>} Object URL or null
+         */
+        async lookupDisk(key) {
+            const tier = this.tierStats.disk;
+
+            try {
+                await this.diskReady;
+                const entry = await IDBStore.get('cache', key);
+                if (!entry) {
+                    tier.misses++;
+                    return null;
+                }
+
+                if (!this.isFresh(entry)) {
+                    if (!this.hasValidators(entry)) {
+                        await this.deleteFromDisk(key);
+                    }
+                    tier.misses++;
+                    return null;
+                }
+
+                // Touch for LRU ordering, no need to wait for it
+                entry.lastAccess = Date.now();
+                IDBStore.put('cache', entry).catch(e => Logger.debug('Failed to touch cache entry', e));
+
+                tier.hits++;
+                return this.setMemory(key, entry.blob, this.getMeta(entry));
+            } catch (e) {
+                Logger.debug(`Persistent cache read failed for ${key}`, e);
+                tier.misses++;
+                return null;
+            }
+        },
+
+        /**
+         * Extract freshness and validator metadata from an entry
+         * @param {Object} entry - Cache entry or disk record
+         * @returns {{timestamp: number, expires: number, etag: ?string, lastModified: ?string}} Metadata
+         */
+        getMeta(entry) {
+            return {
+                timestamp: entry.timestamp,
+                expires: this.getExpiry(entry),
+                etag: entry.etag || null,
+                lastModified: entry.lastModified || null
+            };
+        },
+
+        /**
+         * Set item in cache (memory tier, persisted to disk tier in background)
+         * @param {string} key - Cache key
+         * @param {Blob} blob - Blob data
+         * @param {Object} [policy] - Freshness/validators from parseCachePolicy
+         * @returns {string} Object URL
+         */
+        set(key, blob, policy = {}) {
+            const timestamp = Date.now();
+            const meta = {
+                timestamp,
+                expires: policy.expires || timestamp + ConfigManager.get('cacheMaxAge'),
+                etag: policy.etag || null,
+                lastModified: policy.lastModified || null
+            };
+            const objUrl = this.setMemory(key, blob, meta);
+
+            if (this.isPersistent()) {
+                this.writeToDisk(key, blob, meta).catch(e => {
+                    Logger.debug(`Persistent cache write failed for ${key}`, e);
+                });
+            }
+            return objUrl;
+        },
+
+        /**
+         * Set item in memory tier
+         * @param {string} key - Cache key
+         * @param {Blob} blob - Blob data
+         * @param {Object} meta - Metadata from getMeta
+         * @returns {string} Object URL
+         */
+        setMemory(key, blob, meta) {
+            // Replace rather than leak an existing object URL
+            this.delete(key);
+
+            const objUrl = URL.createObjectURL(blob);
+            this.cache.set(key, {
+                objUrl,
+                size: blob.size,
+                ...meta
+            });
+            this.totalBytes += blob.size;
+
+            this.evict();
+            return objUrl;
+        },
+
+        /**
+         * Persist item to disk tier
+         * @param {string} key - Cache key
+         * @param {Blob} blob - Blob data
+         * @param {Object} meta - Metadata from getMeta
+         */
+        async writeToDisk(key, blob, meta) {
+            await this.diskReady;
+            if (this.diskFailed) return;
+
+            await IDBStore.put('cache', {
+                key,
+                blob,
+                size: blob.size,
+                ...meta,
+                lastAccess: Date.now()
+            });
+
+            this.diskBytes += blob.size - (this.diskIndex.get(key) || 0);
+            this.diskIndex.set(key, blob.size);
+            await this.evictDisk();
+        },
+
+        /**
+         * Delete item from disk tier
+         * @param {string} key - Cache key
+         */
+        async deleteFromDisk(key) {
+            this.diskBytes -= this.diskIndex.get(key) || 0;
+            this.diskIndex.delete(key);
+            await IDBStore.delete('cache', key);
+        },
+
+        /**
+         * Delete item from memory tier
+         * @param {string} key - Cache key
+         */
+        delete(key) {
+            const entry = this.cache.get(key);
+            if (entry) {
+                URL.revokeObjectURL(entry.objUrl);
+                this.totalBytes -= entry.size;
+                this.cache.delete(key);
+            }
+        },
+
+        /**
+         * Evict old memory entries based on LRU and size limit
+         */
+        evict() {
+            const limitBytes = ConfigManager.get('cacheSizeLimitMB') * 1024 * 1024;
+            
+            while (this.totalBytes > limitBytes && this.cache.size > 0) {
+                const oldestKey = this.cache.keys().next().value;
+                this.delete(oldestKey);
+                this.stats.evictions++;
+                this.tierStats.memory.evictions++;
+            }
+        },
+
+        /**
+         * Evict least recently used disk entries based on size limit
+         */
+        async evictDisk() {
+            const limitBytes = ConfigManager.get('cacheSizeLimitMB') * 1024 * 1024;
+            if (this.diskBytes <= limitBytes) return;
+
+            await IDBStore.iterate('cache', 'lastAccess', (cursor) => {
+                if (this.diskBytes <= limitBytes) return false;
+
+                const { key } = cursor.value;
+                this.diskBytes -= this.diskIndex.get(key) || 0;
+                this.diskIndex.delete(key);
+                cursor.delete();
+                this.tierStats.disk.evictions++;
+            }, 'readwrite');
+        },
+
+        /**
+         * Check memory pressure and reduce cache if needed
+         */
+        checkMemoryPressure() {
+            if (!('memory' in performance)) return;
+
+            const { usedJSHeapSize, jsHeapSizeLimit } = performance.memory;
+            const usage = usedJSHeapSize / jsHeapSizeLimit;
+
+            // If memory usage > 80%, aggressively prune cache
+            // (disk tier is unaffected, pruned entries can be promoted again)
+            if (usage > 0.8) {
+                Logger.warn(`High memory pressure (${(usage * 100).toFixed(1)}%), pruning cache`);
+                const targetSize = this.cache.size / 2;
                 let count = 0;
                 
                 for (const key of this.cache.keys()) {
@@ -753,16 +2560,205 @@
             }
         },
 
+        /**
+         * Parse a Cache-Control header into directives
+         * @param {string|null} header - Header value
+         * @returns {Object<string, string|true>} Directive map (lowercased names)
+         */
+        parseCacheControl(header) {
+            const directives = {};
+            if (!header) return directives;
+
+            for (const part of header.split(',')) {
+                const [name, ...rest] = part.trim().split('=');
+                if (!name) continue;
+                const value = rest.join('=').trim().replace(/^"|"$/g, '');
+                directives[name.toLowerCase()] = value || true;
+            }
+            return directives;
+        },
+
+        /**
+         * Derive storability, expiry and validators from response headers
+         * Cross-origin responses only expose CORS-safelisted headers, so ETag
+         * and Age are often unavailable and we fall back to what we can see.
+         * @param {Response} response - Fetch response
+         * @returns {{storable: boolean, expires?: number, etag?: ?string, lastModified?: ?string}} Policy
+         */
+        parseCachePolicy(response) {
+            const headers = response.headers;
+            const now = Date.now();
+            const directives = this.parseCacheControl(headers.get('Cache-Control'));
+            // Entries are keyed by URL alone, so a response that varies on request headers
+            // (Accept for image formats, Cookie, ...) can't be reused; Accept-Encoding is
+            // transparent to us since we store the decoded body
+            const varied = (headers.get('Vary') || '').split(',')
+                .map(name => name.trim().toLowerCase())
+                .some(name => name && name !== 'accept-encoding');
+
+            // We are a shared, script-managed cache: never keep private or no-store data
+            if (directives['no-store'] || directives['private'] || varied) {
+                return { storable: false };
+            }
+
+            let lifetime = null;
+            if (directives['no-cache']) {
+                lifetime = 0;
+            } else if (directives['max-age'] !== undefined) {
+                const maxAge = parseInt(directives['max-age'], 10);
+                lifetime = isNaN(maxAge) ? 0 : maxAge * 1000;
+            } else if (headers.has('Expires')) {
+                const expires = Date.parse(headers.get('Expires'));
+                const date = Date.parse(headers.get('Date')) || now;
+                // An invalid Expires value means "already expired"
+                lifetime = isNaN(expires) ? 0 : expires - date;
+            }
+
+            if (lifetime === null) {
+                // No explicit freshness information, use configured TTL
+                lifetime = ConfigManager.get('cacheMaxAge');
+            } else {
+                const age = parseInt(headers.get('Age'), 10);
+                if (!isNaN(age)) lifetime -= age * 1000;
+            }
+
+            return {
+                storable: true,
+                expires: now + Math.max(0, lifetime),
+                etag: headers.get('ETag'),
+                lastModified: headers.get('Last-Modified')
+            };
+        },
+
+        /**
+         * Find a stale entry that can be revalidated
+         * @param {string} key - Cache key
+         * @returns {Promise<Object|null>} Memory entry or disk record
+         */
+        async getRevalidationCandidate(key) {
+            const entry = this.cache.get(key);
+            if (entry && this.hasValidators(entry)) return entry;
+
+            if (!this.isPersistent()) return null;
+            try {
+                await this.diskReady;
+                const record = await IDBStore.get('cache', key);
+                return record && this.hasValidators(record) ? record : null;
+            } catch (e) {
+                return null;
+            }
+        },
+
+        /**
+         * Extend a revalidated entry's freshness in both tiers
+         * @param {string} key - Cache key
+         * @param {Object} stale - Entry returned by getRevalidationCandidate
+         * @param {Object} policy - Policy of the validating response
+         * @returns {Promise<string>} Object URL
+         */
+        async refresh(key, stale, policy) {
+            const meta = {
+                timestamp: stale.timestamp,
+                expires: policy.expires,
+                etag: policy.etag || stale.etag || null,
+                lastModified: policy.lastModified || stale.lastModified || null
+            };
+            this.stats.revalidated++;
+
+            let objUrl;
+            const entry = this.cache.get(key);
+            if (entry) {
+                Object.assign(entry, meta);
+                objUrl = entry.objUrl;
+            } else if (stale.blob) {
+                objUrl = this.setMemory(key, stale.blob, meta);
+            } else {
+                // Memory entry was evicted while revalidating
+                objUrl = key;
+            }
+
+            if (this.isPersistent()) {
+                try {
+                    const record = stale.blob ? stale : await IDBStore.get('cache', key);
+                    if (record) {
+                        await IDBStore.put('cache', { ...record, ...meta, lastAccess: Date.now() });
+                    }
+                } catch (e) {
+                    Logger.debug(`Failed to refresh persistent entry for ${key}`, e);
+                }
+            }
+            return objUrl;
+        },
+
+        /**
+         * Drop an entry from both tiers
+         * @param {string} key - Cache key
+         */
+        async purge(key) {
+            this.delete(key);
+            if (this.diskIndex.has(key)) {
+                await this.deleteFromDisk(key);
+            }
+        },
+
+        /**
+         * Fetch from network, revalidating a stale entry when we have one
+         * @param {string} url - Resource URL
+         * @param {Object|null} stale - Stale entry with validators
+         * @returns {Promise<string>} Object URL or original URL
+         */
+        async fetchFromNetwork(url, stale) {
+            const init = {};
+            if (stale) {
+                const parsed = URLCache.parse(url);
+                if (parsed && parsed.origin === location.origin) {
+                    // Same-origin: explicit conditional request (no preflight needed)
+                    const headers = {};
+                    if (stale.etag) headers['If-None-Match'] = stale.etag;
+                    if (stale.lastModified) headers['If-Modified-Since'] = stale.lastModified;
+                    init.headers = headers;
+                    init.cache = 'no-store';
+                } else {
+                    // Cross-origin: custom headers would trigger a preflight,
+                    // let the browser revalidate with its own validators instead
+                    init.cache = 'no-cache';
+                }
+            }
+
+            const response = await ServiceWorkerCache.fetchDirect(url, init);
+            const policy = response.status === 304 || response.ok
+                ? this.parseCachePolicy(response)
+                : null;
+
+            if (stale && policy && policy.storable) {
+                const etag = response.headers.get('ETag');
+                if (response.status === 304 || (etag && etag === stale.etag)) {
+                    if (response.body) response.body.cancel().catch(() => {});
+                    return this.refresh(url, stale, policy);
+                }
+            }
+
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+            // Already-expired responses without validators would never be served
+            if (!policy.storable || (!this.isFresh(policy) && !this.hasValidators(policy))) {
+                if (response.body) response.body.cancel().catch(() => {});
+                await this.purge(url);
+                this.stats.uncacheable++;
+                return url;
+            }
+
+            const blob = await response.blob();
+            return this.set(url, blob, policy);
+        },
+
         /**
          * Fetch and cache resource with deduplication
+         * Honours Cache-Control/Expires and revalidates stale entries
          * @param {string} url - Resource URL
          * @returns {Promise<string>} Object URL or original URL
          */
         async fetch(url) {
-            // Check cache first
-            const cached = this.get(url);
-            if (cached) return cached;
-
             // Check if already fetching this URL
             if (this.inFlightRequests.has(url)) {
                 return this.inFlightRequests.get(url);
@@ -771,11 +2767,12 @@
             // Create new fetch promise
             const fetchPromise = (async () => {
                 try {
-                    const response = await fetch(url, { cache: 'force-cache' });
-                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
-                    
-                    const blob = await response.blob();
-                    return this.set(url, blob);
+                    // Check both cache tiers first
+                    const cached = await this.getAsync(url);
+                    if (cached) return cached;
+
+                    const stale = await this.getRevalidationCandidate(url);
+                    return await this.fetchFromNetwork(url, stale);
                 } catch (e) {
                     Logger.debug(`Cache fetch failed for ${url}`, e);
                     return url;  // Return original URL on failure
@@ -791,25 +2788,56 @@
 
         /**
          * Get cache statistics
-         * @returns {Object} Cache stats
+         * @returns {Object} Cache stats, with per-tier breakdown in `tiers`
          */
         getStats() {
+            const toMB = bytes => (bytes / 1024 / 1024).toFixed(2);
+
             return {
                 ...this.stats,
                 size: this.cache.size,
                 bytes: this.totalBytes,
-                mb: (this.totalBytes / 1024 / 1024).toFixed(2)
+                mb: toMB(this.totalBytes),
+                tiers: {
+                    memory: {
+                        ...this.tierStats.memory,
+                        size: this.cache.size,
+                        bytes: this.totalBytes,
+                        mb: toMB(this.totalBytes)
+                    },
+                    disk: {
+                        ...this.tierStats.disk,
+                        enabled: this.isPersistent(),
+                        size: this.diskIndex.size,
+                        bytes: this.diskBytes,
+                        mb: toMB(this.diskBytes)
+                    }
+                }
             };
         },
 
         /**
-         * Clear all cache
+         * Clear all cache tiers
          */
-        clear() {
+        async clear() {
             for (const key of this.cache.keys()) {
                 this.delete(key);
             }
-            this.stats = { hits: 0, misses: 0, evictions: 0 };
+            this.stats = { hits: 0, misses: 0, evictions: 0, revalidated: 0, uncacheable: 0 };
+            this.tierStats = {
+                memory: { hits: 0, misses: 0, evictions: 0 },
+                disk: { hits: 0, misses: 0, evictions: 0 }
+            };
+
+            if (IDBStore.isAvailable()) {
+                try {
+                    await IDBStore.clear('cache');
+                } catch (e) {
+                    Logger.debug('Failed to clear persistent cache', e);
+                }
+            }
+            this.diskIndex.clear();
+            this.diskBytes = 0;
         },
 
         /**
@@ -942,6 +2970,19 @@
                 link.setAttribute(key, extra[key]);
             }
             return link;
+        },
+
+        /**
+         * Create host element with a closed shadow root for isolated UI
+         * @param {string} id - Host element id
+         * @param {string} css - Stylesheet scoped to the shadow root
+         * @returns {{host: HTMLDivElement, root: ShadowRoot}} Host and shadow root
+         */
+        createShadowHost(id, css) {
+            const host = this.createElement('div', { id });
+            const root = host.attachShadow({ mode: 'closed' });
+            root.appendChild(this.createElement('style', { textContent: css }));
+            return { host, root };
         }
     };
 
@@ -1123,6 +3164,7 @@
 
     /**
      * Image optimization module
+     * Rewrites images to modern formats only where the origin is known to serve them
      * @namespace ImageOptimizer
      */
     const ImageOptimizer = {
@@ -1139,80 +3181,713 @@
         observer: null,
 
         /**
-         * Initialize image optimization
+         * Tiny test images used for decode capability detection
+         * @type {Object<string, string>}
          */
-        init() {
-            if (!ConfigManager.isEnabled('imageRewriter')) return;
-
-            // Optimize existing images
-            SafeScheduler.idle(() => {
-                document.querySelectorAll('img').forEach(img => this.optimize(img));
-            });
-
-            // Observe new images
-            SafeScheduler.idle(() => {
-                this.observeNewImages();
-            });
+        formatTests: {
+            avif: 'data:image/avif;base64,AAAAIGZ0eXBhdmlmAAAAAGF2aWZtaWYxbWlhZk1BMUIAAADybWV0YQAAAAAAAAAoaGRscgAAAAAAAAAAcGljdAAAAAAAAAAAAAAAAGxpYmF2aWYAAAAADnBpdG0AAAAAAAEAAAAeaWxvYwAAAABEAAABAAEAAAABAAABGgAAAB0AAAAoaWluZgAAAAAAAQAAABppbmZlAgAAAAABAABhdjAxQ29sb3IAAAAAamlwcnAAAABLaXBjbwAAABRpc3BlAAAAAAAAAAIAAAACAAAAEHBpeGkAAAAAAwgICAAAAAxhdjFDgQ0MAAAAABNjb2xybmNseAACAAIAAYAAAAAXaXBtYQAAAAAAAAABAAEEAQKDBAAAACVtZGF0EgAKCBgANogQEAwgMg8f8D///8WfhwB8+ErK42A=',
+            webp: 'data:image/webp;base64,UklGRiIAAABXRUJQVlA4IBYAAAAwAQCdASoBAAEADsD+JaQAA3AAAAAA'
         },
 
         /**
-         * Observe new images being added to DOM (uses unified observer)
+         * Resolves to the set of formats this browser can decode
+         * @type {Promise<Set<string>>|null}
          */
-        async observeNewImages() {
-            try {
-                await DOMHelper.waitForElement('body');
-                
-                // Use unified observer for better performance
-                const debouncedHandler = SafeScheduler.debounce((mutations) => {
-                    for (const mutation of mutations) {
-                        for (const node of mutation.addedNodes) {
-                            if (node.tagName === 'IMG') {
-                                this.optimize(node);
-                            } else if (node.querySelectorAll) {
-                                node.querySelectorAll('img').forEach(img => this.optimize(img));
-                            }
-                        }
-                    }
-                }, 100);
-                
-                this.observer = ObserverManager.registerHandler(debouncedHandler);
-            } catch (e) {
-                Logger.debug('Failed to observe images', e);
-            }
-        },
+        supportPromise: null,
 
         /**
-         * Optimize single image
-         * @param {HTMLImageElement} img - Image element
+         * Source extensions never worth rewriting (vector, animated or already modern)
+         * @type {string[]}
          */
-        async optimize(img) {
-            if (!img || !img.src || this.optimized.has(img)) return;
-
-            try {
-                const url = new URL(img.src, location.href);
-                const ext = url.pathname.split('.').pop().toLowerCase();
-                
-                if (!ConfigManager.get('imageFormats').includes(ext)) return;
+        skipExtensions: ['svg', 'gif', 'webp', 'avif', 'ico'],
 
-                const preferFormat = ConfigManager.get('preferFormat');
-                const newUrl = url.href.replace(new RegExp(`\\.${ext}$`, 'i'), `.${preferFormat}`);
-                
-                const cachedUrl = await CacheManager.fetch(newUrl);
-                img.src = cachedUrl;
-                
-                this.optimized.add(img);
-                Telemetry.increment('rewrittenImages');
+        /**
+         * Rewrite strategies, tried in order; the first whose match() passes wins.
+         * rewrite() returns the alternate URL string or null if not applicable.
+         * @type {Array<{name: string, formats: string[], match: Function, rewrite: Function}>}
+         */
+        strategies: [
+            {
+                // https://res.cloudinary.com/<cloud>/image/upload/<transforms>/<id>
+                name: 'cloudinary',
+                formats: ['avif', 'webp'],
+                match: url => url.hostname === 'res.cloudinary.com' || url.pathname.includes('/image/upload/'),
+                rewrite(url, format) {
+                    if (/\/upload\/(?:[^/]*,)?f_/.test(url.pathname)) return null;
+                    const next = new URL(url.href);
+                    next.pathname = url.pathname.replace('/upload/', `/upload/f_${format}/`);
+                    return next.href;
+                }
+            },
+            {
+                // https://example.com/cdn-cgi/image/<options>/<path>
+                name: 'cloudflare',
+                formats: ['avif', 'webp'],
+                match: url => url.pathname.startsWith('/cdn-cgi/image/'),
+                rewrite(url, format) {
+                    const [, options] = url.pathname.match(/^\/cdn-cgi\/image\/([^/]*)/) || [];
+                    if (options === undefined || /(?:^|,)(?:format|f)=/.test(options)) return null;
+                    const next = new URL(url.href);
+                    next.pathname = url.pathname.replace(
+                        `/cdn-cgi/image/${options}`,
+                        `/cdn-cgi/image/${options ? `${options},` : ''}format=${format}`
+                    );
+                    return next.href;
+                }
+            },
+            {
+                // imgix, Contentful and Sanity all take ?fm=<format>
+                name: 'fm-param',
+                formats: ['avif', 'webp'],
+                match: url => url.hostname.endsWith('.imgix.net') ||
+                    url.hostname === 'images.ctfassets.net' ||
+                    url.hostname === 'cdn.sanity.io',
+                rewrite(url, format) {
+                    if (url.searchParams.has('fm')) return null;
+                    const next = new URL(url.href);
+                    next.searchParams.set('fm', format);
+                    return next.href;
+                }
+            },
+            {
+                // Shopify CDN takes ?format=<format>
+                name: 'shopify',
+                formats: ['webp'],
+                match: url => url.hostname === 'cdn.shopify.com' || url.pathname.startsWith('/cdn/shop/'),
+                rewrite(url, format) {
+                    if (url.searchParams.has('format')) return null;
+                    const next = new URL(url.href);
+                    next.searchParams.set('format', format);
+                    return next.href;
+                }
+            },
+            {
+                // Sibling file with a different extension (image.jpg -> image.webp)
+                // Whether a sibling exists says nothing about other files, so each URL is probed
+                name: 'extension',
+                formats: ['avif', 'webp'],
+                probePerUrl: true,
+                match: url => ConfigManager.get('imageFormats').includes(ImageOptimizer.getExtension(url)),
+                rewrite(url, format) {
+                    const ext = ImageOptimizer.getExtension(url);
+                    const next = new URL(url.href);
+                    next.pathname = url.pathname.replace(new RegExp(`\\.${ext}$`, 'i'), `.${format}`);
+                    return next.href;
+                }
+            }
+        ],
+
+        /**
+         * Probe results keyed by `origin|strategy|format` (CDN parameters apply origin-wide)
+         * or `url|strategy|format` for strategies with probePerUrl
+         * @type {Object<string, {ok: boolean, checked: number}>}
+         */
+        probes: {},
+
+        /**
+         * In-flight probes to avoid probing the same key twice
+         * @type {Map<string, Promise<boolean>>}
+         */
+        inFlightProbes: new Map(),
+
+        /**
+         * How long a probe result is trusted
+         * @type {number}
+         */
+        probeTTL: 7 * 24 * 60 * 60 * 1000,
+
+        /**
+         * Maximum number of stored probe results
+         * @type {number}
+         */
+        maxProbes: 1000,
+
+        /**
+         * Debounced probe persistence (created in init)
+         * @type {Function|null}
+         */
+        saveProbes: null,
+
+        /**
+         * Added subtrees waiting for the next batched scan
+         * @type {Set<Element>}
+         */
+        pendingRoots: new Set(),
+
+        /**
+         * Whether a batched scan is scheduled
+         * @type {boolean}
+         */
+        flushScheduled: false,
+
+        /**
+         * Matches url(...) tokens in CSS values
+         * @type {RegExp}
+         */
+        cssUrlPattern: /url\(\s*(['"]?)(.*?)\1\s*\)/g,
+
+        /**
+         * Initialize image optimization
+         */
+        async init() {
+            if (!ConfigManager.isEnabled('imageRewriter')) return;
+
+            this.probes = await ConfigManager.loadFromStorage('webperf_format_probes') || {};
+            this.saveProbes = SafeScheduler.debounce(() => {
+                ConfigManager.saveToStorage('webperf_format_probes', this.probes);
+            }, 1000);
+
+            // Optimize existing images
+            SafeScheduler.idle(() => {
+                this.optimizeTree(document);
+            });
+
+            // Background images need computed styles, so scan them separately
+            SafeScheduler.idle(() => {
+                if (document.body) this.scanBackgrounds([document.body]);
+            });
+
+            // Observe new images
+            SafeScheduler.idle(() => {
+                this.observeNewImages();
+            });
+        },
+
+        /**
+         * Observe new images being added to DOM (uses unified observer)
+         */
+        async observeNewImages() {
+            try {
+                await DOMHelper.waitForElement('body');
+                
+                // Use unified observer for better performance; added subtrees from every
+                // mutation batch are collected and handled together in one idle period
+                this.observer = ObserverManager.registerHandler((mutations) => {
+                    for (const mutation of mutations) {
+                        for (const node of mutation.addedNodes) {
+                            if (node.nodeType === Node.ELEMENT_NODE) this.pendingRoots.add(node);
+                        }
+                    }
+                    if (this.pendingRoots.size > 0 && !this.flushScheduled) {
+                        this.flushScheduled = true;
+                        SafeScheduler.idle(() => this.flushPending());
+                    }
+                });
+            } catch (e) {
+                Logger.debug('Failed to observe images', e);
+            }
+        },
+
+        /**
+         * Optimize every picture and image in a subtree
+         * @param {ParentNode} root - Root node
+         */
+        optimizeTree(root) {
+            if (root.tagName === 'PICTURE') {
+                this.optimizePicture(root);
+            }
+            root.querySelectorAll('picture').forEach(picture => this.optimizePicture(picture));
+            root.querySelectorAll('img').forEach(img => this.optimize(img));
+        },
+
+        /**
+         * Get lowercased file extension of a URL path
+         * @param {URL} url - Parsed URL
+         * @returns {string} Extension or empty string
+         */
+        getExtension(url) {
+            const match = url.pathname.match(/\.([a-z0-9]+)$/i);
+            return match ? match[1].toLowerCase() : '';
+        },
+
+        /**
+         * Detect which modern formats the browser can decode
+         * @returns {Promise<Set<string>>} Supported formats
+         */
+        detectSupport() {
+            if (this.supportPromise) return this.supportPromise;
+
+            const test = (format) => new Promise(resolve => {
+                const img = new Image();
+                img.onload = () => resolve(img.width > 0 && img.height > 0);
+                img.onerror = () => resolve(false);
+                img.src = this.formatTests[format];
+            });
+
+            this.supportPromise = Promise.all(
+                Object.keys(this.formatTests).map(async format => [format, await test(format)])
+            ).then(results => {
+                const supported = new Set(results.filter(([, ok]) => ok).map(([format]) => format));
+                Logger.debug(`Image formats supported: ${[...supported].join(', ') || 'none'}`);
+                return supported;
+            });
+
+            return this.supportPromise;
+        },
+
+        /**
+         * Formats to try, in preference order
+         * @returns {Promise<string[]>} Candidate formats
+         */
+        async getCandidateFormats() {
+            const supported = await this.detectSupport();
+            const order = [ConfigManager.get('preferFormat'), 'avif', 'webp'];
+            return [...new Set(order)].filter(format => supported.has(format));
+        },
+
+        /**
+         * Check whether an origin actually serves the alternate format
+         * @param {string} key - Probe cache key
+         * @param {string} url - Rewritten URL to probe
+         * @param {string} format - Expected format
+         * @returns {Promise<boolean>} True if the alternate is served
+         */
+        async verify(key, url, format) {
+            const known = this.probes[key];
+            if (known && Date.now() - known.checked < this.probeTTL) {
+                return known.ok;
+            }
+
+            if (this.inFlightProbes.has(key)) {
+                return this.inFlightProbes.get(key);
+            }
+
+            const probePromise = this.probe(url, format)
+                .catch(() => false)
+                .then(ok => {
+                    this.recordProbe(key, ok);
+                    this.inFlightProbes.delete(key);
+                    return ok;
+                });
+
+            this.inFlightProbes.set(key, probePromise);
+            return probePromise;
+        },
+
+        /**
+         * Probe a rewritten URL
+         * Same-origin uses a HEAD request; cross-origin HEAD needs CORS,
+         * so there we load it as an image instead
+         * @param {string} url - Rewritten URL
+         * @param {string} format - Expected format
+         * @returns {Promise<boolean>} True if the URL serves a decodable image
+         */
+        async probe(url, format) {
+            const parsed = URLCache.parse(url);
+            if (parsed && parsed.origin === location.origin) {
+                const response = await fetch(url, { method: 'HEAD' });
+                const type = response.headers.get('Content-Type');
+                return response.ok && (!type || type.includes(`image/${format}`));
+            }
+
+            return new Promise(resolve => {
+                const img = new Image();
+                // Webperf's own probe, not a page request
+                AdTrackerBlocker.internalImages.add(img);
+                img.onload = () => resolve(img.naturalWidth > 0);
+                img.onerror = () => resolve(false);
+                img.src = url;
+            });
+        },
+
+        /**
+         * Store probe result (bounded, persisted to GM storage)
+         * @param {string} key - Probe cache key
+         * @param {boolean} ok - Probe result
+         */
+        recordProbe(key, ok) {
+            delete this.probes[key];
+            this.probes[key] = { ok, checked: Date.now() };
+
+            // Objects keep insertion order, so the first keys are the oldest
+            const keys = Object.keys(this.probes);
+            for (let i = 0; i < keys.length - this.maxProbes; i++) {
+                delete this.probes[keys[i]];
+            }
+
+            if (this.saveProbes) this.saveProbes();
+        },
+
+        /**
+         * Find a verified alternate URL for an image
+         * @param {URL} url - Original image URL
+         * @param {string[]} [onlyFormats] - Restrict to these formats
+         * @returns {Promise<{href: string, key: string, format: string}|null>} Alternate URL and its probe key
+         */
+        async findAlternate(url, onlyFormats = null) {
+            if (!url || !url.protocol.startsWith('http')) return null;
+            if (this.skipExtensions.includes(this.getExtension(url))) return null;
+
+            const strategy = this.strategies.find(s => s.match(url));
+            if (!strategy) return null;
+
+            let formats = await this.getCandidateFormats();
+            if (onlyFormats) formats = formats.filter(format => onlyFormats.includes(format));
+
+            for (const format of formats) {
+                if (!strategy.formats.includes(format)) continue;
+
+                const href = strategy.rewrite(url, format);
+                if (!href || href === url.href) continue;
+
+                const scope = strategy.probePerUrl ? url.href.split('#')[0] : url.origin;
+                const key = `${scope}|${strategy.name}|${format}`;
+                if (await this.verify(key, href, format)) {
+                    return { href, key, format };
+                }
+            }
+            return null;
+        },
+
+        /**
+         * Parse a srcset attribute into candidates
+         * Follows the HTML parsing rules so URLs containing commas survive
+         * @param {string} value - srcset attribute value
+         * @returns {Array<{url: string, descriptor: string}>} Candidates
+         */
+        parseSrcset(value) {
+            const candidates = [];
+            const len = value.length;
+            let pos = 0;
+
+            while (pos < len) {
+                // Skip whitespace and separating commas
+                while (pos < len && /[\s,]/.test(value[pos])) pos++;
+                if (pos >= len) break;
+
+                const start = pos;
+                while (pos < len && !/\s/.test(value[pos])) pos++;
+                let url = value.slice(start, pos);
+                let descriptor = '';
+
+                if (url.endsWith(',')) {
+                    url = url.replace(/,+$/, '');
+                } else {
+                    // Descriptors run to the next comma outside parentheses
+                    const descStart = pos;
+                    let depth = 0;
+                    while (pos < len) {
+                        const char = value[pos];
+                        if (char === '(') depth++;
+                        else if (char === ')') depth = Math.max(0, depth - 1);
+                        else if (char === ',' && depth === 0) break;
+                        pos++;
+                    }
+                    descriptor = value.slice(descStart, pos).trim();
+                    pos++;
+                }
+
+                if (url) candidates.push({ url, descriptor });
+            }
+            return candidates;
+        },
+
+        /**
+         * Serialize srcset candidates
+         * @param {Array<{url: string, descriptor: string}>} candidates - Candidates
+         * @returns {string} srcset attribute value
+         */
+        serializeSrcset(candidates) {
+            return candidates
+                .map(({ url, descriptor }) => descriptor ? `${url} ${descriptor}` : url)
+                .join(', ');
+        },
+
+        /**
+         * Rewrite every candidate of a srcset that has a verified alternate
+         * @param {string} value - srcset attribute value
+         * @param {string[]} [onlyFormats] - Restrict to these formats
+         * @returns {Promise<{srcset: string, keys: string[]}|null>} Rewritten srcset or null if unchanged
+         */
+        async rewriteSrcset(value, onlyFormats = null) {
+            const candidates = this.parseSrcset(value);
+            const keys = new Set();
+            let changed = false;
+
+            for (const candidate of candidates) {
+                const alternate = await this.findAlternate(URLCache.parse(candidate.url), onlyFormats);
+                if (alternate) {
+                    candidate.url = alternate.href;
+                    keys.add(alternate.key);
+                    changed = true;
+                }
+            }
+
+            return changed ? { srcset: this.serializeSrcset(candidates), keys: [...keys] } : null;
+        },
+
+        /**
+         * Optimize single image (src and srcset)
+         * @param {HTMLImageElement} img - Image element
+         */
+        async optimize(img) {
+            if (!img || this.optimized.has(img)) return;
+
+            const originalSrc = img.getAttribute('src');
+            const originalSrcset = img.getAttribute('srcset');
+            if (!originalSrc && !originalSrcset) return;
+            this.optimized.add(img);
+
+            try {
+                const changes = {};
+                const keys = new Set();
+
+                if (originalSrcset) {
+                    const rewritten = await this.rewriteSrcset(originalSrcset);
+                    if (rewritten) {
+                        changes.srcset = rewritten.srcset;
+                        rewritten.keys.forEach(key => keys.add(key));
+                    }
+                }
+
+                if (originalSrc) {
+                    const alternate = await this.findAlternate(URLCache.parse(originalSrc));
+                    if (alternate) {
+                        // With a srcset the src is only a fallback, not worth caching
+                        changes.src = originalSrcset
+                            ? alternate.href
+                            : await CacheManager.fetch(alternate.href);
+                        keys.add(alternate.key);
+                    }
+                }
+
+                if (Object.keys(changes).length === 0) return;
+
+                // Page may have swapped the image while we were probing
+                if (img.getAttribute('src') !== originalSrc ||
+                    img.getAttribute('srcset') !== originalSrcset) return;
+
+                this.applyRewrite(img, changes, [...keys]);
+                if (changes.src) Telemetry.increment('rewrittenImages');
+                if (changes.srcset) Telemetry.increment('rewrittenSrcsets');
             } catch (e) {
                 Logger.debug('Image optimization failed', e);
             }
         },
 
+        /**
+         * Swap image attributes, reverting to the originals if it fails to load or decode
+         * @param {HTMLImageElement} img - Image element
+         * @param {{src?: string, srcset?: string}} changes - New attribute values
+         * @param {string[]} probeKeys - Probe cache keys to invalidate on failure
+         */
+        applyRewrite(img, changes, probeKeys) {
+            const onError = () => {
+                img.removeEventListener('load', onLoad);
+                this.revert(img);
+                probeKeys.forEach(key => this.recordProbe(key, false));
+                Telemetry.increment('revertedImages');
+                Logger.debug(`Reverted image after decode error: ${img.currentSrc || img.src}`);
+            };
+            const onLoad = () => {
+                img.removeEventListener('error', onError);
+            };
+
+            img.addEventListener('error', onError, { once: true });
+            img.addEventListener('load', onLoad, { once: true });
+
+            // Set srcset before src so the browser only starts one request
+            if (changes.srcset) {
+                img.dataset.webperfOriginalSrcset = img.getAttribute('srcset');
+                img.setAttribute('srcset', changes.srcset);
+            }
+            if (changes.src) {
+                img.dataset.webperfOriginalSrc = img.getAttribute('src');
+                img.setAttribute('src', changes.src);
+            }
+        },
+
+        /**
+         * Restore original image attributes (and drop generated picture sources)
+         * @param {HTMLImageElement} img - Image element
+         */
+        revert(img) {
+            const { webperfOriginalSrc, webperfOriginalSrcset } = img.dataset;
+            if (webperfOriginalSrcset !== undefined) {
+                delete img.dataset.webperfOriginalSrcset;
+                img.setAttribute('srcset', webperfOriginalSrcset);
+            }
+            if (webperfOriginalSrc !== undefined) {
+                delete img.dataset.webperfOriginalSrc;
+                img.setAttribute('src', webperfOriginalSrc);
+            }
+
+            const picture = img.parentElement;
+            if (picture && picture.tagName === 'PICTURE') {
+                picture.querySelectorAll('source[data-webperf-generated]').forEach(source => source.remove());
+            }
+        },
+
+        /**
+         * Add modern-format <source> entries to a picture that lacks them
+         * @param {HTMLPictureElement} picture - Picture element
+         */
+        async optimizePicture(picture) {
+            if (this.optimized.has(picture)) return;
+            this.optimized.add(picture);
+
+            try {
+                const formats = await this.getCandidateFormats();
+                const sources = Array.from(picture.children)
+                    .filter(el => el.tagName === 'SOURCE' && el.hasAttribute('srcset'));
+
+                // Site already offers a format we can decode, the browser will pick it
+                const modernTypes = formats.map(format => `image/${format}`);
+                if (sources.some(source => modernTypes.includes((source.type || '').toLowerCase()))) return;
+
+                const keys = new Set();
+                let added = 0;
+
+                for (const source of sources) {
+                    for (const format of formats) {
+                        const rewritten = await this.rewriteSrcset(source.getAttribute('srcset'), [format]);
+                        if (!rewritten) continue;
+
+                        const generated = document.createElement('source');
+                        generated.type = `image/${format}`;
+                        generated.srcset = rewritten.srcset;
+                        ['media', 'sizes', 'width', 'height'].forEach(attr => {
+                            if (source.hasAttribute(attr)) generated.setAttribute(attr, source.getAttribute(attr));
+                        });
+                        generated.dataset.webperfGenerated = '';
+                        picture.insertBefore(generated, source);
+
+                        rewritten.keys.forEach(key => keys.add(key));
+                        added++;
+                        break;
+                    }
+                }
+
+                if (added === 0) return;
+
+                const img = picture.querySelector('img');
+                if (img) {
+                    img.addEventListener('error', () => {
+                        if (!picture.querySelector('source[data-webperf-generated]')) return;
+                        this.revert(img);
+                        keys.forEach(key => this.recordProbe(key, false));
+                        Telemetry.increment('revertedImages');
+                    }, { once: true });
+                }
+                Telemetry.increment('rewrittenSources', added);
+            } catch (e) {
+                Logger.debug('Picture optimization failed', e);
+            }
+        },
+
+        /**
+         * Optimize the subtrees added since the last flush
+         */
+        flushPending() {
+            this.flushScheduled = false;
+            // Skip removed nodes and nodes inside another pending subtree
+            const insidePending = (node) => {
+                for (let parent = node.parentElement; parent; parent = parent.parentElement) {
+                    if (this.pendingRoots.has(parent)) return true;
+                }
+                return false;
+            };
+            const roots = [...this.pendingRoots].filter(node => node.isConnected && !insidePending(node));
+            this.pendingRoots.clear();
+
+            roots.forEach(node => {
+                if (node.tagName === 'IMG') {
+                    this.optimize(node);
+                } else {
+                    this.optimizeTree(node);
+                }
+            });
+            this.scanBackgrounds(roots);
+        },
+
+        /**
+         * Scan subtrees for inline background images
+         * Stylesheet backgrounds are left alone: an inline override would pin them
+         * past hover states, media queries and later class changes
+         * @param {Element[]} roots - Root elements
+         */
+        scanBackgrounds(roots) {
+            for (const root of roots) {
+                if (!root || !root.querySelectorAll) continue;
+
+                if (root.matches && root.matches('[style*="background"]')) {
+                    this.optimizeBackground(root);
+                }
+                root.querySelectorAll('[style*="background"]').forEach(el => this.optimizeBackground(el));
+            }
+        },
+
+        /**
+         * Load an image off-DOM to confirm it decodes
+         * Background images have no error event, so we check before swapping
+         * @param {string} url - Image URL
+         * @returns {Promise<boolean>} True if it decoded
+         */
+        preload(url) {
+            return new Promise(resolve => {
+                const img = new Image();
+                // Webperf's own probe, not a page request
+                AdTrackerBlocker.internalImages.add(img);
+                img.onload = () => resolve(img.naturalWidth > 0);
+                img.onerror = () => resolve(false);
+                img.src = url;
+            });
+        },
+
+        /**
+         * Rewrite inline background-image URLs of an element
+         * The original value is kept in data-webperf-original-bg for cleanup
+         * @param {HTMLElement} el - Element with an inline background image
+         */
+        async optimizeBackground(el) {
+            if (this.optimized.has(el) || !el.style) return;
+
+            const value = el.style.backgroundImage;
+            if (!value || !value.includes('url(')) return;
+            this.optimized.add(el);
+
+            try {
+                let rewritten = value;
+                for (const match of [...value.matchAll(this.cssUrlPattern)]) {
+                    const alternate = await this.findAlternate(URLCache.parse(match[2]));
+                    if (!alternate) continue;
+
+                    if (!(await this.preload(alternate.href))) {
+                        this.recordProbe(alternate.key, false);
+                        Telemetry.increment('revertedImages');
+                        continue;
+                    }
+                    rewritten = rewritten.replace(match[0], `url("${alternate.href}")`);
+                }
+
+                if (rewritten === value) return;
+
+                // Page may have changed the background while we were probing
+                if (el.style.backgroundImage !== value) return;
+
+                el.dataset.webperfOriginalBg = value;
+                el.style.setProperty('background-image', rewritten, el.style.getPropertyPriority('background-image'));
+                Telemetry.increment('rewrittenBackgrounds');
+            } catch (e) {
+                Logger.debug('Background image optimization failed', e);
+            }
+        },
+
         /**
          * Cleanup
          */
         cleanup() {
             ObserverManager.disconnect(this.observer);
             this.observer = null;
+            this.pendingRoots.clear();
+
+            // Put rewritten backgrounds back so a disabled rewriter leaves no trace
+            document.querySelectorAll('[data-webperf-original-bg]').forEach(el => {
+                el.style.setProperty('background-image', el.dataset.webperfOriginalBg,
+                    el.style.getPropertyPriority('background-image'));
+                delete el.dataset.webperfOriginalBg;
+                this.optimized.delete(el);
+            });
         }
     };
 
@@ -1314,6 +3989,12 @@
          */
         lastFrame: 0,
 
+        /**
+         * Visibility listener (kept so re-initialising doesn't stack listeners)
+         * @type {Function|null}
+         */
+        visibilityHandler: null,
+
         /**
          * Initialize FPS management
          */
@@ -1324,9 +4005,10 @@
             this.overrideRAF();
 
             // Update FPS on visibility change
-            document.addEventListener('visibilitychange', () => {
-                this.updateFPSTarget();
-            });
+            if (!this.visibilityHandler) {
+                this.visibilityHandler = () => this.updateFPSTarget();
+                document.addEventListener('visibilitychange', this.visibilityHandler);
+            }
         },
 
         /**
@@ -1365,6 +4047,10 @@
          */
         restore() {
             window.requestAnimationFrame = this.nativeRAF;
+            if (this.visibilityHandler) {
+                document.removeEventListener('visibilitychange', this.visibilityHandler);
+                this.visibilityHandler = null;
+            }
         }
     };
 
@@ -1426,6 +4112,254 @@
         }
     };
 
+    /**
+     * Network budget
+     * Classifies the connection (Network Information API, Save-Data, reduced-data preference,
+     * battery) and decides whether speculative work - DNS prefetch, preconnect, preload,
+     * prefetch, prerender - may run, tracking the bytes spent on it
+     * @namespace NetworkBudget
+     */
+    const NetworkBudget = {
+        /**
+         * What each connection class allows
+         * bytes is the share of speculationBudgetMB; limits cap hint counts per page
+         * @type {Object<string, {kinds: string[], bytes: number, limits: Object<string, number>}>}
+         */
+        policies: {
+            offline: { kinds: [], bytes: 0, limits: {} },
+            constrained: { kinds: ['dns'], bytes: 0, limits: { dns: 10 } },
+            limited: { kinds: ['dns', 'preconnect', 'preload', 'prefetch'], bytes: 0.2, limits: { preconnect: 4, prefetch: 2 } },
+            fast: { kinds: ['dns', 'preconnect', 'preload', 'prefetch', 'prerender'], bytes: 1, limits: {} }
+        },
+
+        /**
+         * Bytes assumed per request until Resource Timing reports the real size
+         * @type {Object<string, number>}
+         */
+        estimatedBytes: { dns: 0, preconnect: 0, preload: 50 * 1024, prefetch: 100 * 1024, prerender: 500 * 1024 },
+
+        /**
+         * Bytes the page itself transferred in the last busyWindowMs above which
+         * byte-costing speculation waits
+         * @type {number}
+         */
+        busyBytes: 1024 * 1024,
+
+        /**
+         * Window for busyBytes (ms)
+         * @type {number}
+         */
+        busyWindowMs: 5000,
+
+        /**
+         * Current connection class
+         * @type {'offline'|'constrained'|'limited'|'fast'}
+         */
+        tier: 'fast',
+
+        /**
+         * Why the current class was chosen
+         * @type {string}
+         */
+        reason: 'default',
+
+        /**
+         * BatteryManager, once resolved
+         * @type {Object|null}
+         */
+        battery: null,
+
+        /**
+         * Bytes spent on speculation this page
+         * @type {number}
+         */
+        spentBytes: 0,
+
+        /**
+         * Granted and denied requests per kind
+         * @type {{granted: Object<string, number>, denied: Object<string, number>}}
+         */
+        counts: { granted: {}, denied: {} },
+
+        /**
+         * Granted URLs awaiting their Resource Timing entry, with the bytes assumed
+         * @type {Map<string, number>}
+         */
+        pending: new Map(),
+
+        /**
+         * Resource Timing observer
+         * @type {PerformanceObserver|null}
+         */
+        observer: null,
+
+        /**
+         * Classify the connection and keep the class current
+         */
+        init() {
+            this.update();
+
+            const connection = navigator.connection;
+            if (connection && typeof connection.addEventListener === 'function') {
+                connection.addEventListener('change', () => this.update());
+            }
+            window.addEventListener('online', () => this.update());
+            window.addEventListener('offline', () => this.update());
+
+            if (typeof navigator.getBattery === 'function') {
+                navigator.getBattery().then(battery => {
+                    this.battery = battery;
+                    battery.addEventListener('levelchange', () => this.update());
+                    battery.addEventListener('chargingchange', () => this.update());
+                    this.update();
+                }).catch(e => Logger.debug('Battery status unavailable', e));
+            }
+
+            this.observeBytes();
+        },
+
+        /**
+         * Re-classify and log changes
+         */
+        update() {
+            const { tier, reason } = this.classify();
+            if (tier === this.tier && reason === this.reason) return;
+            this.tier = tier;
+            this.reason = reason;
+            Logger.info(`Network budget: ${tier} (${reason}), ${(this.getByteBudget() / 1048576).toFixed(1)} MB for speculation`);
+        },
+
+        /**
+         * Classify the current connection
+         * @returns {{tier: string, reason: string}} Connection class and why
+         */
+        classify() {
+            if (navigator.onLine === false) return { tier: 'offline', reason: 'offline' };
+
+            const connection = navigator.connection || {};
+            if (connection.saveData) return { tier: 'constrained', reason: 'Save-Data' };
+            if (window.matchMedia && window.matchMedia('(prefers-reduced-data: reduce)').matches) {
+                return { tier: 'constrained', reason: 'prefers-reduced-data' };
+            }
+            if (this.battery && !this.battery.charging && this.battery.level < 0.2) {
+                return { tier: 'constrained', reason: `battery ${Math.round(this.battery.level * 100)}%` };
+            }
+
+            const type = connection.effectiveType;
+            if (type === 'slow-2g' || type === '2g') return { tier: 'constrained', reason: type };
+            if (type === '3g') return { tier: 'limited', reason: type };
+            if (connection.type === 'cellular') return { tier: 'limited', reason: 'cellular' };
+            if (connection.downlink && connection.downlink < 1.5) return { tier: 'limited', reason: `${connection.downlink} Mbps` };
+            if (connection.rtt > 400) return { tier: 'limited', reason: `${connection.rtt} ms RTT` };
+
+            return { tier: 'fast', reason: type || 'unknown connection' };
+        },
+
+        /**
+         * Bytes available for speculation on this connection
+         * @returns {number} Bytes
+         */
+        getByteBudget() {
+            return this.policies[this.tier].bytes * ConfigManager.get('speculationBudgetMB') * 1048576;
+        },
+
+        /**
+         * Check whether a kind of speculative work is allowed at all (nothing is spent)
+         * @param {string} kind - 'dns', 'preconnect', 'preload', 'prefetch' or 'prerender'
+         * @returns {boolean} True if allowed
+         */
+        permits(kind) {
+            if (!ConfigManager.isEnabled('networkBudget')) return true;
+            return this.policies[this.tier].kinds.includes(kind);
+        },
+
+        /**
+         * Check whether the connection is slower than 'fast' (and the budget is enforced)
+         * @returns {boolean} True on limited, constrained or offline connections
+         */
+        isLimited() {
+            return ConfigManager.isEnabled('networkBudget') && this.tier !== 'fast';
+        },
+
+        /**
+         * Ask to spend on one speculative request; counts it if granted
+         * @param {string} kind - 'dns', 'preconnect', 'preload', 'prefetch' or 'prerender'
+         * @param {string} [url] - Request URL (matched against Resource Timing for the real size)
+         * @returns {boolean} True if the request may be made
+         */
+        allow(kind, url) {
+            if (!ConfigManager.isEnabled('networkBudget')) return true;
+
+            const granted = this.counts.granted[kind] || 0;
+            const limit = this.policies[this.tier].limits[kind];
+            const cost = this.estimatedBytes[kind] || 0;
+
+            const ok = this.permits(kind) &&
+                (limit === undefined || granted < limit) &&
+                (cost === 0 || (!this.isPageBusy() && this.spentBytes + cost <= this.getByteBudget()));
+
+            const bucket = ok ? this.counts.granted : this.counts.denied;
+            bucket[kind] = (bucket[kind] || 0) + 1;
+            if (!ok) return false;
+
+            if (cost > 0) {
+                this.spentBytes += cost;
+                if (url) this.pending.set(url, cost);
+            }
+            return true;
+        },
+
+        /**
+         * Check whether the page is downloading heavily right now
+         * @returns {boolean} True if busy
+         */
+        isPageBusy() {
+            const since = performance.now() - this.busyWindowMs;
+            let bytes = 0;
+            for (const entry of performance.getEntriesByType('resource')) {
+                if (entry.responseEnd >= since) bytes += entry.transferSize || 0;
+            }
+            return bytes > this.busyBytes;
+        },
+
+        /**
+         * Replace estimates with transferred sizes as speculative requests complete
+         */
+        observeBytes() {
+            if (typeof PerformanceObserver === 'undefined') return;
+
+            try {
+                this.observer = new PerformanceObserver((list) => {
+                    for (const entry of list.getEntries()) {
+                        if (!this.pending.has(entry.name)) continue;
+                        // Cross-origin responses without Timing-Allow-Origin report 0; keep the estimate
+                        const actual = entry.transferSize || entry.encodedBodySize;
+                        if (actual > 0) this.spentBytes += actual - this.pending.get(entry.name);
+                        this.pending.delete(entry.name);
+                    }
+                });
+                this.observer.observe({ type: 'resource', buffered: false });
+            } catch (e) {
+                Logger.debug('Resource Timing unavailable for network budget', e);
+            }
+        },
+
+        /**
+         * Current state for diagnostics
+         * @returns {Object} Connection class, bytes spent and budget, granted/denied counts
+         */
+        getStatus() {
+            return {
+                tier: this.tier,
+                reason: this.reason,
+                spentBytes: this.spentBytes,
+                budgetBytes: this.getByteBudget(),
+                granted: { ...this.counts.granted },
+                denied: { ...this.counts.denied }
+            };
+        }
+    };
+
     /**
      * Unified network optimization module (consolidates DNSPrefetch, Preconnect, EarlyHints)
      * Reduces redundant DOM queries and duplicate hint creation
@@ -1566,7 +4500,7 @@
          */
         addDNSPrefetch(domain) {
             const key = `dns-prefetch:${domain}`;
-            if (this.processedHints.has(key)) return;
+            if (this.processedHints.has(key) || !NetworkBudget.allow('dns')) return;
             
             // Use specialized createLink for better performance
             const link = DOMHelper.createLink('dns-prefetch', `//${domain}`);
@@ -1580,7 +4514,7 @@
          */
         addPreconnect(origin) {
             const key = `preconnect:${origin}`;
-            if (this.processedHints.has(key)) return;
+            if (this.processedHints.has(key) || !NetworkBudget.allow('preconnect')) return;
             
             // Use specialized createLink for better performance
             const link = DOMHelper.createLink('preconnect', origin, { crossorigin: 'anonymous' });
@@ -1791,17 +4725,12 @@
         },
 
         /**
-         * Check if script is third-party
+         * Check if script is third-party (different registrable domain, so cdn.example.com is first-party on www.example.com)
          * @param {string} src - Script source URL
          * @returns {boolean} True if third-party
          */
         isThirdParty(src) {
-            try {
-                const url = new URL(src, location.href);
-                return url.hostname !== location.hostname;
-            } catch (e) {
-                return false;
-            }
+            return PublicSuffix.isThirdParty(src);
         }
     };
 
@@ -1923,184 +4852,879 @@
     };
 
     /**
-     * Parallel prefetch module
-     * @namespace ParallelPrefetch
+     * Speculation Rules emitter
+     * Shared by the prefetch modules: emits <script type="speculationrules"> prefetch and
+     * prerender rules where supported, falls back to <link rel=prefetch> elsewhere, and
+     * never speculates on URLs that look state-changing
+     * @namespace SpeculationRules
      */
-    const ParallelPrefetch = {
+    const SpeculationRules = {
         /**
-         * Initialize parallel prefetching
+         * Path segments that perform actions when fetched
+         * @type {RegExp}
          */
-        init() {
-            if (!ConfigManager.isEnabled('parallelPrefetch')) return;
+        unsafePath: /(^|[\/_.-])(log-?out|sign-?out|log-?off|delete|remove|destroy|unsubscribe|cart|basket|checkout|add-?to-?cart|actions?|vote|purchase)([\/_.-]|$)/i,
 
-            SafeScheduler.idle(() => {
-                this.prefetchLinks();
-            });
+        /**
+         * Query parameters that make a GET state-changing
+         * @type {RegExp}
+         */
+        unsafeParam: /^(action|do|cmd|delete|remove|add|add-?to-?cart|logout|token|nonce|csrf.*|_?method|confirm|vote|quantity|qty)$/i,
+
+        /**
+         * Attribute marking links the document rule may speculate on
+         * Set from isEligibleLink(), so hover speculation follows exactly the same exclusions
+         * as list rules (URL patterns can't express the segment and case-insensitive matching)
+         * @type {string}
+         */
+        markerAttribute: 'data-webperf-speculate',
+
+        /**
+         * Link attributes that change eligibility
+         * @type {string[]}
+         */
+        linkAttributes: ['href', 'target', 'download', 'rel', 'data-method'],
+
+        /**
+         * Links never speculated on
+         * @type {string}
+         */
+        unsafeLinkSelector: '[download], [rel~="nofollow"], [data-method], [target]:not([target="_self"])',
+
+        /**
+         * URLs already speculated on, with the action used
+         * @type {Map<string, string>}
+         */
+        speculated: new Map(),
+
+        /**
+         * Whether the hover document rule was emitted
+         * @type {boolean}
+         */
+        documentRuleAdded: false,
+
+        /**
+         * Check for Speculation Rules support (and that it's enabled)
+         * @returns {boolean} True if rules can be emitted
+         */
+        isSupported() {
+            return ConfigManager.isEnabled('speculationRules') &&
+                typeof HTMLScriptElement !== 'undefined' &&
+                typeof HTMLScriptElement.supports === 'function' &&
+                HTMLScriptElement.supports('speculationrules');
         },
 
         /**
-         * Prefetch same-origin links (optimized)
+         * Check whether a URL must not be fetched speculatively
+         * @param {string} href - Absolute or relative URL
+         * @returns {boolean} True if excluded
          */
-        prefetchLinks() {
-            const allLinks = document.querySelectorAll('a[href]');
-            const maxLinks = ConfigManager.get('parallelPrefetchCount');
-            const links = [];
-            const currentOrigin = location.origin;
-            
-            // Direct iteration with early exit for better performance
-            for (let i = 0; i < allLinks.length && links.length < maxLinks; i++) {
-                const anchor = allLinks[i];
-                try {
-                    const href = anchor.href;
-                    // Quick same-origin check without creating URL object
-                    if (href.startsWith(currentOrigin) && anchor.offsetParent !== null) {
-                        links.push(href);
-                    }
-                } catch (e) {
-                    // Skip invalid links
-                }
-            }
+        isExcluded(href) {
+            const url = URLCache.parse(href);
+            if (!url || url.origin !== location.origin) return true;
+            if (url.pathname === location.pathname && url.search === location.search) return true;
+            if (this.unsafePath.test(url.pathname)) return true;
 
-            // Batch create prefetch hints
-            const fragment = document.createDocumentFragment();
-            links.forEach(href => {
-                const link = DOMHelper.createElement('link', {
-                    rel: 'prefetch',
-                    href: href,
-                    as: 'document'
-                });
-                fragment.appendChild(link);
-            });
-            
-            if (document.head) {
-                document.head.appendChild(fragment);
+            for (const key of url.searchParams.keys()) {
+                if (this.unsafeParam.test(key)) return true;
             }
 
-            Logger.info(`Prefetched ${links.length} links`);
-        }
-    };
+            const extra = ConfigManager.get('speculationExclusions') || [];
+            return extra.some(pattern => pattern && url.href.includes(pattern));
+        },
 
-    // EarlyHints module removed - functionality now consolidated into NetworkOptimizer for better efficiency
+        /**
+         * Check whether a link may be speculated on
+         * @param {HTMLAnchorElement} anchor - Link
+         * @returns {boolean} True if eligible
+         */
+        isEligibleLink(anchor) {
+            try {
+                return !anchor.matches(this.unsafeLinkSelector) && !this.isExcluded(anchor.href);
+            } catch (e) {
+                return false;
+            }
+        },
 
-    /**
-     * Speculative prefetching
-     * Intelligently prefetches likely next pages
-     * @namespace SpeculativePrefetch
-     */
-    const SpeculativePrefetch = {
-        prefetchedUrls: new Set(),
-        
-        init() {
-            if (!ConfigManager.isEnabled('speculativePrefetch')) return;
-            
-            SafeScheduler.idle(() => {
-                this.prefetchVisibleLinks();
-                this.setupHoverPrefetch();
-            });
-            
-            Logger.info('Speculative prefetch enabled');
+        /**
+         * Prefetch URLs
+         * @param {string[]} urls - Candidate URLs (excluded and repeated URLs are skipped)
+         * @param {string} source - Requesting module (for effectiveness tracking)
+         * @param {string} [eagerness='immediate'] - Speculation Rules eagerness
+         * @returns {string[]} URLs actually requested
+         */
+        prefetch(urls, source, eagerness = 'immediate') {
+            return this.emit('prefetch', urls, source, eagerness);
         },
-        
-        prefetchVisibleLinks() {
-            const allLinks = document.querySelectorAll('a[href]');
-            const currentOrigin = location.origin;
-            const linksToPreload = [];
-            
-            // Direct iteration with early exit for optimal performance
-            for (let i = 0; i < allLinks.length && linksToPreload.length < 10; i++) {
-                const anchor = allLinks[i];
-                const href = anchor.href;
-                
-                try {
-                    // Fast same-origin check without URL object creation
-                    if (href.startsWith(currentOrigin) && 
-                        this.isVisible(anchor) &&
-                        !this.prefetchedUrls.has(href)) {
-                        linksToPreload.push(href);
-                    }
-                } catch (e) {
-                    // Skip invalid links
-                }
+
+        /**
+         * Prerender URLs (prefetches them where Speculation Rules aren't supported)
+         * @param {string[]} urls - Candidate URLs
+         * @param {string} source - Requesting module (for effectiveness tracking)
+         * @param {string} [eagerness='immediate'] - Speculation Rules eagerness
+         * @returns {string[]} URLs actually requested
+         */
+        prerender(urls, source, eagerness = 'immediate') {
+            return this.emit('prerender', urls, source, eagerness);
+        },
+
+        /**
+         * Emit a list rule (or link fallbacks) for new URLs
+         * Each batch gets its own script: removing a rule set cancels its speculations
+         * @param {'prefetch'|'prerender'} action - Speculation action
+         * @param {string[]} urls - Candidate URLs
+         * @param {string} source - Requesting module
+         * @param {string} eagerness - Speculation Rules eagerness
+         * @returns {string[]} URLs actually requested
+         */
+        emit(action, urls, source, eagerness) {
+            const supported = this.isSupported();
+            // Prerendering needs speculation rules and a connection that can afford it
+            if (action === 'prerender' && (!supported || !NetworkBudget.permits('prerender'))) action = 'prefetch';
+
+            const fresh = [];
+            for (const href of urls) {
+                const url = URLCache.parse(href);
+                if (!url) continue;
+                const key = url.href.split('#')[0];
+                const previous = this.speculated.get(key);
+                // A prefetch may be upgraded to prerender, never the other way round
+                if (previous === 'prerender' || (previous && action === 'prefetch')) continue;
+                if (fresh.includes(key) || this.isExcluded(key)) continue;
+                if (!NetworkBudget.allow(action, key)) continue;
+                fresh.push(key);
             }
-            
-            linksToPreload.forEach(url => this.prefetchUrl(url));
+            if (fresh.length === 0) return [];
+
+            if (supported) {
+                this.appendRules({ [action]: [{ source: 'list', urls: fresh, eagerness }] });
+                // The rule's own prefetch goes to a navigation-only cache, so the scanner can only
+                // use a copy the HTTP cache already holds (an earlier visit, say). Prerenders load
+                // their own subresources.
+                if (action === 'prefetch') PreloadScanner.enqueue(fresh);
+            } else {
+                const fragment = document.createDocumentFragment();
+                fresh.forEach(url => {
+                    const link = DOMHelper.createElement('link', { rel: 'prefetch', href: url, as: 'document' });
+                    // Link prefetches land in the HTTP cache, where the scanner can read them once complete
+                    link.addEventListener('load', () => PreloadScanner.enqueue([url]), { once: true });
+                    fragment.appendChild(link);
+                });
+                DOMHelper.appendToHead(fragment);
+            }
+            fresh.forEach(url => {
+                this.speculated.set(url, action);
+                PrefetchEffectiveness.record(url, source, action);
+            });
+
+            Logger.debug(`Speculation (${action}): ${fresh.length} URLs`);
+            return fresh;
         },
-        
-        setupHoverPrefetch() {
-            document.addEventListener('mouseover', (e) => {
-                const anchor = e.target.closest('a[href]');
-                if (anchor && !this.prefetchedUrls.has(anchor.href)) {
-                    try {
-                        const url = new URL(anchor.href, location.href);
-                        if (url.origin === location.origin) {
-                            this.prefetchUrl(anchor.href);
+
+        /**
+         * Let the browser prefetch eligible links on hover or pointer-down
+         * @returns {boolean} False if unsupported (callers fall back to their own listeners)
+         */
+        addDocumentRule() {
+            if (!this.isSupported() || !NetworkBudget.permits('prefetch')) return false;
+            if (this.documentRuleAdded) return true;
+
+            // Unmarked links (not yet checked) are never speculated on
+            this.markLinks(document);
+            ObserverManager.registerHandler((mutations) => {
+                for (const mutation of mutations) {
+                    if (mutation.type === 'attributes') {
+                        if (mutation.target.tagName === 'A' && this.linkAttributes.includes(mutation.attributeName)) {
+                            this.markLink(mutation.target);
                         }
-                    } catch (e) {
-                        // Invalid URL
+                        continue;
+                    }
+                    for (const node of mutation.addedNodes) {
+                        if (node.nodeType === Node.ELEMENT_NODE) this.markLinks(node);
                     }
                 }
-            }, { passive: true, capture: true });
-        },
-        
-        prefetchUrl(url) {
-            if (this.prefetchedUrls.has(url)) return;
-            
-            const link = DOMHelper.createElement('link', {
-                rel: 'prefetch',
-                href: url,
-                as: 'document'
             });
-            DOMHelper.appendToHead(link);
-            
-            this.prefetchedUrls.add(url);
-            Logger.log('Prefetched:', url);
+
+            this.appendRules({
+                prefetch: [{
+                    source: 'document',
+                    where: { selector_matches: `[${this.markerAttribute}]` },
+                    // Hover prefetches aren't counted against the byte budget, so slow links wait for pointer-down
+                    eagerness: NetworkBudget.isLimited() ? 'conservative' : ConfigManager.get('speculationEagerness')
+                }]
+            });
+            this.documentRuleAdded = true;
+            return true;
         },
-        
-        isVisible(element) {
-            try {
-                const rect = element.getBoundingClientRect();
-                return rect.top < window.innerHeight + 200 && rect.bottom > -200;
-            } catch (e) {
-                return false;
-            }
+
+        /**
+         * Mark the eligible links in a subtree
+         * @param {ParentNode} root - Root node
+         */
+        markLinks(root) {
+            if (root.matches && root.matches('a[href]')) this.markLink(root);
+            root.querySelectorAll('a[href]').forEach(anchor => this.markLink(anchor));
+        },
+
+        /**
+         * Mark or unmark a link for the document rule
+         * @param {HTMLAnchorElement} anchor - Link
+         */
+        markLink(anchor) {
+            anchor.toggleAttribute(this.markerAttribute, anchor.hasAttribute('href') && this.isEligibleLink(anchor));
+        },
+
+        /**
+         * Insert a speculation rules script
+         * @param {Object} rules - Rule set
+         */
+        appendRules(rules) {
+            const script = DOMHelper.createElement('script', {
+                type: 'speculationrules',
+                textContent: JSON.stringify(rules)
+            });
+            const nonce = document.querySelector('script[nonce]');
+            if (nonce && nonce.nonce) script.nonce = nonce.nonce;
+            DOMHelper.appendToHead(script);
         }
     };
 
     /**
-     * Priority Hints optimizer
-     * Adds fetchpriority attributes for optimal loading
-     * @namespace PriorityHints
+     * Navigation predictor
+     * Ranks prefetch candidates by this site's click history (kept in userscript storage),
+     * link prominence (size, position, time in the viewport) and pointer trajectory
+     * @namespace NavigationPredictor
      */
-    const PriorityHints = {
-        init() {
-            if (!ConfigManager.isEnabled('priorityHints')) return;
+    const NavigationPredictor = {
+        /**
+         * GM storage key prefix for per-site click history
+         * @type {string}
+         */
+        keyPrefix: 'webperf_navigation:',
+
+        /**
+         * GM storage key for the last click time per site
+         * @type {string}
+         */
+        indexKey: 'webperf_navigation_index',
+
+        /**
+         * Sites with click history kept (least recently clicked on are dropped)
+         * @type {number}
+         */
+        maxHosts: 50,
+
+        /**
+         * Source pages kept per site (least recently clicked from are dropped)
+         * @type {number}
+         */
+        maxPages: 200,
+
+        /**
+         * Targets kept per source page, and site-wide
+         * @type {{page: number, site: number}}
+         */
+        maxTargets: { page: 30, site: 500 },
+
+        /**
+         * Clicks from one page after which its counts are halved (recent clicks weigh more)
+         * @type {number}
+         */
+        decayAt: 100,
+
+        /**
+         * Links watched for viewport dwell time (also the links ranked)
+         * @type {number}
+         */
+        maxTrackedLinks: 300,
+
+        /**
+         * Delay before the rest of a prefetcher's candidates are ranked, once dwell has built up (ms)
+         * @type {number}
+         */
+        dwellWarmupMs: 3000,
+
+        /**
+         * Dwell time that counts as fully seen (ms)
+         * @type {number}
+         */
+        dwellSaturationMs: 5000,
+
+        /**
+         * Score weights
+         * @type {{history: number, prominence: number, dwell: number}}
+         */
+        weights: { history: 0.5, prominence: 0.3, dwell: 0.2 },
+
+        /**
+         * Intent score above which a link the pointer is heading for is predicted
+         * @type {number}
+         */
+        intentThreshold: 0.6,
+
+        /**
+         * Whether the model is loaded and ranking is used
+         * @type {boolean}
+         */
+        active: false,
+
+        /**
+         * Click history: pages[from] = {t, to: {target: count}}, targets[target] = count
+         * @type {{pages: Object, targets: Object}}
+         */
+        model: { pages: {}, targets: {} },
+
+        /**
+         * Viewport dwell per link, with its document position from the observer
+         * @type {Map<HTMLAnchorElement, {ms: number, since: ?number, rect: ?{top: number, width: number, height: number}}>}
+         */
+        dwell: new Map(),
+
+        /**
+         * Links currently in the viewport
+         * @type {Set<HTMLAnchorElement>}
+         */
+        visible: new Set(),
+
+        /**
+         * Recent pointer positions
+         * @type {Array<{x: number, y: number}>}
+         */
+        pointer: [],
+
+        /**
+         * URLs handed to prefetchers this page (counted against predictionBudget)
+         * @type {Set<string>}
+         */
+        issued: new Set(),
+
+        /**
+         * Callbacks receiving URLs the pointer is heading for
+         * @type {Function[]}
+         */
+        subscribers: [],
+
+        /**
+         * Dwell observer
+         * @type {IntersectionObserver|null}
+         */
+        observer: null,
+
+        /**
+         * Aborts page listeners added by init()
+         * @type {AbortController|null}
+         */
+        listeners: null,
+
+        /**
+         * Load this site's history and start watching clicks, dwell and pointer
+         */
+        async init() {
+            if (!ConfigManager.isEnabled('navigationPredictor')) return;
+
+            this.model = await this.load();
+            this.active = true;
+
+            this.listeners = new AbortController();
+            const { signal } = this.listeners;
+            const onClick = (e) => {
+                const anchor = e.target.closest && e.target.closest('a[href]');
+                if (anchor) this.recordClick(anchor.href);
+            };
+            document.addEventListener('click', onClick, { capture: true, passive: true, signal });
+            document.addEventListener('auxclick', onClick, { capture: true, passive: true, signal });
+            document.addEventListener('mousemove', SafeScheduler.throttle((e) => this.onPointerMove(e), 100), { passive: true, signal });
+
+            SafeScheduler.idle(() => this.observeDwell());
+            Logger.info(`Navigation predictor: ${Object.keys(this.model.pages).length} pages of click history`);
+        },
+
+        /**
+         * Model key for a URL (path only, same origin only)
+         * Query strings can carry tokens, emails and search terms, so they're never stored
+         * @param {URL|Location} url - URL
+         * @returns {string} Key
+         */
+        getKey(url) {
+            return url.pathname;
+        },
+
+        /**
+         * Load this site's click history
+         * @returns {Promise<{pages: Object, targets: Object}>} Model
+         */
+        async load() {
+            const data = await ConfigManager.loadFromStorage(this.keyPrefix + location.hostname);
+            return data && data.pages && data.targets ? data : { pages: {}, targets: {} };
+        },
+
+        /**
+         * Add a followed link to the history
+         * @param {string} href - Link URL
+         */
+        async recordClick(href) {
+            const url = URLCache.parse(href);
+            if (!url || url.origin !== location.origin) return;
+
+            const from = this.getKey(location);
+            const to = this.getKey(url);
+            if (from === to) return;
+
+            try {
+                // Reload first so clicks recorded in other tabs aren't lost
+                const model = await this.load();
+                const page = model.pages[from] || (model.pages[from] = { t: 0, to: {} });
+                page.t = Date.now();
+                page.to[to] = (page.to[to] || 0) + 1;
+                model.targets[to] = (model.targets[to] || 0) + 1;
+
+                if (this.sum(page.to) > this.decayAt) this.decay(page.to);
+                this.trimCounts(page.to, this.maxTargets.page);
+                this.trimCounts(model.targets, this.maxTargets.site);
+
+                const pages = Object.entries(model.pages);
+                if (pages.length > this.maxPages) {
+                    pages.sort((a, b) => a[1].t - b[1].t)
+                        .slice(0, pages.length - this.maxPages)
+                        .forEach(([key]) => delete model.pages[key]);
+                }
+
+                this.model = model;
+                await ConfigManager.saveToStorage(this.keyPrefix + location.hostname, model);
+
+                const index = await ConfigManager.loadFromStorage(this.indexKey) || {};
+                index[location.hostname] = page.t;
+                const stale = Object.keys(index).sort((a, b) => index[b] - index[a]).slice(this.maxHosts);
+                for (const name of stale) {
+                    delete index[name];
+                    await ConfigManager.removeFromStorage(this.keyPrefix + name);
+                }
+                await ConfigManager.saveToStorage(this.indexKey, index);
+            } catch (e) {
+                Logger.debug('Failed to record navigation', e);
+            }
+        },
+
+        /**
+         * Sum of counts
+         * @param {Object<string, number>} counts - Counts
+         * @returns {number} Total
+         */
+        sum(counts) {
+            let total = 0;
+            for (const key in counts) total += counts[key];
+            return total;
+        },
+
+        /**
+         * Halve counts, dropping those that reach zero
+         * @param {Object<string, number>} counts - Counts (modified)
+         */
+        decay(counts) {
+            for (const key in counts) {
+                counts[key] = Math.floor(counts[key] / 2);
+                if (counts[key] === 0) delete counts[key];
+            }
+        },
+
+        /**
+         * Keep only the highest counts
+         * @param {Object<string, number>} counts - Counts (modified)
+         * @param {number} max - Entries to keep
+         */
+        trimCounts(counts, max) {
+            const entries = Object.entries(counts);
+            if (entries.length <= max) return;
+            entries.sort((a, b) => a[1] - b[1])
+                .slice(0, entries.length - max)
+                .forEach(([key]) => delete counts[key]);
+        },
+
+        /**
+         * Pick the links to rank and track how long they stay in the viewport
+         * The observer also reports their geometry, so ranking doesn't force layout
+         */
+        observeDwell() {
+            if (!this.active) return;
+
+            if (!this.observer && 'IntersectionObserver' in window) {
+                this.observer = new IntersectionObserver((entries) => this.onIntersection(entries));
+            }
+
+            for (const anchor of document.querySelectorAll('a[href]')) {
+                if (this.dwell.size >= this.maxTrackedLinks) break;
+                if (this.dwell.has(anchor) || !SpeculationRules.isEligibleLink(anchor)) continue;
+                this.dwell.set(anchor, { ms: 0, since: null, rect: null });
+                if (this.observer) this.observer.observe(anchor);
+            }
+        },
+
+        /**
+         * Update dwell times and positions
+         * @param {IntersectionObserverEntry[]} entries - Observer entries
+         */
+        onIntersection(entries) {
+            const now = performance.now();
+            for (const entry of entries) {
+                const dwell = this.dwell.get(entry.target);
+                if (!dwell) continue;
+
+                const box = entry.boundingClientRect;
+                dwell.rect = { top: box.top + window.scrollY, width: box.width, height: box.height };
+                if (entry.isIntersecting) {
+                    if (dwell.since === null) dwell.since = now;
+                    this.visible.add(entry.target);
+                } else {
+                    if (dwell.since !== null) dwell.ms += now - dwell.since;
+                    dwell.since = null;
+                    this.visible.delete(entry.target);
+                }
+            }
+        },
+
+        /**
+         * Values every link's history score shares, computed once per ranking
+         * @returns {{page: ?Object, pageTotal: number, siteTop: number}} Scoring context
+         */
+        getScoringContext() {
+            const page = this.model.pages[this.getKey(location)] || null;
+            let siteTop = 0;
+            for (const key in this.model.targets) siteTop = Math.max(siteTop, this.model.targets[key]);
+            return { page, pageTotal: page ? this.sum(page.to) : 0, siteTop };
+        },
+
+        /**
+         * Score from click history: how often this target was followed from this page,
+         * blended with how popular it is across the site
+         * @param {string} key - Target key
+         * @param {{page: ?Object, pageTotal: number, siteTop: number}} context - From getScoringContext()
+         * @returns {number} Score (0-1)
+         */
+        historyScore(key, context) {
+            const { page, pageTotal, siteTop } = context;
+            const local = page ? (page.to[key] || 0) / (pageTotal || 1) : 0;
+            const site = siteTop > 0 ? (this.model.targets[key] || 0) / siteTop : 0;
+
+            return 0.7 * local + 0.3 * site;
+        },
+
+        /**
+         * Score from size and position: large links near the top of the first screen rank highest
+         * @param {HTMLAnchorElement} anchor - Link
+         * @returns {number} Score (0-1)
+         */
+        prominenceScore(anchor) {
+            // Observed position when there is one; measuring forces layout
+            const dwell = this.dwell.get(anchor);
+            let rect = dwell && dwell.rect;
+            if (!rect) {
+                const box = anchor.getBoundingClientRect();
+                rect = { top: box.top + window.scrollY, width: box.width, height: box.height };
+            }
+            if (rect.width === 0 || rect.height === 0) return 0;
+
+            const viewport = window.innerWidth * window.innerHeight || 1;
+            const area = Math.min(1, (rect.width * rect.height) / (0.05 * viewport));
+
+            const top = rect.top;
+            const fold = window.innerHeight || 1;
+            const position = top < fold
+                ? 1 - 0.5 * (top / fold)
+                : Math.max(0, 0.5 - 0.25 * ((top - fold) / fold));
+
+            return 0.5 * area + 0.5 * position;
+        },
+
+        /**
+         * Score from time spent in the viewport
+         * @param {HTMLAnchorElement} anchor - Link
+         * @returns {number} Score (0-1)
+         */
+        dwellScore(anchor) {
+            const dwell = this.dwell.get(anchor);
+            if (!dwell) return 0;
+            const ms = dwell.ms + (dwell.since !== null ? performance.now() - dwell.since : 0);
+            return Math.min(1, ms / this.dwellSaturationMs);
+        },
+
+        /**
+         * Combined score for a link
+         * @param {HTMLAnchorElement} anchor - Link
+         * @param {Object} [context] - From getScoringContext()
+         * @returns {number} Score (0-1)
+         */
+        score(anchor, context = this.getScoringContext()) {
+            const url = URLCache.parse(anchor.href);
+            if (!url) return 0;
+            return this.weights.history * this.historyScore(this.getKey(url), context) +
+                this.weights.prominence * this.prominenceScore(anchor) +
+                this.weights.dwell * this.dwellScore(anchor);
+        },
+
+        /**
+         * Rank the tracked links, best first (one entry per URL)
+         * @param {Function} accept - Extra filter for links
+         * @returns {Array<{url: string, score: number}>} Ranked candidates
+         */
+        rank(accept) {
+            // Picks up links added since the last pass, up to maxTrackedLinks
+            this.observeDwell();
+
+            const context = this.getScoringContext();
+            const best = new Map();
+            for (const anchor of this.dwell.keys()) {
+                if (!anchor.isConnected || !accept(anchor)) continue;
+                const url = anchor.href.split('#')[0];
+                const score = this.score(anchor, context);
+                if (score > 0 && (!best.has(url) || score > best.get(url))) best.set(url, score);
+            }
+            return [...best].map(([url, score]) => ({ url, score })).sort((a, b) => b.score - a.score);
+        },
+
+        /**
+         * Prefetch candidates for a prefetcher
+         * Ranked and limited by predictionBudget (shared by all prefetchers on the page) when
+         * the predictor is on, otherwise the first eligible links in DOM order.
+         * Dwell time is still zero when prefetchers start, so with `onLater` only half the
+         * candidates are picked now and the rest once links have been on screen for a while.
+         * @param {number} limit - Most URLs the caller wants
+         * @param {Function} [accept] - Extra filter for links
+         * @param {Function} [onLater] - Called with the later candidates, if any
+         * @returns {string[]} URLs
+         */
+        getCandidates(limit, accept = () => true, onLater = null) {
+            if (!this.active) {
+                const urls = [];
+                for (const anchor of document.querySelectorAll('a[href]')) {
+                    if (urls.length >= limit) break;
+                    if (accept(anchor) && SpeculationRules.isEligibleLink(anchor) && !urls.includes(anchor.href)) {
+                        urls.push(anchor.href);
+                    }
+                }
+                return urls;
+            }
+
+            const first = this.pick(onLater ? Math.ceil(limit / 2) : limit, accept);
+            if (onLater && first.length < limit) {
+                setTimeout(() => {
+                    if (!this.active) return;
+                    const later = this.pick(limit - first.length, accept);
+                    if (later.length > 0) onLater(later);
+                }, this.dwellWarmupMs);
+            }
+            return first;
+        },
+
+        /**
+         * Take the best unissued candidates within predictionBudget
+         * @param {number} count - Most URLs wanted
+         * @param {Function} accept - Extra filter for links
+         * @returns {string[]} URLs
+         */
+        pick(count, accept) {
+            const remaining = Math.min(count, ConfigManager.get('predictionBudget') - this.issued.size);
+            if (remaining <= 0) return [];
+
+            const ranked = this.rank(accept).filter(candidate => !this.issued.has(candidate.url)).slice(0, remaining);
+            ranked.forEach(candidate => this.issued.add(candidate.url));
+            Logger.debug('Predicted navigations', ranked);
+            return ranked.map(candidate => candidate.url);
+        },
+
+        /**
+         * Receive URLs the pointer is heading for
+         * @param {Function} callback - Called with a URL
+         */
+        subscribe(callback) {
+            this.subscribers.push(callback);
+        },
+
+        /**
+         * Predict the link the pointer is moving towards
+         * @param {MouseEvent} e - Mouse event
+         */
+        onPointerMove(e) {
+            this.pointer.push({ x: e.clientX, y: e.clientY });
+            if (this.pointer.length > 5) this.pointer.shift();
+            if (this.pointer.length < 3 || this.subscribers.length === 0) return;
+            if (this.issued.size >= ConfigManager.get('predictionBudget')) return;
+
+            const first = this.pointer[0];
+            const last = this.pointer[this.pointer.length - 1];
+            const dx = last.x - first.x;
+            const dy = last.y - first.y;
+            const moved = Math.hypot(dx, dy);
+            if (moved < 30) return;
+
+            let best = null;
+            const context = this.getScoringContext();
+            for (const anchor of this.visible) {
+                const url = anchor.href.split('#')[0];
+                if (this.issued.has(url)) continue;
+
+                const rect = anchor.getBoundingClientRect();
+                const tx = rect.left + rect.width / 2 - last.x;
+                const ty = rect.top + rect.height / 2 - last.y;
+                const distance = Math.hypot(tx, ty);
+                const cos = distance > 0 ? (dx * tx + dy * ty) / (moved * distance) : 1;
+                if (cos < 0.9) continue;
+
+                const trajectory = cos * (1 - Math.min(1, distance / 600));
+                const intent = 0.6 * trajectory + 0.4 * this.score(anchor, context);
+                if (!best || intent > best.intent) best = { url, intent };
+            }
+
+            if (best && best.intent >= this.intentThreshold) {
+                this.issued.add(best.url);
+                this.subscribers.forEach(callback => callback(best.url));
+            }
+        },
+
+        /**
+         * Stop watching the page
+         */
+        cleanup() {
+            if (this.listeners) {
+                this.listeners.abort();
+                this.listeners = null;
+            }
+            if (this.observer) {
+                this.observer.disconnect();
+                this.observer = null;
+            }
+            this.dwell.clear();
+            this.visible.clear();
+            this.subscribers = [];
+            this.active = false;
+        }
+    };
+
+    /**
+     * Parallel prefetch module
+     * @namespace ParallelPrefetch
+     */
+    const ParallelPrefetch = {
+        /**
+         * Initialize parallel prefetching
+         */
+        init() {
+            if (!ConfigManager.isEnabled('parallelPrefetch')) return;
+
+            SafeScheduler.idle(() => {
+                this.prefetchLinks();
+            });
+        },
+
+        /**
+         * Prefetch same-origin links (optimized)
+         */
+        prefetchLinks() {
+            if (!NetworkBudget.permits('prefetch')) return;
+
+            const maxLinks = ConfigManager.get('parallelPrefetchCount');
+            const links = NavigationPredictor.getCandidates(maxLinks, anchor => anchor.offsetParent !== null,
+                later => SpeculationRules.prefetch(later, 'ParallelPrefetch'));
+
+            const requested = SpeculationRules.prefetch(links, 'ParallelPrefetch');
+            Logger.info(`Prefetched ${requested.length} links`);
+        }
+    };
+
+    // EarlyHints module removed - functionality now consolidated into NetworkOptimizer for better efficiency
+
+    /**
+     * Speculative prefetching
+     * Intelligently prefetches likely next pages
+     * @namespace SpeculativePrefetch
+     */
+    const SpeculativePrefetch = {
+        init() {
+            if (!ConfigManager.isEnabled('speculativePrefetch')) return;
             
             SafeScheduler.idle(() => {
-                this.optimizePriorities();
+                this.prefetchVisibleLinks();
+                this.setupHoverPrefetch();
             });
+            NavigationPredictor.subscribe(url => this.prefetchUrl(url));
             
-            Logger.info('Priority hints enabled');
+            Logger.info(`Speculative prefetch enabled (${SpeculationRules.isSupported() ? 'speculation rules' : 'link prefetch'})`);
         },
         
-        optimizePriorities() {
-            // High priority for critical resources
-            document.querySelectorAll('link[rel="stylesheet"]').forEach((link, index) => {
-                if (index < 2) {
-                    link.setAttribute('fetchpriority', 'high');
-                }
-            });
+        prefetchVisibleLinks() {
+            if (!NetworkBudget.permits('prefetch')) return;
+
+            const candidates = NavigationPredictor.getCandidates(10, anchor => this.isVisible(anchor),
+                later => SpeculationRules.prefetch(later, 'SpeculativePrefetch'));
             
-            // High priority for visible images
-            document.querySelectorAll('img').forEach(img => {
-                try {
-                    const rect = img.getBoundingClientRect();
-                    if (rect.top < window.innerHeight) {
-                        img.setAttribute('fetchpriority', 'high');
-                        img.setAttribute('loading', 'eager');
-                    } else {
-                        img.setAttribute('fetchpriority', 'low');
-                        img.setAttribute('loading', 'lazy');
-                    }
+            // The first few candidates may be prerendered, the rest are prefetched
+            const prerenderCount = ConfigManager.get('prerenderCount');
+            SpeculationRules.prerender(candidates.slice(0, prerenderCount), 'SpeculativePrefetch');
+            SpeculationRules.prefetch(candidates.slice(prerenderCount), 'SpeculativePrefetch');
+        },
+        
+        setupHoverPrefetch() {
+            // With speculation rules the browser watches hover and pointer-down itself
+            if (SpeculationRules.addDocumentRule()) return;
+
+            document.addEventListener('mouseover', (e) => {
+                const anchor = e.target.closest('a[href]');
+                if (anchor && SpeculationRules.isEligibleLink(anchor)) {
+                    this.prefetchUrl(anchor.href);
+                }
+            }, { passive: true, capture: true });
+        },
+        
+        prefetchUrl(url) {
+            if (SpeculationRules.prefetch([url], 'SpeculativePrefetch').length > 0) {
+                Logger.log('Prefetched:', url);
+            }
+        },
+        
+        isVisible(element) {
+            try {
+                const rect = element.getBoundingClientRect();
+                return rect.top < window.innerHeight + 200 && rect.bottom > -200;
+            } catch (e) {
+                return false;
+            }
+        }
+    };
+
+    /**
+     * Priority Hints optimizer
+     * Adds fetchpriority attributes for optimal loading
+     * @namespace PriorityHints
+     */
+    const PriorityHints = {
+        init() {
+            if (!ConfigManager.isEnabled('priorityHints')) return;
+            
+            SafeScheduler.idle(() => {
+                this.optimizePriorities();
+            });
+            
+            Logger.info('Priority hints enabled');
+        },
+        
+        optimizePriorities() {
+            // High priority for critical resources
+            document.querySelectorAll('link[rel="stylesheet"]').forEach((link, index) => {
+                if (index < 2) {
+                    link.setAttribute('fetchpriority', 'high');
+                }
+            });
+            
+            // High priority for visible images
+            document.querySelectorAll('img').forEach(img => {
+                try {
+                    const rect = img.getBoundingClientRect();
+                    if (rect.top < window.innerHeight) {
+                        img.setAttribute('fetchpriority', 'high');
+                        img.setAttribute('loading', 'eager');
+                    } else {
+                        img.setAttribute('fetchpriority', 'low');
+                        img.setAttribute('loading', 'lazy');
+                    }
                 } catch (e) {
                     // Skip
                 }
@@ -2111,858 +5735,5608 @@
                 if (!script.hasAttribute('fetchpriority')) {
                     script.setAttribute('fetchpriority', 'low');
                 }
-            });
+            });
+        }
+    };
+
+    /**
+     * Third-party resource optimizer
+     * Optimizes non-critical third-party resources instead of blocking
+     * @namespace ThirdPartyOptimizer
+     */
+    const ThirdPartyOptimizer = {
+        deferredDomains: new Set([
+            'google-analytics.com',
+            'googletagmanager.com',
+            'facebook.net',
+            'doubleclick.net',
+            'analytics.google.com'
+        ]),
+        
+        init() {
+            if (!ConfigManager.isEnabled('blockThirdParty')) return;
+            
+            this.optimizeScripts();
+            // Note: Fetch deferral logic moved to AdTrackerBlocker to avoid
+            // multiple fetch override conflicts. AdTrackerBlocker checks
+            // this.shouldDefer() method for deferred domains integration.
+            
+            Logger.info('Third-party optimizer enabled');
+        },
+        
+        shouldDefer(url) {
+            const urlObj = URLCache.parse(url);
+            if (!urlObj || !urlObj.hostname) return false;
+            return PublicSuffix.getSuffixes(urlObj.hostname.toLowerCase())
+                .some(domain => this.deferredDomains.has(domain));
+        },
+        
+        optimizeScripts() {
+            // Use unified observer for better performance
+            ObserverManager.registerHandler((mutations) => {
+                for (const mutation of mutations) {
+                    for (const node of mutation.addedNodes) {
+                        if (node.tagName === 'SCRIPT' && node.src) {
+                            if (this.shouldDefer(node.src)) {
+                                if (!node.hasAttribute('async') && !node.hasAttribute('defer')) {
+                                    node.defer = true;
+                                    AdTrackerBlocker.logRequest(node.src, 'script', 'script', 'deferred', null);
+                                    Logger.log('Deferred script:', node.src);
+                                }
+                            }
+                        }
+                    }
+                }
+            });
+            
+            // Optimize existing scripts
+            document.querySelectorAll('script[src]').forEach(script => {
+                if (this.shouldDefer(script.src)) {
+                    if (!script.hasAttribute('async') && !script.hasAttribute('defer')) {
+                        script.defer = true;
+                        AdTrackerBlocker.logRequest(script.src, 'script', 'script', 'deferred', null);
+                        Logger.log('Deferred existing script:', script.src);
+                    }
+                }
+            });
+        }
+        
+        // Note: deferNonCriticalRequests() was removed as this functionality
+        // is now handled by AdTrackerBlocker to avoid multiple fetch() overrides.
+        // See AdTrackerBlocker.blockRequests() for unified fetch handling.
+    };
+
+    /**
+     * Critical CSS
+     * After a page loads, walks the CSSOM and keeps only the rules that match elements in
+     * the initial viewport (plus the @font-face and @keyframes they use, inside their
+     * @media/@supports/@layer wrappers). The result is cached per URL template; on later
+     * visits it is inlined at document-start ahead of the page's stylesheets, which then
+     * load without blocking render and in their original order
+     * @namespace CriticalCSS
+     */
+    const CriticalCSS = {
+        /**
+         * GM storage key prefix for per-host entries ({templateKey: {css, sheets, t}})
+         * @type {string}
+         */
+        keyPrefix: 'webperf_critical_css:',
+
+        /**
+         * GM storage key for the host index ({host: lastUpdated})
+         * @type {string}
+         */
+        indexKey: 'webperf_critical_css_index',
+
+        /**
+         * URL templates kept per host, and hosts kept
+         * @type {{templates: number, hosts: number}}
+         */
+        limits: { templates: 10, hosts: 30 },
+
+        /**
+         * Largest critical CSS stored (characters); bigger results aren't worth inlining
+         * @type {number}
+         */
+        maxLength: 30 * 1024,
+
+        /**
+         * Age after which an entry is re-extracted (ms)
+         * @type {number}
+         */
+        maxAgeMs: 7 * 24 * 60 * 60 * 1000,
+
+        /**
+         * Elements measured when finding the initial viewport
+         * @type {number}
+         */
+        maxElements: 3000,
+
+        /**
+         * Main-thread time spent matching rules before yielding to the page (ms)
+         * @type {number}
+         */
+        sliceMs: 8,
+
+        /**
+         * Pseudo-classes and pseudo-elements that don't change which element a rule styles
+         * (stripped before matching)
+         * @type {RegExp}
+         */
+        statefulPseudo: /::?(before|after|first-line|first-letter|marker|placeholder|selection|backdrop|file-selector-button|hover|focus|focus-within|focus-visible|active|visited|target|checked|disabled|enabled|invalid|valid|placeholder-shown|autofill|-webkit-[\w-]+|-moz-[\w-]+)(\([^)]*\))?/gi,
+
+        /**
+         * Inlined critical style
+         * @type {HTMLStyleElement|null}
+         */
+        style: null,
+
+        /**
+         * Stylesheet links made non-blocking, with their original media
+         * @type {Map<HTMLLinkElement, string>}
+         */
+        deferred: new Map(),
+
+        /**
+         * Unregisters the stylesheet watcher
+         * @type {Function|null}
+         */
+        unwatch: null,
+
+        /**
+         * Cached entry for this page, if any
+         * @type {Object|null}
+         */
+        entry: null,
+
+        /**
+         * Apply cached critical CSS for this URL template (document-start)
+         */
+        async apply() {
+            if (!ConfigManager.isEnabled('inlineCriticalCSS')) return;
+
+            try {
+                const entries = await ConfigManager.loadFromStorage(this.keyPrefix + location.hostname) || {};
+                this.entry = entries[this.getTemplateKey()] || null;
+            } catch (e) {
+                Logger.debug('Failed to load critical CSS', e);
+                return;
+            }
+            if (!this.entry || Date.now() - this.entry.t > this.maxAgeMs) return;
+            // Too late to help once the page has rendered
+            if (document.readyState !== 'loading') return;
+
+            this.style = DOMHelper.createElement('style', { textContent: this.entry.css, 'data-webperf-critical': '' });
+            // Before every stylesheet, so the full rules still win when they arrive
+            (document.head || document.documentElement).prepend(this.style);
+
+            document.querySelectorAll('link[rel~="stylesheet"]').forEach(link => this.deferLink(link));
+            this.unwatch = ObserverManager.registerHandler((mutations) => {
+                for (const mutation of mutations) {
+                    for (const node of mutation.addedNodes) {
+                        if (node.nodeType === Node.ELEMENT_NODE && node.matches('link[rel~="stylesheet"]')) this.deferLink(node);
+                    }
+                }
+            });
+            document.addEventListener('DOMContentLoaded', () => this.stopWatching(), { once: true });
+            // Anything still pending when the page has loaded is restored regardless
+            window.addEventListener('load', () => this.restoreAll(), { once: true });
+
+            Logger.info(`Critical CSS applied (${(this.entry.css.length / 1024).toFixed(1)} KB)`);
+        },
+
+        /**
+         * Make a stylesheet link non-render-blocking until it loads (media swap)
+         * @param {HTMLLinkElement} link - Stylesheet link
+         */
+        deferLink(link) {
+            if (this.deferred.has(link) || link.sheet || link.media === 'print') return;
+
+            this.deferred.set(link, link.getAttribute('media'));
+            link.media = 'print';
+            const restore = () => this.restoreLink(link);
+            link.addEventListener('load', restore, { once: true });
+            link.addEventListener('error', restore, { once: true });
+        },
+
+        /**
+         * Give a deferred link its original media back
+         * @param {HTMLLinkElement} link - Stylesheet link
+         */
+        restoreLink(link) {
+            if (!this.deferred.has(link)) return;
+            const media = this.deferred.get(link);
+            if (media === null) link.removeAttribute('media');
+            else link.media = media;
+            this.deferred.delete(link);
+            this.releaseStyle();
+        },
+
+        /**
+         * Drop the inlined style once every deferred stylesheet applies, so its rules
+         * (and any @layer order it set first) don't outlive the real stylesheets
+         */
+        releaseStyle() {
+            if (!this.style || this.unwatch || this.deferred.size > 0) return;
+            this.style.remove();
+            this.style = null;
+        },
+
+        /**
+         * Restore every deferred link
+         */
+        restoreAll() {
+            this.stopWatching();
+            [...this.deferred.keys()].forEach(link => this.restoreLink(link));
+        },
+
+        /**
+         * Stop deferring newly parsed links
+         */
+        stopWatching() {
+            if (this.unwatch) {
+                this.unwatch();
+                this.unwatch = null;
+            }
+            this.releaseStyle();
+        },
+
+        /**
+         * Extract after load when there's no fresh entry for this template or the stylesheets changed
+         */
+        init() {
+            if (!ConfigManager.isEnabled('inlineCriticalCSS')) return;
+
+            const schedule = () => SafeScheduler.idle(() => {
+                const sheets = this.getSheetSignature();
+                const fresh = this.entry && Date.now() - this.entry.t <= this.maxAgeMs && this.entry.sheets === sheets;
+                if (!fresh) this.extract();
+            });
+            if (document.readyState === 'complete') {
+                schedule();
+            } else {
+                window.addEventListener('load', schedule, { once: true });
+            }
+
+            Logger.info('Critical CSS extraction enabled');
+        },
+
+        /**
+         * Cache key: URL template plus a viewport class, since the first screen differs by width
+         * Path segments that look like ids or slugs are generalised so pages of one kind share CSS
+         * @param {Location|URL} [url=location] - Page URL
+         * @returns {string} Template key
+         */
+        getTemplateKey(url = location) {
+            const segments = url.pathname.split('/').map((segment, i, all) => {
+                if (/\d/.test(segment) && !/^v\d+$/i.test(segment)) return ':id';
+                // Long hyphenated last segments are article or product slugs
+                if (i === all.length - 1 && i > 1 && segment.length > 20 && segment.includes('-')) return ':slug';
+                return segment;
+            });
+            const viewport = window.innerWidth <= 768 ? 'narrow' : 'wide';
+            return `${segments.join('/')}|${viewport}`;
+        },
+
+        /**
+         * Identify the page's stylesheets (a changed list means a deploy, so re-extract)
+         * @returns {string} Signature
+         */
+        getSheetSignature() {
+            return Array.from(document.querySelectorAll('link[rel~="stylesheet"][href]'), link => link.href).join('\n');
+        },
+
+        /**
+         * Elements in the initial viewport (document coordinates, so scrolling doesn't matter)
+         * @returns {Element[]} Elements
+         */
+        getAboveFoldElements() {
+            const fold = window.innerHeight;
+            const elements = [];
+            const all = document.body ? document.body.getElementsByTagName('*') : [];
+
+            for (let i = 0; i < all.length && i < this.maxElements; i++) {
+                const el = all[i];
+                if (el.closest('[id^="webperf-"]')) continue;
+                const rect = el.getBoundingClientRect();
+                if (rect.width === 0 && rect.height === 0) continue;
+                const top = rect.top + window.scrollY;
+                if (top < fold && rect.bottom + window.scrollY > 0) elements.push(el);
+            }
+            return elements;
+        },
+
+        /**
+         * Build and cache critical CSS for this page
+         */
+        async extract() {
+            try {
+                const elements = new Set([document.documentElement, document.body, ...this.getAboveFoldElements()].filter(Boolean));
+                const sheets = await this.collectSheets();
+                if (sheets === null) {
+                    Logger.debug('Critical CSS: a stylesheet could not be read, not caching');
+                    return;
+                }
+
+                const used = { fonts: new Set(), animations: new Set() };
+                const keep = [];
+                const deferredAtRules = [];
+                const context = { elements, used, deferredAtRules, matched: new Map(), until: performance.now() + this.sliceMs };
+                for (const { rules, href } of sheets) {
+                    keep.push(...await this.filterRules(rules, context, href));
+                }
+
+                // @font-face and @keyframes only when a kept rule uses them
+                for (const { rule, href } of deferredAtRules) {
+                    if (rule.type === CSSRule.FONT_FACE_RULE) {
+                        const family = rule.style.getPropertyValue('font-family').replace(/["']/g, '').trim().toLowerCase();
+                        if (used.fonts.has(family)) keep.push(this.absolutize(rule.cssText, href));
+                    } else if (used.animations.has(rule.name)) {
+                        keep.push(rule.cssText);
+                    }
+                }
+
+                const css = keep.join('\n');
+                if (css.length === 0 || css.length > this.maxLength) {
+                    Logger.debug(`Critical CSS: ${css.length} characters, not caching`);
+                    return;
+                }
+                await this.store({ css, sheets: this.getSheetSignature(), t: Date.now() });
+                Logger.info(`Critical CSS extracted for ${this.getTemplateKey()} (${(css.length / 1024).toFixed(1)} KB)`);
+            } catch (e) {
+                Logger.debug('Critical CSS extraction failed', e);
+            }
+        },
+
+        /**
+         * Rules of every stylesheet in document order; cross-origin sheets are fetched
+         * (CORS permitting) and parsed into a constructed stylesheet
+         * @returns {Promise<Array<{rules: CSSRuleList, href: string}>|null>} Rule lists, or null if any sheet is unreadable
+         */
+        async collectSheets() {
+            const result = [];
+            for (const sheet of Array.from(document.styleSheets)) {
+                const owner = sheet.ownerNode;
+                if (owner && (owner === this.style || (owner.id && owner.id.startsWith('webperf-')))) continue;
+                if (sheet.disabled) continue;
+
+                // Inline sheets resolve against the document base, which honours <base href>
+                const href = sheet.href || document.baseURI;
+                try {
+                    result.push({ rules: sheet.cssRules, href });
+                } catch (e) {
+                    try {
+                        const response = await ServiceWorkerCache.fetchDirect(sheet.href, { mode: 'cors', credentials: 'omit' });
+                        if (!response.ok) return null;
+                        const constructed = new CSSStyleSheet();
+                        constructed.replaceSync(await response.text());
+                        result.push({ rules: constructed.cssRules, href });
+                    } catch (fetchError) {
+                        return null;
+                    }
+                }
+            }
+            return result;
+        },
+
+        /**
+         * Keep style rules matching above-the-fold elements, recursing into grouping rules
+         * Yields to the page every `sliceMs` so large stylesheets don't block the main thread
+         * @param {CSSRuleList} rules - Rules
+         * @param {Object} context - Extraction state
+         * @param {Set<Element>} context.elements - Above-the-fold elements
+         * @param {{fonts: Set<string>, animations: Set<string>}} context.used - Font families and animations used by kept rules
+         * @param {Array<{rule: CSSRule, href: string}>} context.deferredAtRules - @font-face/@keyframes to decide on later
+         * @param {Map<string, boolean>} context.matched - Selector results so far
+         * @param {number} context.until - End of the current time slice
+         * @param {string} href - Stylesheet URL (base for url())
+         * @returns {Promise<string[]>} CSS text of kept rules
+         */
+        async filterRules(rules, context, href) {
+            const keep = [];
+            for (const rule of Array.from(rules)) {
+                if (performance.now() > context.until) {
+                    await new Promise(resolve => SafeScheduler.idle(resolve));
+                    context.until = performance.now() + this.sliceMs;
+                }
+
+                if (rule.type === CSSRule.STYLE_RULE) {
+                    if (this.matchesAny(rule.selectorText, context)) {
+                        this.noteUsage(rule.style, context.used);
+                        keep.push(this.absolutize(rule.cssText, href));
+                    }
+                } else if (rule.type === CSSRule.IMPORT_RULE) {
+                    let imported = null;
+                    try {
+                        imported = rule.styleSheet && rule.styleSheet.cssRules;
+                    } catch (e) {
+                        // Cross-origin import; the full stylesheet still loads
+                    }
+                    if (imported) keep.push(...await this.filterRules(imported, context, rule.styleSheet.href || href));
+                } else if (rule.type === CSSRule.FONT_FACE_RULE || rule.type === CSSRule.KEYFRAMES_RULE) {
+                    context.deferredAtRules.push({ rule, href });
+                } else if (rule.cssRules) {
+                    // @media, @supports, @layer, @container: keep the wrapper around kept children
+                    const inner = await this.filterRules(rule.cssRules, context, href);
+                    if (inner.length > 0) {
+                        const prelude = rule.cssText.slice(0, rule.cssText.indexOf('{')).trim();
+                        keep.push(`${prelude} {\n${inner.join('\n')}\n}`);
+                    }
+                } else if (rule.type !== CSSRule.CHARSET_RULE && rule.type !== CSSRule.NAMESPACE_RULE) {
+                    // @layer statements, @property, @counter-style: cheap and order-sensitive
+                    keep.push(rule.cssText);
+                }
+            }
+            return keep;
+        },
+
+        /**
+         * Check a selector list against the above-the-fold elements, ignoring state and pseudo-elements
+         * Each selector is queried once against the document, then looked up in the element set
+         * @param {string} selectorText - Selector list
+         * @param {{elements: Set<Element>, matched: Map<string, boolean>}} context - Elements and selector results so far
+         * @returns {boolean} True if any selector matches any element
+         */
+        matchesAny(selectorText, context) {
+            for (const part of selectorText.split(/,(?![^(]*\))/)) {
+                const selector = part.replace(this.statefulPseudo, '').trim() || '*';
+                if (!context.matched.has(selector)) {
+                    let found;
+                    try {
+                        found = Array.prototype.some.call(document.querySelectorAll(selector), el => context.elements.has(el));
+                    } catch (e) {
+                        // Selector the engine can't evaluate outside its own stylesheet; keep it to be safe
+                        found = true;
+                    }
+                    context.matched.set(selector, found);
+                }
+                if (context.matched.get(selector)) return true;
+            }
+            return false;
+        },
+
+        /**
+         * Record font families and animation names a kept rule refers to
+         * @param {CSSStyleDeclaration} style - Rule declarations
+         * @param {{fonts: Set<string>, animations: Set<string>}} used - Usage (modified)
+         */
+        noteUsage(style, used) {
+            // Shorthands are expanded in the CSSOM, so the longhands cover font and animation too
+            style.getPropertyValue('font-family').split(',')
+                .forEach(family => used.fonts.add(family.replace(/["']/g, '').trim().toLowerCase()));
+            style.getPropertyValue('animation-name').split(',')
+                .forEach(name => name.trim() && used.animations.add(name.trim()));
+        },
+
+        /**
+         * Make url() references absolute
+         * Stored CSS is replayed on other URLs of the template, so even inline-sheet
+         * references can't stay relative to the page they were extracted from
+         * @param {string} css - CSS text
+         * @param {string} href - Stylesheet base URL
+         * @returns {string} CSS text
+         */
+        absolutize(css, href) {
+            return css.replace(/url\(\s*(['"]?)([^'")]+)\1\s*\)/g, (match, quote, ref) => {
+                if (/^(data:|#)/.test(ref)) return match;
+                const url = URLCache.parse(ref, href);
+                return url ? `url("${url.href}")` : match;
+            });
+        },
+
+        /**
+         * Save the entry for this template, within the per-host and host limits
+         * @param {Object} entry - Critical CSS entry
+         */
+        async store(entry) {
+            const host = location.hostname;
+            const entries = await ConfigManager.loadFromStorage(this.keyPrefix + host) || {};
+            entries[this.getTemplateKey()] = entry;
+            Object.keys(entries)
+                .sort((a, b) => entries[b].t - entries[a].t)
+                .slice(this.limits.templates)
+                .forEach(key => delete entries[key]);
+            await ConfigManager.saveToStorage(this.keyPrefix + host, entries);
+            this.entry = entry;
+
+            const index = await ConfigManager.loadFromStorage(this.indexKey) || {};
+            index[host] = entry.t;
+            const stale = Object.keys(index).sort((a, b) => index[b] - index[a]).slice(this.limits.hosts);
+            for (const name of stale) {
+                delete index[name];
+                await ConfigManager.removeFromStorage(this.keyPrefix + name);
+            }
+            await ConfigManager.saveToStorage(this.indexKey, index);
+        },
+
+        /**
+         * Remove the inlined style and restore deferred links
+         */
+        cleanup() {
+            this.restoreAll();
+            if (this.style) {
+                this.style.remove();
+                this.style = null;
+            }
+        }
+    };
+
+    /**
+     * Preload scanner
+     * Reads the HTML of pages the prefetchers prefetched from the HTTP cache, parses it
+     * with DOMParser (nothing runs) and warms the resources those pages will need first -
+     * render-blocking CSS, fonts, the hero image and module scripts - in the HTTP cache
+     * @namespace PreloadScanner
+     */
+    const PreloadScanner = {
+        /**
+         * Predicted pages scanned per page view
+         * @type {number}
+         */
+        maxPages: 3,
+
+        /**
+         * Largest HTML document parsed (characters)
+         * @type {number}
+         */
+        maxHtmlLength: 1024 * 1024,
+
+        /**
+         * Resources warmed per scanned page, by destination
+         * @type {Object<string, number>}
+         */
+        limits: { style: 3, font: 2, image: 1, script: 3 },
+
+        /**
+         * Font MIME types by extension
+         * @type {Object<string, string>}
+         */
+        fontTypes: { woff2: 'font/woff2', woff: 'font/woff', ttf: 'font/ttf', otf: 'font/otf' },
+
+        /**
+         * Pages waiting to be scanned
+         * @type {string[]}
+         */
+        queue: [],
+
+        /**
+         * Pages queued or scanned this page view
+         * @type {Set<string>}
+         */
+        scanned: new Set(),
+
+        /**
+         * Pages actually parsed this page view (cache misses don't count)
+         * @type {number}
+         */
+        parsedPages: 0,
+
+        /**
+         * Resource URLs already warmed
+         * @type {Set<string>}
+         */
+        warmed: new Set(),
+
+        /**
+         * Whether the queue is being worked through
+         * @type {boolean}
+         */
+        running: false,
+
+        /**
+         * Whether predicted pages are scanned
+         * @type {boolean}
+         */
+        enabled: false,
+
+        /**
+         * Enable scanning of predicted pages
+         */
+        init() {
+            if (!ConfigManager.isEnabled('preloadScanner')) return;
+            
+            this.enabled = true;
+            Logger.info('Preload scanner enabled for predicted pages');
+        },
+
+        /**
+         * Queue prefetched pages for scanning
+         * @param {string[]} urls - Same-origin page URLs
+         */
+        enqueue(urls) {
+            if (!this.enabled || this.parsedPages >= this.maxPages) return;
+
+            for (const url of urls) {
+                if (this.scanned.has(url)) continue;
+                this.scanned.add(url);
+                this.queue.push(url);
+            }
+
+            if (!this.running && this.queue.length > 0) {
+                this.running = true;
+                SafeScheduler.idle(() => this.drain());
+            }
+        },
+
+        /**
+         * Scan queued pages one at a time
+         */
+        async drain() {
+            while (this.queue.length > 0 && this.parsedPages < this.maxPages) {
+                await this.scanPage(this.queue.shift());
+            }
+            this.queue = [];
+            this.running = false;
+        },
+
+        /**
+         * Parse a prefetched page, then warm what it will need
+         * The page was charged to the budget when it was prefetched; only-if-cached makes sure
+         * it isn't downloaded a second time (pages the cache didn't keep are skipped)
+         * @param {string} url - Page URL
+         */
+        async scanPage(url) {
+            try {
+                const response = await ServiceWorkerCache.fetchDirect(url, {
+                    mode: 'same-origin',
+                    cache: 'only-if-cached',
+                    credentials: 'same-origin',
+                    headers: { Accept: 'text/html' }
+                });
+                const type = response.headers.get('content-type') || '';
+                if (!response.ok || !type.includes('text/html')) return;
+
+                const html = await response.text();
+                if (html.length > this.maxHtmlLength) return;
+
+                this.parsedPages++;
+                const doc = new DOMParser().parseFromString(html, 'text/html');
+                const resources = this.discover(doc, response.url || url);
+                resources.forEach(resource => this.warm(resource));
+                Logger.debug(`Preload scanner: ${resources.length} resources for ${url}`, resources);
+            } catch (e) {
+                Logger.debug(`Preload scan failed for ${url}`, e);
+            }
+        },
+
+        /**
+         * Find a parsed page's critical resources
+         * @param {Document} doc - Parsed page
+         * @param {string} pageUrl - URL the page was served from
+         * @returns {Array<{href: string, as: string, type?: string, crossorigin?: string}>} Resources
+         */
+        discover(doc, pageUrl) {
+            const base = doc.querySelector('base[href]');
+            const baseUrl = (base && URLCache.parse(base.getAttribute('href'), pageUrl)) || URLCache.parse(pageUrl);
+            const resolve = (value) => {
+                const url = value && URLCache.parse(value.trim(), baseUrl.href);
+                return url && /^https?:$/.test(url.protocol) ? url.href : null;
+            };
+            const found = [];
+            const add = (destination, resource) => {
+                if (!resource.href) return;
+                if (found.filter(item => item.as === destination).length >= this.limits[destination]) return;
+                if (found.some(item => item.href === resource.href)) return;
+                found.push({ as: destination, ...resource });
+            };
+
+            // Render-blocking stylesheets in the head
+            doc.querySelectorAll('head link[rel~="stylesheet"][href]:not([disabled])').forEach(link => {
+                const media = link.getAttribute('media');
+                if (media && !window.matchMedia(media).matches) return;
+                add('style', {
+                    href: resolve(link.getAttribute('href')),
+                    type: 'text/css',
+                    crossorigin: link.getAttribute('crossorigin')
+                });
+            });
+
+            // Fonts the page preloads itself, then @font-face in inline styles
+            doc.querySelectorAll('link[rel~="preload"][as="font"][href]').forEach(link => {
+                const href = resolve(link.getAttribute('href'));
+                add('font', { href, type: link.getAttribute('type') || this.getFontType(href), crossorigin: 'anonymous' });
+            });
+            doc.querySelectorAll('style').forEach(style => {
+                for (const [, block] of style.textContent.matchAll(/@font-face\s*{([^}]*)}/gi)) {
+                    // Prefer woff2 when several formats are listed
+                    const urls = [...block.matchAll(/url\(\s*['"]?([^'")]+)['"]?\s*\)/gi)].map(match => resolve(match[1]));
+                    const href = urls.find(item => item && /\.woff2(\?|$)/i.test(item)) || urls[0];
+                    add('font', { href, type: this.getFontType(href), crossorigin: 'anonymous' });
+                }
+            });
+
+            // Hero image: declared image preload, a high-priority image, or the first eager content image
+            const preloaded = doc.querySelector('link[rel~="preload"][as="image"]');
+            if (preloaded) {
+                const srcset = preloaded.getAttribute('imagesrcset');
+                add('image', {
+                    href: resolve(srcset ? this.pickCandidate(srcset) : preloaded.getAttribute('href')),
+                    crossorigin: preloaded.getAttribute('crossorigin')
+                });
+            } else {
+                const hero = doc.querySelector('img[fetchpriority="high"]') ||
+                    doc.querySelector('main img:not([loading="lazy"]), article img:not([loading="lazy"]), header img:not([loading="lazy"])');
+                if (hero) add('image', this.describeImage(hero, resolve));
+            }
+
+            // Module scripts and declared module preloads
+            const modules = [
+                ...doc.querySelectorAll('link[rel~="modulepreload"][href]'),
+                ...doc.querySelectorAll('script[type="module"][src]')
+            ];
+            modules.forEach(el => {
+                const credentials = el.getAttribute('crossorigin') === 'use-credentials';
+                add('script', {
+                    href: resolve(el.getAttribute(el.tagName === 'LINK' ? 'href' : 'src')),
+                    // Module requests use CORS, so the warmed response must too
+                    crossorigin: credentials ? 'use-credentials' : 'anonymous'
+                });
+            });
+
+            return found;
+        },
+
+        /**
+         * Describe an img (inside a picture, the first untyped source whose media matches;
+         * typed sources are skipped because the format may not decode here)
+         * @param {HTMLImageElement} img - Parsed image
+         * @param {Function} resolve - URL resolver for the parsed page
+         * @returns {Object} Resource
+         */
+        describeImage(img, resolve) {
+            const picture = img.parentElement && img.parentElement.tagName === 'PICTURE' ? img.parentElement : null;
+            const source = picture && Array.from(picture.querySelectorAll('source[srcset]:not([type])')).find(item => {
+                const media = item.getAttribute('media');
+                return !media || window.matchMedia(media).matches;
+            });
+            const srcset = source ? source.getAttribute('srcset') : img.getAttribute('srcset');
+
+            return {
+                href: resolve(srcset ? this.pickCandidate(srcset) : img.getAttribute('src')),
+                crossorigin: img.getAttribute('crossorigin')
+            };
+        },
+
+        /**
+         * Pick the srcset candidate the browser would likely choose for a full-width image
+         * (prefetch has no imagesrcset, so the URL must be chosen here)
+         * @param {string} srcset - srcset attribute
+         * @returns {string} Candidate URL
+         */
+        pickCandidate(srcset) {
+            const target = window.innerWidth * (window.devicePixelRatio || 1);
+            const candidates = ImageOptimizer.parseSrcset(srcset).map(({ url, descriptor }) => {
+                descriptor = descriptor || '1x';
+                const value = parseFloat(descriptor);
+                // Density descriptors scale the viewport width
+                const width = descriptor.endsWith('x') ? value * window.innerWidth : value;
+                return { url, width };
+            }).filter(candidate => candidate.url && candidate.width > 0)
+                .sort((a, b) => a.width - b.width);
+
+            const fit = candidates.find(candidate => candidate.width >= target) || candidates[candidates.length - 1];
+            return fit ? fit.url : '';
+        },
+
+        /**
+         * Font MIME type from a URL's extension
+         * @param {string|null} href - Font URL
+         * @returns {string|null} MIME type
+         */
+        getFontType(href) {
+            const match = href && href.match(/\.(woff2|woff|ttf|otf)(\?|#|$)/i);
+            return match ? this.fontTypes[match[1].toLowerCase()] : null;
+        },
+
+        /**
+         * Fetch a resource into the HTTP cache for the next navigation
+         * rel=prefetch (not preload, which is for the current page) with the destination,
+         * type and CORS mode the next page will request it with, so the cached response matches
+         * @param {Object} resource - Discovered resource
+         */
+        warm(resource) {
+            const { href } = resource;
+            if (this.warmed.has(href)) return;
+            // Already loaded by this page, so it's cached
+            if (performance.getEntriesByName(href).length > 0) return;
+            if (!NetworkBudget.allow('preload', href)) return;
+
+            const attrs = { rel: 'prefetch', href, as: resource.as };
+            for (const key of ['type', 'crossorigin']) {
+                if (resource[key] !== null && resource[key] !== undefined) attrs[key] = resource[key];
+            }
+
+            DOMHelper.appendToHead(DOMHelper.createElement('link', attrs));
+            this.warmed.add(href);
+            PrefetchEffectiveness.record(href, 'PreloadScanner', 'preload');
+            Telemetry.increment('preloadedResources');
+        }
+    };
+
+    /**
+     * Resource priority optimizer
+     * Optimizes resource loading order
+     * @namespace ResourcePriority
+     */
+    const ResourcePriority = {
+        init() {
+            if (!ConfigManager.isEnabled('resourcePriority')) return;
+            
+            SafeScheduler.idle(() => {
+                this.optimizeLoadOrder();
+            });
+            
+            Logger.info('Resource priority optimizer enabled');
+        },
+        
+        optimizeLoadOrder() {
+            // Defer all non-critical scripts
+            document.querySelectorAll('script[src]:not([async]):not([defer])').forEach(script => {
+                const src = script.src.toLowerCase();
+                if (!src.includes('critical') && !src.includes('essential')) {
+                    script.defer = true;
+                }
+            });
+            
+            // Async non-critical stylesheets
+            document.querySelectorAll('link[rel="stylesheet"]').forEach((link, index) => {
+                if (index >= 2) { // After first 2 critical ones
+                    link.media = 'print';
+                    link.onload = function() {
+                        this.media = 'all';
+                    };
+                }
+            });
+        }
+    };
+
+    /**
+     * Service Worker cache
+     * Routes requests to per-route caching strategies with entry quotas and expiry.
+     * The same engine runs in a registered Service Worker (when `serviceWorkerUrl`
+     * serves the generated worker script) or, as a fallback, wraps page fetch()
+     * with the Cache API.
+     * @namespace ServiceWorkerCache
+     */
+    const ServiceWorkerCache = {
+        /**
+         * Ordered routes; the first match wins, unmatched requests go to the network.
+         * Matching GET requests by destination, file extension, path pattern or Accept header.
+         * @type {Array<Object>}
+         */
+        routes: [
+            { name: 'non-get', strategy: 'network-only', nonGet: true },
+            {
+                name: 'api',
+                strategy: 'network-only',
+                pathPattern: '/(?:api|graphql)(?:/|$)|\\.json(?:$|\\?)',
+                accept: 'application/json'
+            },
+            {
+                name: 'html',
+                strategy: 'network-first',
+                cacheName: 'webperf-pages',
+                maxEntries: 50,
+                maxAgeSeconds: 24 * 60 * 60,
+                networkTimeoutMs: 3000,
+                // Navigations only: fetch()ed HTML fragments must never be served stale
+                destinations: ['document', 'iframe']
+            },
+            {
+                name: 'static',
+                strategy: 'cache-first',
+                cacheName: 'webperf-static',
+                maxEntries: 200,
+                maxAgeSeconds: 7 * 24 * 60 * 60,
+                destinations: ['script', 'style', 'font', 'worker'],
+                extensions: ['js', 'mjs', 'css', 'woff', 'woff2', 'ttf', 'otf']
+            },
+            {
+                name: 'images',
+                strategy: 'stale-while-revalidate',
+                cacheName: 'webperf-images',
+                maxEntries: 300,
+                maxAgeSeconds: 30 * 24 * 60 * 60,
+                destinations: ['image'],
+                extensions: ['png', 'jpg', 'jpeg', 'gif', 'webp', 'avif', 'svg', 'ico']
+            }
+        ],
+
+        /**
+         * Strategy engine used by the page fallback
+         * @type {Object|null}
+         */
+        engine: null,
+
+        /**
+         * fetch() as it was before the page fallback wrapped it
+         * @type {Function|null}
+         */
+        originalFetch: null,
+
+        /**
+         * Active mode: 'worker', 'page' or null
+         * @type {string|null}
+         */
+        mode: null,
+
+        async init() {
+            if (!ConfigManager.isEnabled('serviceWorkerCache')) return;
+
+            if (await this.registerServiceWorker()) {
+                this.mode = 'worker';
+            } else if (this.installPageFallback()) {
+                this.mode = 'page';
+            } else {
+                return;
+            }
+            Logger.info(`Service Worker cache enabled (${this.mode})`);
+        },
+
+        /**
+         * Register the worker at `serviceWorkerUrl`
+         * Blob and data URLs can't be registered, so the worker must be served by the site itself
+         * @returns {Promise<boolean>} True if registered
+         */
+        async registerServiceWorker() {
+            const url = ConfigManager.get('serviceWorkerUrl');
+            if (!url || !('serviceWorker' in navigator)) return false;
+
+            const parsed = URLCache.parse(url);
+            if (!parsed || parsed.origin !== location.origin) {
+                Logger.warn('serviceWorkerUrl must be on the page origin', url);
+                return false;
+            }
+
+            try {
+                await navigator.serviceWorker.register(parsed.href);
+                Logger.log('Service Worker registered');
+                return true;
+            } catch (e) {
+                Logger.log('Service Worker registration failed:', e);
+                return false;
+            }
+        },
+
+        /**
+         * fetch() for webperf's own requests, skipping the page fallback's cache routes
+         * @param {RequestInfo} input - URL or Request
+         * @param {RequestInit} [init] - Fetch options
+         * @returns {Promise<Response>} Response
+         */
+        fetchDirect(input, init) {
+            return (this.originalFetch || window.fetch).call(window, input, init);
+        },
+
+        /**
+         * Route page fetch() calls through the engine using the Cache API
+         * Chains onto the current fetch (AdTrackerBlocker's wrapper, when enabled), so cache
+         * misses are still filtered
+         * @returns {boolean} True if installed
+         */
+        installPageFallback() {
+            if (this.originalFetch) return true;
+            if (!window.isSecureContext || typeof caches === 'undefined') return false;
+
+            const engine = this.createEngine({ routes: this.routes });
+            const originalFetch = window.fetch;
+            this.engine = engine;
+            this.originalFetch = originalFetch;
+
+            window.fetch = function(...args) {
+                const [input, init] = args;
+                const method = (init && init.method) || (input instanceof Request ? input.method : 'GET');
+                // Non-GET bodies may be streams; pass them through untouched
+                if (String(method).toUpperCase() !== 'GET') return originalFetch.apply(this, args);
+
+                let request;
+                try {
+                    request = new Request(input, init);
+                } catch (e) {
+                    return originalFetch.apply(this, args);
+                }
+                return engine.handle(request, req => originalFetch.call(window, req)) ||
+                    originalFetch.apply(this, args);
+            };
+
+            SafeScheduler.idle(() => engine.cleanup());
+            return true;
+        },
+
+        /**
+         * Build the strategy engine. Runs both in the page and, via toString(), in the
+         * worker script, so it must be a self-contained function expression.
+         * @param {{routes: Array<Object>}} options - Route table
+         * @returns {{classify: Function, handle: Function, cleanup: Function}} Engine
+         */
+        createEngine: function(options) {
+            const TIME_HEADER = 'x-webperf-cached-at';
+            const FRESH_HEADER = 'x-webperf-fresh-until';
+            const routes = options.routes.map(route => Object.assign({}, route, {
+                path: route.pathPattern ? new RegExp(route.pathPattern, 'i') : null
+            }));
+
+            const classify = (request) => {
+                const url = new URL(request.url);
+                if (!/^https?:$/.test(url.protocol) || request.headers.has('range')) return null;
+
+                const isGet = request.method.toUpperCase() === 'GET';
+                const accept = request.headers.get('accept') || '';
+                const extension = ((url.pathname.match(/\.([a-z0-9]+)$/i) || [])[1] || '').toLowerCase();
+
+                return routes.find((route) => {
+                    if (route.nonGet) return !isGet;
+                    if (!isGet) return false;
+                    return Boolean(
+                        (route.path && route.path.test(url.pathname + url.search)) ||
+                        (route.destinations && route.destinations.includes(request.destination)) ||
+                        (route.extensions && extension && route.extensions.includes(extension)) ||
+                        (route.accept && accept.includes(route.accept))
+                    );
+                }) || null;
+            };
+
+            const directive = (cacheControl, name) => new RegExp(`(?:^|[,\\s])${name}\\b`, 'i').test(cacheControl);
+
+            // Only complete, readable responses; never opaque, no-store or private ones
+            const isCacheable = (response) => {
+                if (!response || response.status !== 200) return false;
+                if (response.type !== 'basic' && response.type !== 'cors') return false;
+                const cacheControl = response.headers.get('cache-control') || '';
+                return !directive(cacheControl, 'no-store') && !directive(cacheControl, 'private') &&
+                    (response.headers.get('vary') || '').trim() !== '*';
+            };
+
+            // Fingerprinted file names (app.3f9a1c2e.js, main-5LQWX7Z2.css) never change content
+            const isFingerprinted = url => /[.-](?=[0-9a-z_]*\d)[0-9a-z_]{8,}\.[0-9a-z]+$/i.test(new URL(url).pathname);
+
+            // How long the response may be served without asking the network, from its headers;
+            // -1 for no-cache (always revalidate), capped by the route's retention
+            const getFreshUntil = (route, request, response) => {
+                const headers = response.headers;
+                const cacheControl = headers.get('cache-control') || '';
+                if (directive(cacheControl, 'no-cache')) return -1;
+
+                let seconds;
+                const maxAge = /(?:^|[,\s])max-age\s*=\s*"?(\d+)/i.exec(cacheControl);
+                const lastModified = Date.parse(headers.get('last-modified'));
+                if (maxAge) {
+                    seconds = Number(maxAge[1]) - (Number(headers.get('age')) || 0);
+                } else if (headers.has('expires')) {
+                    const expires = Date.parse(headers.get('expires'));
+                    seconds = isNaN(expires) ? 0 : (expires - (Date.parse(headers.get('date')) || Date.now())) / 1000;
+                } else if (isFingerprinted(request.url)) {
+                    seconds = route.maxAgeSeconds;
+                } else if (!isNaN(lastModified)) {
+                    // Heuristic freshness: a tenth of the time since the last change
+                    seconds = (Date.now() - lastModified) / 10000;
+                } else {
+                    seconds = 0;
+                }
+                return Date.now() + Math.max(0, Math.min(seconds, route.maxAgeSeconds)) * 1000;
+            };
+
+            const trim = async (cache, route) => {
+                const keys = await cache.keys();
+                // Cache keys are returned in insertion order, oldest first
+                for (let i = 0; i < keys.length - route.maxEntries; i++) {
+                    await cache.delete(keys[i]);
+                }
+            };
+
+            const store = async (route, request, response) => {
+                const headers = new Headers(response.headers);
+                headers.set(TIME_HEADER, String(Date.now()));
+                headers.set(FRESH_HEADER, String(getFreshUntil(route, request, response)));
+                const stamped = new Response(await response.blob(), {
+                    status: response.status,
+                    statusText: response.statusText,
+                    headers
+                });
+                const cache = await caches.open(route.cacheName);
+                await cache.delete(request);
+                await cache.put(request, stamped);
+                await trim(cache, route);
+            };
+
+            const lookup = async (route, request) => {
+                const cache = await caches.open(route.cacheName);
+                const cached = await cache.match(request);
+                if (!cached) return null;
+
+                const cachedAt = Number(cached.headers.get(TIME_HEADER)) || 0;
+                if (Date.now() - cachedAt > route.maxAgeSeconds * 1000) {
+                    await cache.delete(request);
+                    return null;
+                }
+                return cached;
+            };
+
+            // Fresh per the response's own Cache-Control/Expires; stale entries only serve as fallbacks
+            const isFresh = cached => Date.now() < (Number(cached.headers.get(FRESH_HEADER)) || 0);
+            const mustRevalidate = cached => cached.headers.get(FRESH_HEADER) === '-1';
+
+            // Network, falling back to a stale copy when it fails
+            const revalidate = async (route, request, fetcher, waitUntil, cached) => {
+                try {
+                    return await fromNetwork(route, request, fetcher, waitUntil);
+                } catch (e) {
+                    if (cached) return cached;
+                    throw e;
+                }
+            };
+
+            const fromNetwork = async (route, request, fetcher, waitUntil) => {
+                const response = await fetcher(request);
+                if (isCacheable(response)) {
+                    waitUntil(store(route, request, response.clone()));
+                }
+                return response;
+            };
+
+            const strategies = {
+                'cache-first': async (route, request, fetcher, waitUntil) => {
+                    const cached = await lookup(route, request);
+                    if (cached && isFresh(cached)) return cached;
+                    return revalidate(route, request, fetcher, waitUntil, cached);
+                },
+
+                'network-first': async (route, request, fetcher, waitUntil) => {
+                    const network = fromNetwork(route, request, fetcher, waitUntil);
+                    network.catch(() => {});
+                    const timeout = new Promise(resolve => setTimeout(resolve, route.networkTimeoutMs || 3000, null));
+                    try {
+                        const response = await Promise.race([network, timeout]);
+                        if (response) return response;
+                    } catch (e) {
+                        // Offline or failed: fall back to the cache below
+                    }
+                    // Slow or failed network: serve the cached copy, else keep waiting for the network
+                    return (await lookup(route, request)) || network;
+                },
+
+                'stale-while-revalidate': async (route, request, fetcher, waitUntil) => {
+                    const cached = await lookup(route, request);
+                    if (cached && isFresh(cached)) return cached;
+                    // no-cache responses are never served without asking the network first
+                    if (cached && mustRevalidate(cached)) return revalidate(route, request, fetcher, waitUntil, cached);
+
+                    const network = fromNetwork(route, request, fetcher, waitUntil);
+                    if (cached) {
+                        waitUntil(network);
+                        return cached;
+                    }
+                    return network;
+                }
+            };
+
+            return {
+                classify,
+
+                /**
+                 * Handle a request
+                 * @returns {Promise<Response>|null} Response, or null to let the network handle it
+                 */
+                handle(request, fetcher, waitUntil) {
+                    // Requests that bypass or revalidate the HTTP cache want the network's answer
+                    if (request.cache !== 'default') return null;
+                    for (const name of request.headers.keys()) {
+                        if (name.startsWith('if-')) return null;
+                    }
+
+                    const route = classify(request);
+                    const strategy = route && strategies[route.strategy];
+                    if (!strategy) return null;
+
+                    const background = waitUntil || (promise => { promise.catch(() => {}); });
+                    return strategy(route, request, fetcher, promise => background(promise.catch(() => {})));
+                },
+
+                /**
+                 * Delete caches from older versions (any webperf-* cache no route uses)
+                 */
+                async cleanup() {
+                    const current = routes.map(route => route.cacheName).filter(Boolean);
+                    for (const name of await caches.keys()) {
+                        if (name.startsWith('webperf-') && !current.includes(name)) {
+                            await caches.delete(name);
+                        }
+                    }
+                }
+            };
+        },
+
+        /**
+         * Generate the Service Worker script to serve at `serviceWorkerUrl`
+         * @returns {string} Worker source
+         */
+        buildWorkerScript() {
+            return [
+                '// WebPerf Service Worker, generated by Web Performance Suite',
+                `const engine = (${this.createEngine})(${JSON.stringify({ routes: this.routes }, null, 4)});`,
+                '',
+                "self.addEventListener('install', () => self.skipWaiting());",
+                "self.addEventListener('activate', (event) => {",
+                '    event.waitUntil(Promise.all([self.clients.claim(), engine.cleanup()]));',
+                '});',
+                "self.addEventListener('fetch', (event) => {",
+                '    const response = engine.handle(event.request, request => fetch(request), promise => event.waitUntil(promise));',
+                '    if (response) event.respondWith(response);',
+                '});',
+                ''
+            ].join('\n');
+        },
+
+        /**
+         * Delete every WebPerf cache
+         */
+        async clear() {
+            if (typeof caches === 'undefined') return;
+            for (const name of await caches.keys()) {
+                if (name.startsWith('webperf-')) await caches.delete(name);
+            }
+        }
+    };
+
+    /**
+     * Instant navigation
+     * Back/forward navigations are instant when the browser restores the page from its
+     * back/forward cache (bfcache). This module stands down on SPAs (the app's router owns
+     * history) and on multi-page sites finds what keeps the page out of the bfcache
+     * @namespace InstantNavigation
+     */
+    const InstantNavigation = {
+        /**
+         * Client-side router markers
+         * @type {Array<{name: string, test: Function}>}
+         */
+        routerMarkers: [
+            { name: 'Next.js', test: () => !!window.__NEXT_DATA__ || !!document.getElementById('__next') },
+            { name: 'Nuxt', test: () => !!window.__NUXT__ || !!document.getElementById('__nuxt') },
+            { name: 'Remix / React Router', test: () => !!(window.__remixContext || window.__reactRouterContext || window.__reactRouterVersion) },
+            { name: 'Gatsby', test: () => !!document.getElementById('___gatsby') },
+            { name: 'SvelteKit', test: () => !!document.querySelector('[data-sveltekit-preload-data], [data-sveltekit-hydrate]') },
+            { name: 'Angular', test: () => !!document.querySelector('[ng-version]') },
+            { name: 'Vue', test: () => !!window.__VUE__ || !!document.querySelector('[data-v-app]') },
+            { name: 'Turbo', test: () => !!window.Turbo }
+        ],
+
+        /**
+         * Suggestions per blocker kind
+         * @type {Object<string, string>}
+         */
+        suggestions: {
+            unload: 'Listen for pagehide (or visibilitychange) instead of unload.',
+            beforeunload: 'Add beforeunload only while there are unsaved changes and remove it once they are saved.',
+            noStore: 'Send Cache-Control: no-cache or private instead of no-store unless the page shows sensitive data.',
+            WebSocket: 'Close the socket on pagehide and reconnect on pageshow when event.persisted is true.',
+            BroadcastChannel: 'Close the channel on pagehide and reopen it on pageshow.',
+            RTCPeerConnection: 'Close peer connections on pagehide.',
+            notRestored: 'The browser reported why this page was not restored on the last back/forward navigation.'
+        },
+
+        /**
+         * Router that owns navigation on this page, or null for a multi-page site
+         * @type {string|null}
+         */
+        router: null,
+
+        /**
+         * unload/beforeunload listeners registered by the page
+         * @type {Map<Function|Object, {type: string, source: string}>}
+         */
+        unloadListeners: new Map(),
+
+        /**
+         * Open connections created by the page
+         * @type {Set<{name: string, target: string}>}
+         */
+        connections: new Set(),
+
+        /**
+         * Restores from the bfcache this session
+         * @type {number}
+         */
+        restores: 0,
+
+        /**
+         * Whether hooks are installed
+         * @type {boolean}
+         */
+        monitoring: false,
+
+        /**
+         * Report panel host
+         * @type {HTMLDivElement|null}
+         */
+        host: null,
+
+        /**
+         * Report panel shadow root
+         * @type {ShadowRoot|null}
+         */
+        root: null,
+
+        /**
+         * Extra panel styles (on top of SettingsPanel.styles)
+         * @type {string}
+         */
+        styles: `
+            .panel { width: 480px; }
+            .status { padding: 8px 12px; }
+            ul { margin: 0; padding: 0 12px 12px 28px; }
+            li { margin-bottom: 6px; }
+            .detail { color: #aaa; word-break: break-all; }
+            .suggestion { color: #6c6; }
+        `,
+
+        /**
+         * Install hooks before the page's scripts run (document-start)
+         */
+        monitor() {
+            if (!ConfigManager.isEnabled('instantNavigation') || this.monitoring) return;
+            this.monitoring = true;
+
+            this.watchHistory();
+            this.watchUnload();
+            ['WebSocket', 'BroadcastChannel', 'RTCPeerConnection'].forEach(name => this.watchConnection(name));
+
+            window.addEventListener('pageshow', (e) => {
+                if (!e.persisted) return;
+                this.restores++;
+                Logger.info('Page restored instantly from back/forward cache');
+            });
+        },
+
+        /**
+         * Detect the page type once the DOM is ready
+         */
+        init() {
+            if (!ConfigManager.isEnabled('instantNavigation')) return;
+            this.monitor();
+
+            const router = this.detectRouter();
+            if (router) {
+                this.router = router;
+                Logger.info(`Instant navigation: ${router} router detected, leaving history to the app`);
+                return;
+            }
+
+            // Report once the page's own scripts have had a chance to register handlers
+            window.addEventListener('load', () => {
+                SafeScheduler.idle(() => {
+                    if (this.router) return;
+                    const blockers = this.getBlockers();
+                    if (blockers.length > 0) {
+                        Logger.warn(`Back/forward cache blocked by: ${blockers.map(b => b.label).join(', ')} (see "⏪ Back/forward cache")`);
+                    }
+                });
+            }, { once: true });
+
+            Logger.info('Instant navigation: back/forward cache diagnostics enabled');
+        },
+
+        /**
+         * Find a client-side router marker
+         * @returns {string|null} Router name
+         */
+        detectRouter() {
+            for (const marker of this.routerMarkers) {
+                try {
+                    if (marker.test()) return marker.name;
+                } catch (e) {
+                    // Marker check failed, try the next one
+                }
+            }
+            return null;
+        },
+
+        /**
+         * Treat the page as an SPA as soon as it pushes history entries
+         */
+        watchHistory() {
+            ['pushState', 'replaceState'].forEach(method => {
+                const original = history[method];
+                if (typeof original !== 'function') return;
+
+                history[method] = function(...args) {
+                    if (method === 'pushState' && !InstantNavigation.router) {
+                        InstantNavigation.router = 'History API';
+                        Logger.debug('Instant navigation: history.pushState used, treating page as an SPA');
+                    }
+                    return original.apply(this, args);
+                };
+            });
+        },
+
+        /**
+         * Record unload/beforeunload listeners and the script that added them
+         */
+        watchUnload() {
+            const add = window.addEventListener;
+            const remove = window.removeEventListener;
+
+            window.addEventListener = function(type, listener, options) {
+                if ((type === 'unload' || type === 'beforeunload') && listener) {
+                    InstantNavigation.unloadListeners.set(listener, {
+                        type,
+                        source: InstantNavigation.getCallerScript()
+                    });
+                }
+                return add.call(this, type, listener, options);
+            };
+            window.removeEventListener = function(type, listener, options) {
+                const entry = InstantNavigation.unloadListeners.get(listener);
+                if (entry && entry.type === type) InstantNavigation.unloadListeners.delete(listener);
+                return remove.call(this, type, listener, options);
+            };
+        },
+
+        /**
+         * Find the first page script on the current call stack
+         * @returns {string} Script URL, or '' if unknown
+         */
+        getCallerScript() {
+            const stack = new Error().stack || '';
+            const match = stack.match(/https?:\/\/[^\s)]+?(?=:\d+:\d+)/);
+            return match ? match[0] : '';
+        },
+
+        /**
+         * Track instances of a connection constructor until they are closed
+         * A Proxy keeps statics, the prototype and instanceof working
+         * @param {string} name - Global constructor name
+         */
+        watchConnection(name) {
+            const Original = window[name];
+            if (typeof Original !== 'function') return;
+
+            window[name] = new Proxy(Original, {
+                construct(target, args, newTarget) {
+                    const connection = Reflect.construct(target, args, newTarget);
+                    InstantNavigation.trackConnection(name, connection);
+                    return connection;
+                }
+            });
+        },
+
+        /**
+         * Add a connection to the open set and drop it again when closed
+         * @param {string} name - Constructor name
+         * @param {Object} connection - WebSocket, BroadcastChannel or RTCPeerConnection
+         */
+        trackConnection(name, connection) {
+            const entry = {
+                name,
+                target: name === 'WebSocket' ? String(connection.url) : name === 'BroadcastChannel' ? connection.name : ''
+            };
+            this.connections.add(entry);
+
+            const done = () => this.connections.delete(entry);
+            // Stub connections from AdTrackerBlocker may lack close() or events
+            if (typeof connection.close === 'function') {
+                const close = connection.close;
+                connection.close = function(...args) {
+                    done();
+                    return close.apply(this, args);
+                };
+            }
+            if (name === 'WebSocket' && typeof connection.addEventListener === 'function') {
+                connection.addEventListener('close', done);
+            }
+        },
+
+        /**
+         * Blockers visible from inside the page
+         * @returns {Array<{kind: string, label: string, detail: string, suggestion: string}>} Blockers
+         */
+        getBlockers() {
+            const blockers = [];
+            const add = (kind, label, detail = '') => {
+                blockers.push({ kind, label, detail, suggestion: this.suggestions[kind] });
+            };
+
+            for (const type of ['unload', 'beforeunload']) {
+                const sources = [...this.unloadListeners.values()]
+                    .filter(entry => entry.type === type)
+                    .map(entry => entry.source || 'inline or unknown script');
+                if (typeof window[`on${type}`] === 'function') sources.push(`window.on${type}`);
+                if (sources.length > 0) add(type, `${type} handler`, [...new Set(sources)].join(', '));
+            }
+
+            const open = new Map();
+            for (const entry of this.connections) {
+                if (!open.has(entry.name)) open.set(entry.name, []);
+                open.get(entry.name).push(entry.target);
+            }
+            for (const [name, targets] of open) {
+                add(name, `open ${name} (${targets.length})`, targets.filter(Boolean).join(', '));
+            }
+
+            const reasons = this.getNotRestoredReasons();
+            if (reasons.length > 0) add('notRestored', 'not restored last time', reasons.join(', '));
+
+            return blockers;
+        },
+
+        /**
+         * Reasons the browser gave for not restoring this page (Chrome's NotRestoredReasons)
+         * @returns {string[]} Reason names
+         */
+        getNotRestoredReasons() {
+            try {
+                const entry = performance.getEntriesByType('navigation')[0];
+                const report = entry && entry.notRestoredReasons;
+                if (!report) return [];
+
+                const reasons = [];
+                const collect = (node) => {
+                    (node.reasons || []).forEach(reason => reasons.push(reason.reason || String(reason)));
+                    (node.children || []).forEach(collect);
+                };
+                collect(report);
+                return [...new Set(reasons)];
+            } catch (e) {
+                return [];
+            }
+        },
+
+        /**
+         * Check the document's Cache-Control header (needs a HEAD request, so only on demand)
+         * @returns {Promise<boolean>} True if the page is served with no-store
+         */
+        async checkNoStore() {
+            try {
+                const response = await fetch(location.href, { method: 'HEAD', credentials: 'include', cache: 'no-cache' });
+                return /no-store/i.test(response.headers.get('cache-control') || '');
+            } catch (e) {
+                Logger.debug('Cache-Control check failed', e);
+                return false;
+            }
+        },
+
+        /**
+         * Toggle report panel
+         */
+        toggleReport() {
+            if (this.host) {
+                this.close();
+            } else {
+                this.openReport();
+            }
+        },
+
+        /**
+         * Open report panel
+         */
+        async openReport() {
+            if (this.host) return;
+
+            ({ host: this.host, root: this.root } = DOMHelper.createShadowHost(
+                'webperf-bfcache',
+                SettingsPanel.styles + this.styles
+            ));
+
+            const panel = DOMHelper.createElement('div', { class: 'panel' });
+            const header = DOMHelper.createElement('header');
+            header.appendChild(DOMHelper.createElement('h1', { textContent: 'Back/forward cache' }));
+            const close = DOMHelper.createElement('button', { textContent: '✕', title: 'Close' });
+            close.addEventListener('click', () => this.close());
+            header.appendChild(close);
+            panel.appendChild(header);
+
+            const body = DOMHelper.createElement('div', { class: 'status', textContent: 'Checking…' });
+            panel.appendChild(body);
+            this.root.appendChild(panel);
+            await DOMHelper.appendToBody(this.host);
+
+            await this.renderReport(body);
+        },
+
+        /**
+         * Fill the report for the current page
+         * @param {HTMLElement} body - Report container
+         */
+        async renderReport(body) {
+            const path = location.pathname;
+            const router = this.router || this.detectRouter();
+
+            if (router) {
+                body.textContent = `${path} uses a client-side router (${router}). In-app navigations don't use the back/forward cache, so InstantNavigation leaves history to the app.`;
+                return;
+            }
+
+            const blockers = this.getBlockers();
+            if (await this.checkNoStore()) {
+                blockers.push({ kind: 'noStore', label: 'Cache-Control: no-store', detail: '', suggestion: this.suggestions.noStore });
+            }
+            if (!body.isConnected) return;
+
+            const restored = this.restores > 0 ? ` Restored from the cache ${this.restores} time(s) this session.` : '';
+            if (blockers.length === 0) {
+                body.textContent = `No blockers found on ${path}; back/forward navigation to it should be instant.${restored}`;
+                return;
+            }
+
+            body.textContent = `${blockers.length} blocker(s) on ${path}:${restored}`;
+            const list = DOMHelper.createElement('ul');
+            for (const blocker of blockers) {
+                const item = DOMHelper.createElement('li');
+                item.appendChild(DOMHelper.createElement('div', { textContent: blocker.label }));
+                if (blocker.detail) item.appendChild(DOMHelper.createElement('div', { class: 'detail', textContent: blocker.detail }));
+                item.appendChild(DOMHelper.createElement('div', { class: 'suggestion', textContent: blocker.suggestion }));
+                list.appendChild(item);
+            }
+            body.after(list);
+        },
+
+        /**
+         * Close report panel
+         */
+        close() {
+            if (this.host) {
+                this.host.remove();
+                this.host = null;
+                this.root = null;
+            }
+        }
+    };
+
+    /**
+     * JIT Script Compiler
+     * Compiles/preloads scripts when cursor is near clickable elements
+     * @namespace JITScriptCompiler
+     */
+    const JITScriptCompiler = {
+        compiledScripts: new Set(),
+        pendingCompilations: new Map(),
+        hoverThreshold: 50, // pixels
+        
+        init() {
+            if (!ConfigManager.isEnabled('jitScriptCompile')) return;
+            
+            this.setupHoverDetection();
+            Logger.info('JIT script compilation enabled');
+        },
+        
+        setupHoverDetection() {
+            let lastMousePos = { x: 0, y: 0 };
+            
+            document.addEventListener('mousemove', SafeScheduler.throttle((e) => {
+                lastMousePos = { x: e.clientX, y: e.clientY };
+                this.checkProximityToInteractiveElements(lastMousePos);
+            }, 100), { passive: true });
+        },
+        
+        checkProximityToInteractiveElements(mousePos) {
+            // Find all clickable elements
+            const clickables = document.querySelectorAll('a, button, [onclick], [role="button"]');
+            
+            for (const element of clickables) {
+                if (this.isNearElement(element, mousePos)) {
+                    this.precompileScriptsForElement(element);
+                }
+            }
+        },
+        
+        isNearElement(element, mousePos) {
+            try {
+                const rect = element.getBoundingClientRect();
+                const threshold = this.hoverThreshold;
+                
+                return mousePos.x >= rect.left - threshold &&
+                       mousePos.x <= rect.right + threshold &&
+                       mousePos.y >= rect.top - threshold &&
+                       mousePos.y <= rect.bottom + threshold;
+            } catch (e) {
+                return false;
+            }
+        },
+        
+        precompileScriptsForElement(element) {
+            // If it's a link, preload the destination page's scripts
+            if (element.tagName === 'A' && element.href) {
+                this.preloadPageScripts(element.href);
+            }
+            
+            // If it has onclick, try to parse and compile
+            if (element.onclick) {
+                this.compileInlineScript(element.onclick.toString());
+            }
+            
+            // Check for event listeners (approximate)
+            const events = ['click', 'mousedown', 'touchstart'];
+            events.forEach(eventType => {
+                // Trigger a dummy compilation by preloading nearby scripts
+                this.preloadNearbyScripts(element);
+            });
+        },
+        
+        async preloadPageScripts(url) {
+            if (this.compiledScripts.has(url)) return;
+            
+            try {
+                const urlObj = new URL(url, location.href);
+                if (urlObj.origin !== location.origin) return;
+                
+                // Prefetch the page HTML (exclusions and the network budget apply)
+                SpeculationRules.prefetch([urlObj.href], 'JITScriptCompiler');
+                
+                this.compiledScripts.add(url);
+                Logger.log('JIT: Prefetched page scripts for', url);
+            } catch (e) {
+                // Invalid URL
+            }
+        },
+        
+        compileInlineScript(scriptCode) {
+            const hash = this.hashCode(scriptCode);
+            if (this.compiledScripts.has(hash)) return;
+            
+            try {
+                // Pre-compile by creating a function
+                new Function(scriptCode);
+                this.compiledScripts.add(hash);
+                Logger.log('JIT: Compiled inline script');
+            } catch (e) {
+                // Invalid script
+            }
+        },
+        
+        preloadNearbyScripts(element) {
+            // Find script elements near this clickable
+            const scripts = document.querySelectorAll('script[src]');
+            
+            scripts.forEach(script => {
+                if (this.isNearElement(script, this.getElementCenter(element))) {
+                    this.preloadScript(script.src);
+                }
+            });
+        },
+        
+        async preloadScript(src) {
+            if (this.compiledScripts.has(src)) return;
+            
+            const link = DOMHelper.createElement('link', {
+                rel: 'prefetch',
+                href: src,
+                as: 'script'
+            });
+            DOMHelper.appendToHead(link);
+            
+            this.compiledScripts.add(src);
+            Logger.log('JIT: Preloaded script', src);
+        },
+        
+        getElementCenter(element) {
+            try {
+                const rect = element.getBoundingClientRect();
+                return {
+                    x: rect.left + rect.width / 2,
+                    y: rect.top + rect.height / 2
+                };
+            } catch (e) {
+                return { x: 0, y: 0 };
+            }
+        },
+        
+        hashCode(str) {
+            let hash = 0;
+            for (let i = 0; i < str.length; i++) {
+                const char = str.charCodeAt(i);
+                hash = ((hash << 5) - hash) + char;
+                hash = hash & hash;
+            }
+            return hash.toString();
+        }
+    };
+
+    /**
+     * Hover DNS Prefetcher
+     * DNS prefetch when hovering near links
+     * @namespace HoverDNSPrefetch
+     */
+    const HoverDNSPrefetch = {
+        prefetchedDomains: new Set(),
+        hoverThreshold: 30, // pixels
+        
+        init() {
+            if (!ConfigManager.isEnabled('hoverDNSPrefetch')) return;
+            
+            this.setupHoverPrefetch();
+            Logger.info('Hover DNS prefetch enabled');
+        },
+        
+        setupHoverPrefetch() {
+            let lastMousePos = { x: 0, y: 0 };
+            
+            // Track mouse position
+            document.addEventListener('mousemove', SafeScheduler.throttle((e) => {
+                lastMousePos = { x: e.clientX, y: e.clientY };
+                this.checkNearbyLinks(lastMousePos);
+            }, 100), { passive: true });
+            
+            // Also immediate prefetch on direct hover
+            document.addEventListener('mouseover', (e) => {
+                const link = e.target.closest('a[href]');
+                if (link) {
+                    this.prefetchDomain(link.href);
+                }
+            }, { passive: true, capture: true });
+        },
+        
+        checkNearbyLinks(mousePos) {
+            const links = document.querySelectorAll('a[href]');
+            
+            for (const link of links) {
+                if (this.isNearLink(link, mousePos)) {
+                    this.prefetchDomain(link.href);
+                }
+            }
+        },
+        
+        isNearLink(link, mousePos) {
+            try {
+                const rect = link.getBoundingClientRect();
+                const threshold = this.hoverThreshold;
+                
+                return mousePos.x >= rect.left - threshold &&
+                       mousePos.x <= rect.right + threshold &&
+                       mousePos.y >= rect.top - threshold &&
+                       mousePos.y <= rect.bottom + threshold;
+            } catch (e) {
+                return false;
+            }
+        },
+        
+        prefetchDomain(url) {
+            try {
+                const urlObj = new URL(url, location.href);
+                const domain = urlObj.hostname;
+                
+                if (this.prefetchedDomains.has(domain) || !NetworkBudget.allow('dns')) return;
+                
+                // DNS prefetch
+                const dnsPrefetch = DOMHelper.createElement('link', {
+                    rel: 'dns-prefetch',
+                    href: `//${domain}`
+                });
+                DOMHelper.appendToHead(dnsPrefetch);
+                
+                // Preconnect for same-origin
+                if ((urlObj.origin === location.origin || this.isLikelyImportant(domain)) &&
+                    NetworkBudget.allow('preconnect')) {
+                    const preconnect = DOMHelper.createElement('link', {
+                        rel: 'preconnect',
+                        href: urlObj.origin,
+                        crossorigin: 'anonymous'
+                    });
+                    DOMHelper.appendToHead(preconnect);
+                }
+                
+                this.prefetchedDomains.add(domain);
+                Logger.log('Hover DNS prefetch:', domain);
+            } catch (e) {
+                // Invalid URL
+            }
+        },
+        
+        isLikelyImportant(domain) {
+            const importantDomains = ['cdn', 'api', 'static', 'assets'];
+            return importantDomains.some(keyword => domain.includes(keyword));
+        }
+    };
+
+    /**
+     * Filter engine
+     * Parses Adblock Plus / EasyList network and element hiding rules and compiles
+     * them into an indexed matcher (by anchored hostname, then by URL token)
+     * @namespace FilterEngine
+     */
+    const FilterEngine = {
+        /**
+         * Type options and the request type each one covers
+         * @type {Object<string, string>}
+         */
+        typeOptions: {
+            script: 'script',
+            image: 'image',
+            stylesheet: 'stylesheet',
+            xmlhttprequest: 'xmlhttprequest',
+            xhr: 'xmlhttprequest',
+            subdocument: 'subdocument',
+            frame: 'subdocument',
+            media: 'media',
+            font: 'font',
+            object: 'object',
+            ping: 'ping',
+            websocket: 'websocket',
+            other: 'other'
+        },
+
+        /**
+         * Tokens too common to be useful as index keys
+         * @type {Set<string>}
+         */
+        commonTokens: new Set(['http', 'https', 'www', 'com', 'net', 'org', 'js', 'html', 'php']),
+
+        /**
+         * Options part of a rule (after the last `$`)
+         * @type {RegExp}
+         */
+        optionsPattern: /^~?[a-z0-9-]+(?:=[^,]*)?(?:,~?[a-z0-9-]+(?:=[^,]*)?)*$/i,
+
+        /**
+         * Serialized matcher format; bump when parsing changes so stored matchers are rebuilt
+         * @type {number}
+         */
+        version: 2,
+
+        /**
+         * Rule buckets whose stored rule texts have been parsed
+         * @type {WeakSet<Array>}
+         */
+        hydrated: new WeakSet(),
+
+        /**
+         * Create an empty matcher
+         * @returns {{important: Object, block: Object, allow: Object, cosmetic: Object, size: number}} Matcher
+         */
+        createMatcher() {
+            const createIndex = () => ({ hosts: new Map(), tokens: new Map(), generic: [] });
+            return {
+                important: createIndex(),
+                block: createIndex(),
+                allow: createIndex(),
+                cosmetic: { generic: [], specific: new Map(), exceptions: new Map() },
+                size: 0
+            };
+        },
+
+        /**
+         * Compile filter list texts into a matcher
+         * @param {string[]} texts - Filter list contents (one rule per line)
+         * @param {Object} [base] - Matcher to add the rules to (e.g. from deserialize())
+         * @returns {{important: Object, block: Object, allow: Object, cosmetic: Object, size: number}} Matcher
+         */
+        compile(texts, base = null) {
+            const matcher = base || this.createMatcher();
+            const seen = new Set();
+
+            for (const text of texts) {
+                for (const line of String(text).split(/\r?\n/)) {
+                    const cosmetic = this.parseCosmeticRule(line);
+                    if (cosmetic) {
+                        if (seen.has(cosmetic.text)) continue;
+                        seen.add(cosmetic.text);
+                        this.addCosmetic(matcher.cosmetic, cosmetic);
+                        matcher.size++;
+                        continue;
+                    }
+
+                    const rule = this.parseRule(line);
+                    if (!rule || seen.has(rule.text)) continue;
+                    seen.add(rule.text);
+
+                    const index = rule.exception ? matcher.allow : rule.important ? matcher.important : matcher.block;
+                    this.addToIndex(index, rule);
+                    matcher.size++;
+                }
+            }
+
+            return matcher;
+        },
+
+        /**
+         * Convert a matcher to plain JSON for storage
+         * Network rules are kept as their text and indexed by the same keys, so loading skips
+         * parsing and regex compilation until a bucket is first consulted
+         * Hiding rules are validated here too, once, and stored marked valid or dropped
+         * @param {Object} matcher - Compiled matcher
+         * @param {Function} [isValid] - Selector check (dropped rules would invalidate the stylesheet)
+         * @returns {Object} Serialized matcher
+         */
+        serialize(matcher, isValid = () => true) {
+            const texts = rules => rules.map(rule => typeof rule === 'string' ? rule : rule.text);
+            const packIndex = index => ({
+                hosts: [...index.hosts].map(([key, rules]) => [key, texts(rules)]),
+                tokens: [...index.tokens].map(([key, rules]) => [key, texts(rules)]),
+                generic: texts(index.generic)
+            });
+            const { cosmetic } = matcher;
+            const checked = rules => rules
+                .filter(rule => rule.valid || isValid(rule.selector))
+                .map(rule => ({ ...rule, valid: true }));
+
+            return {
+                size: matcher.size,
+                important: packIndex(matcher.important),
+                block: packIndex(matcher.block),
+                allow: packIndex(matcher.allow),
+                cosmetic: {
+                    generic: checked(cosmetic.generic),
+                    specific: [...cosmetic.specific].map(([key, rules]) => [key, checked(rules)]),
+                    exceptions: [...cosmetic.exceptions]
+                }
+            };
+        },
+
+        /**
+         * Rebuild a matcher from serialize() output (buckets are copied, so it can be extended)
+         * @param {Object} data - Serialized matcher
+         * @returns {Object} Matcher with unparsed network rules
+         */
+        deserialize(data) {
+            const unpack = entries => new Map(entries.map(([key, rules]) => [key, rules.slice()]));
+            const unpackIndex = index => ({
+                hosts: unpack(index.hosts),
+                tokens: unpack(index.tokens),
+                generic: index.generic.slice()
+            });
+
+            return {
+                important: unpackIndex(data.important),
+                block: unpackIndex(data.block),
+                allow: unpackIndex(data.allow),
+                cosmetic: {
+                    generic: data.cosmetic.generic.slice(),
+                    specific: unpack(data.cosmetic.specific),
+                    exceptions: unpack(data.cosmetic.exceptions)
+                },
+                size: data.size
+            };
+        },
+
+        /**
+         * Parse a bucket's stored rule texts in place, the first time it is consulted
+         * @param {Array<Object|string>} rules - Rule bucket
+         * @returns {Object[]} Parsed rules
+         */
+        hydrate(rules) {
+            if (this.hydrated.has(rules)) return rules;
+
+            let kept = 0;
+            for (const rule of rules) {
+                const parsed = typeof rule === 'string' ? this.parseRule(rule) : rule;
+                if (parsed) rules[kept++] = parsed;
+            }
+            rules.length = kept;
+            this.hydrated.add(rules);
+            return rules;
+        },
+
+        /**
+         * Parse one network rule
+         * @param {string} line - Rule text
+         * @returns {Object|null} Parsed rule, or null for comments, cosmetic and unsupported rules
+         */
+        parseRule(line) {
+            const text = line.trim();
+            if (!text || text.startsWith('!') || text.startsWith('[')) return null;
+            // Element hiding, extended CSS and scriptlet rules
+            if (/#[@?$%]?#/.test(text)) return null;
+
+            const rule = {
+                text,
+                exception: false,
+                important: false,
+                matchCase: false,
+                thirdParty: null,
+                types: null,
+                excludedTypes: null,
+                domains: null,
+                host: null,
+                token: null,
+                regex: null
+            };
+
+            let pattern = text;
+            if (pattern.startsWith('@@')) {
+                rule.exception = true;
+                pattern = pattern.slice(2);
+            }
+
+            const dollar = pattern.lastIndexOf('$');
+            if (dollar !== -1 && this.optionsPattern.test(pattern.slice(dollar + 1))) {
+                // Rules with options we can't honour are skipped rather than over-matching
+                if (!this.parseOptions(pattern.slice(dollar + 1), rule)) return null;
+                pattern = pattern.slice(0, dollar);
+            }
+
+            if (pattern.length > 2 && pattern.startsWith('/') && pattern.endsWith('/')) {
+                try {
+                    rule.regex = new RegExp(pattern.slice(1, -1), rule.matchCase ? '' : 'i');
+                } catch (e) {
+                    return null;
+                }
+                return rule;
+            }
+
+            const host = /^\|\|([a-z0-9.-]+)(?=[\^/:])/i.exec(pattern);
+            if (host) {
+                rule.host = host[1].toLowerCase();
+            } else {
+                rule.token = this.getToken(pattern);
+            }
+            rule.regex = this.toRegExp(pattern, rule.matchCase);
+            return rule;
+        },
+
+        /**
+         * Parse one element hiding rule (`##selector`, `domains##selector`, `#@#selector`)
+         * @param {string} line - Rule text
+         * @returns {Object|null} Parsed rule, or null if not a supported cosmetic rule
+         */
+        parseCosmeticRule(line) {
+            const text = line.trim();
+            const match = /^([^#]*)#(@?)#(.+)$/.exec(text);
+            // Scriptlets and HTML filters aren't element hiding
+            if (!match || /^(?:\+js\(|\^)/.test(match[3])) return null;
+
+            const rule = { text, exception: match[2] === '@', selector: match[3].trim(), include: [], exclude: [] };
+            for (const domain of match[1].toLowerCase().split(',').map(item => item.trim()).filter(Boolean)) {
+                if (domain.startsWith('~')) rule.exclude.push(domain.slice(1));
+                else rule.include.push(domain);
+            }
+            return rule;
+        },
+
+        /**
+         * Add an element hiding rule to the cosmetic index
+         * Exceptions are keyed by domain ('' for generic), hiding rules by included domain
+         * @param {Object} cosmetic - Cosmetic index
+         * @param {Object} rule - Parsed cosmetic rule
+         */
+        addCosmetic(cosmetic, rule) {
+            const add = (map, key, value) => {
+                if (map.has(key)) map.get(key).push(value);
+                else map.set(key, [value]);
+            };
+
+            if (rule.exception) {
+                (rule.include.length > 0 ? rule.include : ['']).forEach(domain => add(cosmetic.exceptions, domain, rule));
+            } else if (rule.include.length === 0) {
+                cosmetic.generic.push(rule);
+            } else {
+                rule.include.forEach(domain => add(cosmetic.specific, domain, rule));
+            }
+        },
+
+        /**
+         * Collect the element hiding selectors that apply on a host
+         * @param {Object} matcher - Compiled matcher
+         * @param {string} host - Page hostname
+         * @param {Function} [isValid] - Selector check for rules not validated when stored
+         * @returns {{generic: string[], specific: string[]}} Selectors from generic and site-specific rules
+         */
+        getCosmeticSelectors(matcher, host, isValid = () => true) {
+            const { cosmetic } = matcher;
+            const hostname = host.toLowerCase();
+            const suffixes = PublicSuffix.getSuffixes(hostname);
+            const applies = rule => !rule.exclude.some(domain => PublicSuffix.isOnDomain(hostname, domain));
+
+            const excepted = new Set();
+            for (const key of ['', ...suffixes]) {
+                (cosmetic.exceptions.get(key) || [])
+                    .filter(applies)
+                    .forEach(rule => excepted.add(rule.selector));
+            }
+
+            const collect = rules => [...new Set(rules
+                .filter(rule => applies(rule) && !excepted.has(rule.selector) && (rule.valid || isValid(rule.selector)))
+                .map(rule => rule.selector))];
+
+            return {
+                generic: collect(cosmetic.generic),
+                specific: collect(suffixes.flatMap(suffix => cosmetic.specific.get(suffix) || []))
+            };
+        },
+
+        /**
+         * Apply a rule's `$` options
+         * @param {string} options - Comma-separated options
+         * @param {Object} rule - Rule to update
+         * @returns {boolean} False if an option is unsupported
+         */
+        parseOptions(options, rule) {
+            for (const option of options.split(',')) {
+                const negated = option.startsWith('~');
+                const [name, value = ''] = (negated ? option.slice(1) : option).split('=');
+                const key = name.toLowerCase();
+
+                if (key === 'third-party' || key === '3p') {
+                    rule.thirdParty = !negated;
+                } else if (key === 'first-party' || key === '1p') {
+                    rule.thirdParty = negated;
+                } else if (key in this.typeOptions) {
+                    const field = negated ? 'excludedTypes' : 'types';
+                    rule[field] = rule[field] || new Set();
+                    rule[field].add(this.typeOptions[key]);
+                } else if (key === 'domain' && !negated) {
+                    rule.domains = { include: [], exclude: [] };
+                    for (const domain of value.toLowerCase().split('|').filter(Boolean)) {
+                        if (domain.startsWith('~')) rule.domains.exclude.push(domain.slice(1));
+                        else rule.domains.include.push(domain);
+                    }
+                } else if (key === 'match-case' && !negated) {
+                    rule.matchCase = true;
+                } else if (key === 'important' && !negated) {
+                    rule.important = true;
+                } else {
+                    return false;
+                }
+            }
+            return true;
+        },
+
+        /**
+         * Convert ABP pattern syntax to a RegExp
+         * @param {string} pattern - Pattern without options
+         * @param {boolean} matchCase - Case-sensitive match
+         * @returns {RegExp} Compiled pattern
+         */
+        toRegExp(pattern, matchCase) {
+            let source = pattern.replace(/\*+/g, '*');
+            let prefix = '';
+            let suffix = '';
+
+            if (source.startsWith('||')) {
+                // Scheme, then the host itself or any subdomain of it
+                prefix = '^[a-z][a-z0-9+.-]*:\\/\\/(?:[^/?#]*\\.)?';
+                source = source.slice(2);
+            } else if (source.startsWith('|')) {
+                prefix = '^';
+                source = source.slice(1);
+            }
+            if (source.endsWith('|')) {
+                suffix = '$';
+                source = source.slice(0, -1);
+            }
+
+            const body = source
+                .replace(/[.+?${}()|[\]\\/]/g, '\\$&')
+                .replace(/\*/g, '.*')
+                .replace(/\^/g, '(?:[^\\w.%-]|$)');
+
+            return new RegExp(prefix + body + suffix, matchCase ? '' : 'i');
+        },
+
+        /**
+         * Pick the longest token that must appear whole in every matching URL
+         * @param {string} pattern - Pattern without options
+         * @returns {string|null} Lowercase token, or null if none is safe
+         */
+        getToken(pattern) {
+            const tokenRegex = /[a-z0-9%]+/gi;
+            let best = null;
+            let match;
+
+            while ((match = tokenRegex.exec(pattern)) !== null) {
+                const before = pattern[match.index - 1];
+                const after = pattern[match.index + match[0].length];
+                // A token touching a wildcard or an unanchored pattern edge may be part of a longer URL token
+                if (before === undefined || before === '*' || after === undefined || after === '*') continue;
+
+                const token = match[0].toLowerCase();
+                if (this.commonTokens.has(token)) continue;
+                if (!best || token.length > best.length) best = token;
+            }
+
+            return best;
+        },
+
+        /**
+         * Add a rule to an index bucket
+         * @param {Object} index - Index to update
+         * @param {Object} rule - Parsed rule
+         */
+        addToIndex(index, rule) {
+            const bucket = rule.host ? index.hosts : rule.token ? index.tokens : null;
+            const key = rule.host || rule.token;
+
+            if (!bucket) {
+                index.generic.push(rule);
+            } else if (bucket.has(key)) {
+                bucket.get(key).push(rule);
+            } else {
+                bucket.set(key, [rule]);
+            }
+        },
+
+        /**
+         * Build the request context rules are matched against
+         * @param {string} url - Request URL
+         * @param {string} type - Request type (see typeOptions values)
+         * @param {string} [documentHost] - Hostname of the requesting page
+         * @returns {Object|null} Request context, or null for non-network URLs
+         */
+        createRequest(url, type, documentHost = location.hostname) {
+            const parsed = URLCache.parse(url);
+            if (!parsed || !/^(?:https?|wss?):$/.test(parsed.protocol)) return null;
+
+            const host = parsed.hostname.toLowerCase();
+            return {
+                url: parsed.href,
+                host,
+                tokens: new Set(parsed.href.toLowerCase().match(/[a-z0-9%]+/g)),
+                type,
+                documentHost: documentHost.toLowerCase(),
+                thirdParty: !PublicSuffix.isSameSite(host, documentHost)
+            };
+        },
+
+        /**
+         * Match a request against a compiled matcher
+         * `$important` block rules win over exceptions, exceptions win over other block rules
+         * @param {Object} matcher - Compiled matcher
+         * @param {Object} request - Request context from createRequest()
+         * @returns {{blocked: boolean, rule: Object}|null} Decision and deciding rule, or null if no rule matched
+         */
+        match(matcher, request) {
+            const important = this.findMatch(matcher.important, request);
+            if (important) return { blocked: true, rule: important };
+
+            const block = this.findMatch(matcher.block, request);
+            if (!block) return null;
+
+            const allow = this.findMatch(matcher.allow, request);
+            return allow ? { blocked: false, rule: allow } : { blocked: true, rule: block };
+        },
+
+        /**
+         * Find the first matching rule in an index
+         * @param {Object} index - Rule index
+         * @param {Object} request - Request context
+         * @returns {Object|null} Matching rule
+         */
+        findMatch(index, request) {
+            const test = rules => rules && this.hydrate(rules).find(rule => this.ruleMatches(rule, request));
+
+            // Host-anchored rules: the host and each parent domain
+            for (const host of PublicSuffix.getSuffixes(request.host)) {
+                const found = test(index.hosts.get(host));
+                if (found) return found;
+            }
+
+            for (const token of request.tokens) {
+                const found = test(index.tokens.get(token));
+                if (found) return found;
+            }
+
+            return test(index.generic) || null;
+        },
+
+        /**
+         * Check a rule's options and pattern against a request
+         * @param {Object} rule - Parsed rule
+         * @param {Object} request - Request context
+         * @returns {boolean} True if the rule applies
+         */
+        ruleMatches(rule, request) {
+            if (rule.thirdParty !== null && rule.thirdParty !== request.thirdParty) return false;
+            if (rule.types && !rule.types.has(request.type)) return false;
+            if (rule.excludedTypes && rule.excludedTypes.has(request.type)) return false;
+
+            if (rule.domains) {
+                const onDomain = domain => PublicSuffix.isOnDomain(request.documentHost, domain);
+                if (rule.domains.exclude.some(onDomain)) return false;
+                if (rule.domains.include.length > 0 && !rule.domains.include.some(onDomain)) return false;
+            }
+
+            return rule.regex.test(request.url);
+        }
+    };
+
+    /**
+     * Ad and Tracker Blocker
+     * Blocks requests and hides elements matched by the built-in, custom and imported filter lists
+     * @namespace AdTrackerBlocker
+     */
+    const AdTrackerBlocker = {
+        /**
+         * Built-in network rules (ABP syntax)
+         * @type {string[]}
+         */
+        builtinFilters: [
+            // Ads
+            '||doubleclick.net^',
+            '||googleadservices.com^',
+            '||googlesyndication.com^',
+            '||adservice.google.com^',
+            '||ads.google.com^',
+            '||adfarm.mediaplex.com^',
+            '||ads.yahoo.com^',
+            '||advertising.com^',
+            '||adnxs.com^',
+            '||adsystem.com^',
+            '||amazon-adsystem.com^',
+            '||criteo.com^',
+            '||outbrain.com^',
+            '||taboola.com^',
+            '||media.net^',
+            '||adroll.com^',
+            '||serving-sys.com^',
+            '||adform.net^',
+
+            // Trackers
+            '||google-analytics.com^',
+            '||googletagmanager.com^',
+            '||analytics.google.com^',
+            '||facebook.net^',
+            '||pixel.facebook.com^',
+            '||analytics.facebook.com^',
+            '||scorecardresearch.com^',
+            '||quantserve.com^',
+            '||chartbeat.com^',
+            '||newrelic.com^',
+            '||nr-data.net^',
+            '||hotjar.com^',
+            '||mouseflow.com^',
+            '||crazyegg.com^',
+            '||mixpanel.com^',
+            '||segment.com^',
+            '||segment.io^',
+            '||amplitude.com^',
+            '||fullstory.com^',
+            '||logrocket.com^',
+            '||heap.io^',
+            '||heapanalytics.com^',
+
+            // Ad slots
+            '##ins.adsbygoogle',
+            '##[id^="div-gpt-ad-"]',
+            '##[id^="google_ads_iframe_"]',
+            '##.trc_related_container',
+            '##.OUTBRAIN'
+        ],
+
+        /**
+         * GM storage key for imported lists ({name: {text, rules, imported}})
+         * @type {string}
+         */
+        listStorageKey: 'webperf_filter_lists',
+
+        /**
+         * GM storage key for the imported lists' compiled index ({version, data})
+         * Rewritten whenever the lists change, so page loads never read or parse the list text
+         * @type {string}
+         */
+        compiledStorageKey: 'webperf_filter_compiled',
+
+        /**
+         * Imported lists as serialized by FilterEngine.serialize(), or null if there are none
+         * @type {Object|null}
+         */
+        compiledLists: null,
+
+        /**
+         * Imported filter lists
+         * @type {Object<string, {text: string, rules: number, imported: number}>}
+         */
+        lists: {},
+
+        /**
+         * Compiled matcher (null until init)
+         * @type {Object|null}
+         */
+        matcher: null,
+
+        /**
+         * Recent decisions keyed by `type|url`
+         * @type {Map<string, {blocked: boolean, rule: string|null}>}
+         */
+        decisions: new Map(),
+
+        /**
+         * Max cached decisions
+         * @type {number}
+         */
+        maxDecisions: 1000,
+
+        /**
+         * Transparent 1x1 GIF substituted for blocked images
+         * @type {string}
+         */
+        blankImage: 'data:image/gif;base64,R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7',
+
+        /**
+         * Preload `as` values and the request type they load
+         * @type {Object<string, string>}
+         */
+        preloadTypes: {
+            script: 'script',
+            image: 'image',
+            style: 'stylesheet',
+            font: 'font',
+            fetch: 'xmlhttprequest',
+            audio: 'media',
+            video: 'media',
+            track: 'media',
+            document: 'subdocument'
+        },
+
+        /**
+         * No-op stand-ins for common analytics and ad libraries, injected in place of
+         * blocked scripts in neutered mode so page code calling them keeps working.
+         * Each source runs in the page via toString(), so it must be a self-contained function expression.
+         * @type {Array<{name: string, match: RegExp, source: Function}>}
+         */
+        surrogates: [
+            {
+                name: 'googletagmanager',
+                match: /^https?:\/\/(?:www\.)?googletagmanager\.com\/(?:gtag\/js|gtm\.js)/,
+                source: function() {
+                    var w = window;
+                    var callLater = function(fn) {
+                        if (typeof fn === 'function') setTimeout(fn, 0);
+                    };
+                    // Sites often wait for these callbacks before navigating
+                    var runCallbacks = function(item) {
+                        if (!item) return;
+                        callLater(item.eventCallback);
+                        if (item[2]) callLater(item[2].event_callback);
+                    };
+                    w.dataLayer = w.dataLayer || [];
+                    w.dataLayer.forEach(runCallbacks);
+                    var push = w.dataLayer.push;
+                    w.dataLayer.push = function() {
+                        Array.prototype.forEach.call(arguments, runCallbacks);
+                        return push.apply(this, arguments);
+                    };
+                    w.gtag = function() {
+                        runCallbacks(arguments);
+                    };
+                }
+            },
+            {
+                name: 'google-analytics',
+                match: /^https?:\/\/(?:www\.|ssl\.)?google-analytics\.com\/analytics\.js/,
+                source: function() {
+                    var w = window;
+                    var name = w.GoogleAnalyticsObject || 'ga';
+                    var queue = (w[name] && w[name].q) || [];
+                    var tracker = { get: function() {}, set: function() {}, send: function() {} };
+                    var ga = function() {
+                        var args = arguments;
+                        var last = args[args.length - 1];
+                        if (typeof args[0] === 'function') {
+                            setTimeout(function() { args[0](tracker); }, 0);
+                        } else if (last && typeof last.hitCallback === 'function') {
+                            setTimeout(last.hitCallback, 0);
+                        }
+                    };
+                    ga.create = function() { return tracker; };
+                    ga.getByName = function() { return tracker; };
+                    ga.getAll = function() { return [tracker]; };
+                    ga.remove = function() {};
+                    ga.loaded = true;
+                    w[name] = ga;
+                    for (var i = 0; i < queue.length; i++) ga.apply(null, queue[i]);
+                }
+            },
+            {
+                name: 'facebook-pixel',
+                match: /^https?:\/\/connect\.facebook\.net\/[^/]+\/fbevents\.js/,
+                source: function() {
+                    var fbq = function() {};
+                    fbq.callMethod = function() {};
+                    fbq.queue = [];
+                    fbq.push = fbq;
+                    fbq.loaded = true;
+                    fbq.version = '2.0';
+                    window.fbq = fbq;
+                    window._fbq = fbq;
+                }
+            },
+            {
+                name: 'matomo',
+                match: /\/(?:matomo|piwik)\.js(?:[?#]|$)/,
+                source: function() {
+                    var w = window;
+                    var queue = Array.isArray(w._paq) ? w._paq : [];
+                    var tracker = new Proxy({}, {
+                        get: function() { return function() {}; }
+                    });
+                    w._paq = { push: function() { return 0; } };
+                    w.Matomo = w.Piwik = {
+                        getTracker: function() { return tracker; },
+                        getAsyncTracker: function() { return tracker; }
+                    };
+                    // Queued function commands run with the tracker as `this`
+                    queue.forEach(function(command) {
+                        if (command && typeof command[0] === 'function') {
+                            try { command[0].call(tracker); } catch (e) { /* page callback */ }
+                        }
+                    });
+                }
+            },
+            {
+                name: 'adsbygoogle',
+                match: /^https?:\/\/pagead2\.googlesyndication\.com\/pagead\/js\/adsbygoogle\.js/,
+                source: function() {
+                    window.adsbygoogle = { loaded: true, push: function() {} };
+                }
+            }
+        ],
+
+        /**
+         * Images webperf creates itself (format and decode probes), never filtered
+         * @type {WeakSet<HTMLImageElement>}
+         */
+        internalImages: new WeakSet(),
+
+        /**
+         * Images whose src was already checked by the src setter
+         * @type {WeakSet<HTMLImageElement>}
+         */
+        checkedImages: new WeakSet(),
+
+        /**
+         * Blocked, deferred and allowed third-party requests (oldest first)
+         * @type {Array<{url: string, host: string, type: string, channel: string, initiator: ?string, action: string, rule: ?string, time: number}>}
+         */
+        requestLog: [],
+
+        /**
+         * Max log entries
+         * @type {number}
+         */
+        maxLogEntries: 500,
+
+        /**
+         * Element hiding stylesheet
+         * @type {HTMLStyleElement|null}
+         */
+        cosmeticStyle: null,
+
+        /**
+         * Site-specific hiding selectors, also applied inline to inserted elements
+         * @type {string}
+         */
+        siteSelector: '',
+
+        /**
+         * Unregisters the cosmetic mutation handler
+         * @type {Function|null}
+         */
+        cosmeticObserver: null,
+
+        blockedCount: 0,
+        
+        async init() {
+            if (!ConfigManager.isEnabled('blockAdsTrackers')) return;
+
+            // Imported lists come precompiled, so every rule is in place before the interceptors
+            await this.loadCompiledLists();
+            this.rebuild();
+
+            this.blockRequests();
+            this.blockBeacons();
+            this.blockConnections();
+            this.blockScripts();
+            this.blockImages();
+            this.blockIframes();
+            this.watchCosmetic();
+            
+            Logger.info('Ad & Tracker blocker enabled');
+        },
+
+        /**
+         * Load imported lists from GM storage
+         */
+        async loadLists() {
+            const stored = await ConfigManager.loadFromStorage(this.listStorageKey);
+            this.lists = stored && typeof stored === 'object' ? stored : {};
+        },
+
+        /**
+         * Load the imported lists' compiled index, compiling it from the list text only
+         * when there is none for this format version yet
+         */
+        async loadCompiledLists() {
+            const stored = await ConfigManager.loadFromStorage(this.compiledStorageKey);
+            if (stored && stored.version === FilterEngine.version) {
+                this.compiledLists = stored.data;
+                return;
+            }
+            await this.loadLists();
+            await this.saveCompiledLists();
+        },
+
+        /**
+         * Compile the imported lists and store the result
+         */
+        async saveCompiledLists() {
+            const texts = Object.values(this.lists).map(list => list.text);
+            this.compiledLists = texts.length > 0
+                ? FilterEngine.serialize(FilterEngine.compile(texts), selector => this.isValidSelector(selector))
+                : null;
+            await ConfigManager.saveToStorage(this.compiledStorageKey, {
+                version: FilterEngine.version,
+                data: this.compiledLists
+            });
+        },
+
+        /**
+         * Rebuild the matcher: imported lists from their compiled index, plus built-in and custom rules
+         */
+        rebuild() {
+            const texts = [
+                this.builtinFilters.join('\n'),
+                ConfigManager.get('customFilters').join('\n')
+            ];
+            const base = this.compiledLists ? FilterEngine.deserialize(this.compiledLists) : null;
+
+            this.matcher = FilterEngine.compile(texts, base);
+            this.decisions.clear();
+            Logger.debug(`Filter rules compiled: ${this.matcher.size}`);
+            this.applyCosmetic();
+        },
+
+        /**
+         * (Re)build the element hiding stylesheet for this site
+         */
+        applyCosmetic() {
+            if (!this.matcher || !ConfigManager.isEnabled('cosmeticFiltering')) {
+                this.removeCosmetic();
+                return;
+            }
+
+            // Imported selectors were validated at import; only built-in and custom ones are checked here
+            const { generic, specific } = FilterEngine.getCosmeticSelectors(this.matcher, location.hostname,
+                selector => this.isValidSelector(selector));
+            const selectors = [...generic, ...specific];
+            this.siteSelector = specific.join(',');
+
+            if (!this.cosmeticStyle) {
+                this.cosmeticStyle = DOMHelper.createElement('style', { id: 'webperf-cosmetic' });
+            }
+            this.cosmeticStyle.textContent = selectors.length > 0
+                ? `${selectors.join(',\n')} { display: none !important; }`
+                : '';
+            this.attachCosmetic();
+            Logger.debug(`Element hiding: ${selectors.length} selectors`);
+        },
+
+        /**
+         * Check a selector is plain CSS (procedural selectors like :has-text() would invalidate the whole stylesheet)
+         * @param {string} selector - CSS selector
+         * @returns {boolean} True if the browser accepts it
+         */
+        isValidSelector(selector) {
+            try {
+                document.createDocumentFragment().querySelector(selector);
+                return true;
+            } catch (e) {
+                return false;
+            }
+        },
+
+        /**
+         * Insert the stylesheet, or re-insert it if the page removed it
+         */
+        attachCosmetic() {
+            if (this.cosmeticStyle && !this.cosmeticStyle.isConnected && document.documentElement) {
+                (document.head || document.documentElement).appendChild(this.cosmeticStyle);
+            }
+        },
+
+        /**
+         * Re-apply hiding as content changes
+         * Site-specific selectors are also set inline so inline !important styles can't reveal them
+         */
+        watchCosmetic() {
+            if (this.cosmeticObserver) return;
+
+            this.cosmeticObserver = ObserverManager.registerHandler((mutations) => {
+                if (!this.cosmeticStyle) return;
+                this.attachCosmetic();
+                if (!this.siteSelector) return;
+
+                for (const mutation of mutations) {
+                    for (const node of mutation.addedNodes) {
+                        if (node.nodeType !== Node.ELEMENT_NODE) continue;
+                        if (node.matches(this.siteSelector)) this.hideElement(node);
+                        node.querySelectorAll(this.siteSelector).forEach(el => this.hideElement(el));
+                    }
+                }
+            });
+        },
+
+        /**
+         * Hide an element inline
+         * @param {HTMLElement} el - Element to hide
+         */
+        hideElement(el) {
+            if (el.style) el.style.setProperty('display', 'none', 'important');
+        },
+
+        /**
+         * Remove the element hiding stylesheet
+         */
+        removeCosmetic() {
+            if (this.cosmeticStyle) {
+                this.cosmeticStyle.remove();
+                this.cosmeticStyle = null;
+            }
+            this.siteSelector = '';
+        },
+
+        /**
+         * Stop element hiding
+         */
+        cleanup() {
+            this.removeCosmetic();
+            if (this.cosmeticObserver) {
+                this.cosmeticObserver();
+                this.cosmeticObserver = null;
+            }
+        },
+
+        /**
+         * Store an imported list (replacing one with the same name) and recompile
+         * @param {string} name - List name
+         * @param {string} text - List contents
+         * @returns {Promise<number>} Number of usable rules in the list
+         */
+        async importList(name, text) {
+            const rules = FilterEngine.compile([text]).size;
+            await this.loadLists();
+            this.lists[name] = { text, rules, imported: Date.now() };
+            await ConfigManager.saveToStorage(this.listStorageKey, this.lists);
+            await this.saveCompiledLists();
+            if (this.matcher) this.rebuild();
+            return rules;
+        },
+
+        /**
+         * Remove all imported lists and recompile
+         */
+        async removeLists() {
+            this.lists = {};
+            await ConfigManager.saveToStorage(this.listStorageKey, {});
+            await this.saveCompiledLists();
+            if (this.matcher) this.rebuild();
+        },
+
+        /**
+         * Check a request against the filter rules
+         * @param {string} url - Request URL
+         * @param {string} [type='other'] - Request type (script, image, xmlhttprequest, subdocument, ...)
+         * @returns {boolean} True if blocked
+         */
+        isBlocked(url, type = 'other') {
+            return this.check(url, type).blocked;
+        },
+
+        /**
+         * Decide a request (cached)
+         * @param {string} url - Request URL
+         * @param {string} type - Request type
+         * @returns {{blocked: boolean, rule: string|null}} Decision and the rule that made it
+         */
+        check(url, type) {
+            if (!this.matcher) return { blocked: false, rule: null };
+
+            const key = `${type}|${url}`;
+            if (this.decisions.has(key)) return this.decisions.get(key);
+
+            const request = FilterEngine.createRequest(String(url), type);
+            let decision = { blocked: false, rule: null };
+            if (request) {
+                const allowed = this.getAllowedDomains()
+                    .find(domain => PublicSuffix.isOnDomain(request.host, domain));
+                const result = allowed ? null : FilterEngine.match(this.matcher, request);
+
+                if (allowed) {
+                    decision = { blocked: false, rule: `allowedDomains: ${allowed}` };
+                } else if (result) {
+                    decision = { blocked: result.blocked, rule: result.rule.text };
+                }
+            }
+
+            if (this.decisions.size >= this.maxDecisions) {
+                this.decisions.delete(this.decisions.keys().next().value);
+            }
+            this.decisions.set(key, decision);
+            return decision;
+        },
+
+        /**
+         * Decide a request, count and log it
+         * @param {string} url - Request URL
+         * @param {string} type - Request type
+         * @param {string} channel - How the page made the request (fetch, xhr, script, img, iframe)
+         * @returns {boolean} True if blocked
+         */
+        filterRequest(url, type, channel) {
+            const decision = this.check(url, type);
+            if (decision.blocked) {
+                this.blockedCount++;
+                Logger.log(`Blocked ${channel}:`, url);
+            }
+            this.logRequest(url, type, channel, decision.blocked ? 'blocked' : 'allowed', decision.rule);
+            return decision.blocked;
+        },
+
+        /**
+         * Add a request to the log (allowed requests only when third-party)
+         * @param {string} url - Request URL
+         * @param {string} type - Request type
+         * @param {string} channel - How the page made the request
+         * @param {string} action - 'blocked', 'deferred' or 'allowed'
+         * @param {string|null} rule - Deciding rule
+         */
+        logRequest(url, type, channel, action, rule) {
+            const parsed = URLCache.parse(String(url));
+            if (!parsed || !/^(?:https?|wss?):$/.test(parsed.protocol)) return;
+            if (action === 'allowed' && !PublicSuffix.isThirdParty(parsed.href)) return;
+
+            // currentScript is null in async callbacks, where most requests start; the stack isn't
+            this.requestLog.push({
+                url: parsed.href,
+                host: parsed.hostname,
+                type,
+                channel,
+                initiator: InstantNavigation.getCallerScript() || null,
+                action,
+                rule,
+                time: Date.now()
+            });
+            if (this.requestLog.length > this.maxLogEntries) this.requestLog.shift();
+
+            RequestInspector.refresh();
+        },
+
+        /**
+         * Domains never blocked here: the global allowedDomains plus this site's additions
+         * @returns {string[]} Domains
+         */
+        getAllowedDomains() {
+            const site = ConfigManager.getDomainOverrides().allowedDomains || [];
+            return [...new Set([...(ConfigManager.globalConfig.allowedDomains || []), ...site])];
+        },
+
+        /**
+         * Stop blocking a request's registrable domain on the current site
+         * @param {string} host - Request hostname
+         * @returns {Promise<string>} Domain that was allowed
+         */
+        async allowDomain(host) {
+            const domain = PublicSuffix.getRegistrableDomain(host);
+            // The override holds only this site's additions; the global list still applies
+            const site = ConfigManager.getDomainOverrides().allowedDomains || [];
+            if (!this.getAllowedDomains().includes(domain)) {
+                await ConfigManager.setValue('allowedDomains', [...site, domain], 'domain');
+            }
+            this.decisions.clear();
+            Logger.info(`Allowed ${domain} on ${ConfigManager.getCurrentDomain()}`);
+            return domain;
+        },
+        
+        blockRequests() {
+            // Unified fetch override handling both blocking and deferring
+            // This consolidates AdTrackerBlocker and ThirdPartyOptimizer logic
+            // to prevent multiple override conflicts
+            const originalFetch = window.fetch;
+            window.fetch = (...args) => {
+                const url = args[0] instanceof Request ? args[0].url : args[0];
+                
+                // Priority 1: Check if should be blocked (ads/trackers)
+                if (this.filterRequest(url, 'xmlhttprequest', 'fetch')) {
+                    return this.isNeutered()
+                        ? Promise.resolve(this.createStubResponse(url))
+                        : Promise.reject(new Error('Blocked by AdTrackerBlocker'));
+                }
+                
+                // Priority 2: Check if should be deferred (analytics/non-critical)
+                // Safe check: only defer if ThirdPartyOptimizer is initialized
+                if (typeof ThirdPartyOptimizer !== 'undefined' && 
+                    ThirdPartyOptimizer.shouldDefer && 
+                    ThirdPartyOptimizer.shouldDefer(url)) {
+                    this.logRequest(url, 'xmlhttprequest', 'fetch', 'deferred', null);
+                    return new Promise((resolve, reject) => {
+                        SafeScheduler.idle(() => {
+                            Logger.log('Deferred fetch:', url);
+                            originalFetch.apply(this, args)
+                                .then(resolve)
+                                .catch(reject);
+                        });
+                    });
+                }
+                
+                // Priority 3: Allow normal requests
+                return originalFetch.apply(this, args);
+            };
+            
+            // Block XHR requests
+            const originalOpen = XMLHttpRequest.prototype.open;
+            XMLHttpRequest.prototype.open = function(...args) {
+                const url = args[1];
+                if (AdTrackerBlocker.filterRequest(url, 'xmlhttprequest', 'xhr')) {
+                    if (!AdTrackerBlocker.isNeutered()) {
+                        throw new Error('Blocked by AdTrackerBlocker');
+                    }
+                    // Load a local stub instead so send(), readyState and load events behave normally
+                    return originalOpen.call(this, 'GET', AdTrackerBlocker.getStubDataUrl(url), ...args.slice(2));
+                }
+                return originalOpen.apply(this, args);
+            };
+        },
+        
+        /**
+         * Block navigator.sendBeacon() pings
+         */
+        blockBeacons() {
+            if (typeof navigator.sendBeacon !== 'function') return;
+
+            const originalBeacon = navigator.sendBeacon;
+            navigator.sendBeacon = function(url, data) {
+                // Neutered: report the beacon as queued; otherwise false tells the caller it wasn't
+                if (AdTrackerBlocker.filterRequest(url, 'ping', 'beacon')) return AdTrackerBlocker.isNeutered();
+                return originalBeacon.call(this, url, data);
+            };
+        },
+
+        /**
+         * Block WebSocket, EventSource and worker script URLs at construction
+         * Not covered: importScripts() inside an allowed worker runs in the worker's own scope, which
+         * has no access to the matcher, so scripts a worker imports itself are never checked
+         */
+        blockConnections() {
+            this.wrapConstructor('WebSocket', 'websocket', 'websocket');
+            this.wrapConstructor('EventSource', 'other', 'eventsource');
+            this.wrapConstructor('Worker', 'script', 'worker');
+            this.wrapConstructor('SharedWorker', 'script', 'worker');
+        },
+
+        /**
+         * Replace a global constructor with one that checks its URL argument first
+         * A Proxy keeps statics (WebSocket.OPEN), the prototype and instanceof working
+         * @param {string} name - Global constructor name
+         * @param {string} type - Request type
+         * @param {string} channel - Channel name for the log
+         */
+        wrapConstructor(name, type, channel) {
+            const Original = window[name];
+            if (typeof Original !== 'function') return;
+
+            window[name] = new Proxy(Original, {
+                construct(target, args, newTarget) {
+                    if (AdTrackerBlocker.filterRequest(args[0], type, channel)) {
+                        if (AdTrackerBlocker.isNeutered()) {
+                            return AdTrackerBlocker.createClosedStub(target, args[0], channel);
+                        }
+                        throw new Error('Blocked by AdTrackerBlocker');
+                    }
+                    return Reflect.construct(target, args, newTarget);
+                }
+            });
+        },
+
+        /**
+         * Check whether blocked requests get stub responses instead of errors
+         * @returns {boolean} True in neutered mode
+         */
+        isNeutered() {
+            return ConfigManager.get('blockingMode') === 'neuter';
+        },
+
+        /**
+         * Find the surrogate for a script URL
+         * @param {string} url - Script URL
+         * @returns {Object|null} Surrogate entry
+         */
+        findSurrogate(url) {
+            return this.surrogates.find(surrogate => surrogate.match.test(String(url))) || null;
+        },
+
+        /**
+         * Pick a stub body for a blocked request: surrogate or empty script, stub JSON,
+         * transparent pixel, or an empty 204
+         * @param {string} url - Request URL
+         * @returns {{status: number, contentType: string, body: string}} Stub response
+         */
+        getStub(url) {
+            const parsed = URLCache.parse(String(url));
+            const path = parsed ? parsed.pathname.toLowerCase() : '';
+
+            const surrogate = this.findSurrogate(url);
+            if (surrogate || /\.m?js$/.test(path)) {
+                return {
+                    status: 200,
+                    contentType: 'text/javascript',
+                    body: surrogate ? `(${surrogate.source})();` : ''
+                };
+            }
+            if (/\.(?:gif|png|jpe?g|webp|avif|svg)$/.test(path)) {
+                return { status: 200, contentType: 'image/gif', body: atob(this.blankImage.split(',')[1]) };
+            }
+            if (/\.json$|\/json\b/.test(path) || (parsed && /json/i.test(parsed.search))) {
+                return { status: 200, contentType: 'application/json', body: '{}' };
+            }
+            return { status: 204, contentType: 'text/plain', body: '' };
+        },
+
+        /**
+         * Build a synthetic fetch() response for a blocked request
+         * @param {string} url - Request URL
+         * @returns {Response} Stub response
+         */
+        createStubResponse(url) {
+            const { status, contentType, body } = this.getStub(url);
+            const bytes = Uint8Array.from(body, char => char.charCodeAt(0));
+            return new Response(status === 204 ? null : bytes, {
+                status,
+                headers: { 'Content-Type': contentType }
+            });
+        },
+
+        /**
+         * Build a data: URL an XHR can load in place of a blocked request
+         * @param {string} url - Request URL
+         * @returns {string} Stub data URL
+         */
+        getStubDataUrl(url) {
+            const { contentType, body } = this.getStub(url);
+            return `data:${contentType};base64,${btoa(body)}`;
+        },
+
+        /**
+         * Create a stand-in for a blocked WebSocket, EventSource or worker that behaves
+         * like one whose server is unreachable: already closed, fires error (and close) async.
+         * It is a real EventTarget re-parented onto the original prototype, so instanceof and
+         * addEventListener work. Every accessor on that prototype is shadowed by an own data
+         * property: the native getters and setters throw "Illegal invocation" on a non-socket.
+         * @param {Function} Original - Original constructor
+         * @param {string|URL} url - Requested URL
+         * @param {string} channel - Channel name
+         * @returns {EventTarget} Closed stub
+         */
+        createClosedStub(Original, url, channel) {
+            const stub = new EventTarget();
+            Object.setPrototypeOf(stub, Original.prototype);
+
+            const noop = () => {};
+            const props = {
+                url: String(url),
+                readyState: channel === 'websocket' ? 3 : 2,  // WebSocket.CLOSED / EventSource.CLOSED
+                binaryType: 'blob',
+                bufferedAmount: 0,
+                protocol: '',
+                extensions: '',
+                withCredentials: false,
+                onopen: null,
+                onmessage: null,
+                onerror: null,
+                onclose: null,
+                send: noop,
+                close: noop,
+                postMessage: noop,
+                terminate: noop,
+                port: { postMessage: noop, start: noop, close: noop, addEventListener: noop, removeEventListener: noop }
+            };
+            // Accessors not listed above (newer or vendor additions) read as null
+            for (let proto = Original.prototype; proto && proto !== EventTarget.prototype; proto = Object.getPrototypeOf(proto)) {
+                for (const [key, descriptor] of Object.entries(Object.getOwnPropertyDescriptors(proto))) {
+                    if (descriptor.get && !(key in props)) props[key] = null;
+                }
+            }
+            for (const [key, value] of Object.entries(props)) {
+                Object.defineProperty(stub, key, { value, writable: true, configurable: true });
+            }
+
+            setTimeout(() => {
+                const fire = (event) => {
+                    stub.dispatchEvent(event);
+                    const handler = stub[`on${event.type}`];
+                    if (typeof handler === 'function') handler.call(stub, event);
+                };
+                fire(new Event('error'));
+                if (channel === 'websocket') {
+                    fire(new CloseEvent('close', { code: 1006, wasClean: false }));
+                }
+            }, 0);
+
+            return stub;
+        },
+
+        /**
+         * Replace a blocked script and settle it, so loaders waiting on it don't hang
+         * Neutered mode swaps in the surrogate (or an empty stub) and fires `load`,
+         * error mode removes it and fires `error`
+         * @param {HTMLScriptElement} script - Blocked script element
+         */
+        removeScript(script) {
+            if (!this.isNeutered()) {
+                script.remove();
+                setTimeout(() => script.dispatchEvent(new Event('error')), 0);
+                return;
+            }
+
+            const surrogate = this.findSurrogate(script.src);
+            const stub = DOMHelper.createElement('script', surrogate ? {
+                'data-webperf-surrogate': surrogate.name,
+                textContent: `(${surrogate.source})();`
+            } : {
+                'data-webperf-blocked': ''
+            });
+            // Inline scripts need the page's nonce under a nonce-based CSP
+            if (script.nonce) stub.nonce = script.nonce;
+            script.replaceWith(stub);
+
+            // Pages often wait for the library's load event before calling it
+            setTimeout(() => script.dispatchEvent(new Event('load')), 0);
+            if (surrogate) Logger.log(`Surrogate ${surrogate.name} injected for`, script.src);
+        },
+
+        /**
+         * Get the request type a preload link will load
+         * @param {HTMLLinkElement} link - Link element
+         * @returns {string} Request type
+         */
+        getPreloadType(link) {
+            if (/\bmodulepreload\b/i.test(link.rel)) return 'script';
+            return this.preloadTypes[(link.getAttribute('as') || '').toLowerCase()] || 'other';
+        },
+
+        blockScripts() {
+            const preloadPattern = /\b(?:preload|prefetch|modulepreload)\b/i;
+
+            // Use unified observer for better performance (all blocking in one handler)
+            ObserverManager.registerHandler((mutations) => {
+                for (const mutation of mutations) {
+                    for (const node of mutation.addedNodes) {
+                        if (node.tagName === 'SCRIPT' && node.src) {
+                            if (this.filterRequest(node.src, 'script', 'script')) {
+                                this.removeScript(node);
+                            }
+                        } else if (node.tagName === 'IMG' && node.src && !this.checkedImages.has(node)) {
+                            if (this.filterRequest(node.src, 'image', 'img')) {
+                                node.src = this.blankImage;
+                            }
+                        } else if (node.tagName === 'IFRAME' && node.src) {
+                            if (this.filterRequest(node.src, 'subdocument', 'iframe')) {
+                                node.src = 'about:blank';
+                            }
+                        } else if (node.tagName === 'LINK' && node.href && preloadPattern.test(node.rel)) {
+                            if (this.filterRequest(node.href, this.getPreloadType(node), 'preload')) {
+                                node.remove();
+                            }
+                        }
+                    }
+                }
+            });
+            
+            // Block existing elements
+            document.querySelectorAll('script[src]').forEach(script => {
+                if (this.filterRequest(script.src, 'script', 'script')) {
+                    this.removeScript(script);
+                }
+            });
+            document.querySelectorAll('link[rel~="preload"], link[rel~="prefetch"], link[rel~="modulepreload"]').forEach(link => {
+                if (this.filterRequest(link.href, this.getPreloadType(link), 'preload')) {
+                    link.remove();
+                }
+            });
+        },
+        
+        /**
+         * Check image URLs as they are assigned, covering detached `new Image().src = ...` pings
+         * Inserted images are still checked by the blockScripts observer
+         */
+        blockImages() {
+            const descriptor = Object.getOwnPropertyDescriptor(HTMLImageElement.prototype, 'src');
+            if (!descriptor || !descriptor.set) return;
+
+            Object.defineProperty(HTMLImageElement.prototype, 'src', {
+                ...descriptor,
+                set(value) {
+                    // Inline images make no request; webperf's own probes aren't page requests
+                    if (/^\s*(?:data|blob):/i.test(String(value)) || AdTrackerBlocker.internalImages.has(this)) {
+                        AdTrackerBlocker.checkedImages.add(this);
+                        descriptor.set.call(this, value);
+                        return;
+                    }
+
+                    const blocked = AdTrackerBlocker.filterRequest(value, 'image', 'img');
+                    AdTrackerBlocker.checkedImages.add(this);
+                    descriptor.set.call(this, blocked ? AdTrackerBlocker.blankImage : value);
+                }
+            });
+        },
+        
+        blockIframes() {
+            // Merged into blockScripts for unified observer
+        },
+        
+        getBlockedCount() {
+            return this.blockedCount;
+        }
+    };
+
+    /**
+     * Diagnostics panel module
+     * @namespace DiagnosticsPanel
+     */
+    const DiagnosticsPanel = {
+        /**
+         * Panel element
+         * @type {HTMLDivElement}
+         */
+        panel: null,
+
+        /**
+         * Update interval ID
+         * @type {number}
+         */
+        updateInterval: null,
+
+        /**
+         * Initialize diagnostics panel
+         */
+        async init() {
+            if (!ConfigManager.isEnabled('diagnosticsPanel')) {
+                this.remove();
+                return;
+            }
+
+            this.panel = DOMHelper.createElement('div', {
+                id: 'webperf-diag',
+                style: {
+                    position: 'fixed',
+                    bottom: '8px',
+                    right: '8px',
+                    background: 'rgba(0, 0, 0, 0.85)',
+                    color: '#0f0',
+                    padding: '8px 12px',
+                    fontSize: '11px',
+                    fontFamily: 'monospace',
+                    borderRadius: '6px',
+                    zIndex: '999999',
+                    pointerEvents: 'auto',
+                    maxWidth: '250px',
+                    lineHeight: '1.4',
+                    whiteSpace: 'pre-line'
+                }
+            });
+
+            await DOMHelper.appendToBody(this.panel);
+
+            // Use requestAnimationFrame for efficient updates instead of setInterval
+            this.scheduleUpdate();
+        },
+
+        /**
+         * Schedule next update using requestAnimationFrame
+         */
+        scheduleUpdate() {
+            if (!this.panel) return;
+            
+            this.update();
+            // Update at 1fps instead of constant polling
+            setTimeout(() => {
+                if (this.panel) {
+                    requestAnimationFrame(() => this.scheduleUpdate());
+                }
+            }, 1000);
+        },
+
+        /**
+         * Update panel content (optimized with textContent)
+         */
+        update() {
+            if (!this.panel) return;
+
+            const cacheStats = CacheManager.getStats();
+            const { memory, disk } = cacheStats.tiers;
+            const metrics = Telemetry.getAll();
+            const blockedCount = AdTrackerBlocker.getBlockedCount ? AdTrackerBlocker.getBlockedCount() : 0;
+            const budget = NetworkBudget.getStatus();
+
+            // Use textContent instead of innerHTML for better performance (no parsing)
+            this.panel.textContent = `WebPerf v6.4 ULTRA
+FPS: ${FPSManager.fpsTarget}
+Cache: ${cacheStats.hits}/${cacheStats.hits + cacheStats.misses} hits
+  mem: ${memory.hits}/${memory.hits + memory.misses} (${memory.mb} MB)
+  disk: ${disk.enabled ? `${disk.hits}/${disk.hits + disk.misses} (${disk.mb} MB)` : 'off'}
+Images: ${metrics.rewrittenImages} src, ${metrics.rewrittenSrcsets} srcset
+  ${metrics.rewrittenSources} picture, ${metrics.rewrittenBackgrounds} bg (${metrics.revertedImages} reverted)
+Scripts: ${metrics.deferredScripts} deferred
+Blocked: ${blockedCount} ads/trackers
+Network: ${budget.tier}, ${(budget.spentBytes / 1048576).toFixed(1)}/${(budget.budgetBytes / 1048576).toFixed(1)} MB speculative
+${this.formatVitals(metrics.vitals)}
+Observers: ${metrics.observerCount}
+Uptime: ${Telemetry.getUptime()}s`;
+        },
+
+        /**
+         * Format Core Web Vitals for display
+         * @param {Object} vitals - Vitals from Telemetry.getAll()
+         * @returns {string} Two-line summary
+         */
+        formatVitals(vitals) {
+            const ms = value => value === null ? '–' : value >= 1000
+                ? `${(value / 1000).toFixed(2)}s`
+                : `${Math.round(value)}ms`;
+            const cls = vitals.CLS === null ? '–' : vitals.CLS.toFixed(3);
+
+            return `LCP ${ms(vitals.LCP)} · FCP ${ms(vitals.FCP)} · TTFB ${ms(vitals.TTFB)}
+CLS ${cls} · INP ${ms(vitals.INP)}`;
+        },
+
+        /**
+         * Remove panel
+         */
+        remove() {
+            if (this.panel) {
+                this.panel.remove();
+                this.panel = null;
+            }
+        }
+    };
+
+    /**
+     * A/B experiment mode
+     * Randomly holds back configured modules per page load and aggregates
+     * vitals and load metrics for each arm per domain in GM storage
+     * @namespace Experiment
+     */
+    const Experiment = {
+        /**
+         * GM storage key for aggregated results
+         * @type {string}
+         */
+        storageKey: 'webperf_experiments',
+
+        /**
+         * Settings that can't be meaningfully experimented on
+         * @type {string[]}
+         */
+        ineligible: ['telemetry', 'diagnosticsPanel', 'experimentMode', 'whitelistMode', 'safeMode'],
+
+        /**
+         * Maximum number of domains kept (least recently updated are dropped)
+         * @type {number}
+         */
+        maxDomains: 200,
+
+        /**
+         * Recorded metrics; lower is better for all of them
+         * @type {string[]}
+         */
+        metricNames: ['LCP', 'FCP', 'TTFB', 'CLS', 'INP', 'domContentLoaded', 'load', 'transferKB'],
+
+        /**
+         * Arm per module for this page load
+         * @type {Object<string, 'on'|'off'>}
+         */
+        assignment: {},
+
+        /**
+         * Whether this page load has been recorded
+         * @type {boolean}
+         */
+        recorded: false,
+
+        /**
+         * Aborts page listeners added by init()
+         * @type {AbortController|null}
+         */
+        listeners: null,
+
+        /**
+         * Report host element
+         * @type {HTMLDivElement|null}
+         */
+        host: null,
+
+        /**
+         * Extra report styles (on top of SettingsPanel.styles)
+         * @type {string}
+         */
+        styles: `
+            .panel { width: 560px; }
+            h2 { margin: 12px 12px 4px; font-size: 12px; color: #0f0; }
+            h3 { margin: 8px 12px 4px; font-size: 12px; color: #ccc; }
+            table { width: calc(100% - 24px); margin: 0 12px; border-collapse: collapse; }
+            th, td { text-align: right; padding: 2px 6px; border-bottom: 1px solid #222; }
+            th:first-child, td:first-child { text-align: left; }
+            .better { color: #0f0; }
+            .worse { color: #f55; }
+            .empty { padding: 12px; color: #888; }
+        `,
+
+        /**
+         * Assign arms and disable held-back modules for this page load
+         * Must run after ConfigManager.init() and before features initialize
+         */
+        init() {
+            if (!ConfigManager.isEnabled('experimentMode') || ConfigManager.siteDisabled) return;
+
+            const rate = ConfigManager.get('experimentHoldoutRate');
+            for (const module of this.getModules()) {
+                const off = Math.random() < rate;
+                this.assignment[module] = off ? 'off' : 'on';
+                if (off) {
+                    // Not persisted, only this page load is affected
+                    ConfigManager.config[module] = false;
+                }
+            }
+
+            if (Object.keys(this.assignment).length === 0) return;
+
+            if (!ConfigManager.isEnabled('telemetry')) {
+                Logger.warn('Experiment mode: telemetry is off, only load metrics will be recorded');
+            }
+
+            this.listeners = new AbortController();
+            const { signal } = this.listeners;
+            document.addEventListener('visibilitychange', () => {
+                if (document.visibilityState === 'hidden') this.record();
+            }, { signal });
+            window.addEventListener('pagehide', () => this.record(), { signal });
+
+            Logger.info(`Experiment arms: ${Object.entries(this.assignment).map(([m, arm]) => `${m}=${arm}`).join(', ')}`);
+        },
+
+        /**
+         * Configured modules that are eligible and currently enabled
+         * @returns {string[]} Module config keys
+         */
+        getModules() {
+            return (ConfigManager.get('experimentModules') || []).filter(module =>
+                typeof ConfigManager.defaults[module] === 'boolean' &&
+                !this.ineligible.includes(module) &&
+                ConfigManager.isEnabled(module)
+            );
+        },
+
+        /**
+         * Collect vitals and load metrics for this page load
+         * @returns {Object<string, ?number>} Sample
+         */
+        collectSample() {
+            return {
+                ...Telemetry.getAll().vitals,
+                ...Telemetry.getLoadMetrics()
+            };
+        },
+
+        /**
+         * Add this page load's sample to the stored aggregates (once per load)
+         */
+        async record() {
+            if (this.recorded) return;
+            this.recorded = true;
+
+            // Restored and prerendered pages aren't comparable to fresh loads
+            if (['back-forward-cache', 'prerender'].includes(Telemetry.navigationType)) return;
+
+            try {
+                const sample = this.collectSample();
+                const data = await ConfigManager.loadFromStorage(this.storageKey) || {};
+                const domain = ConfigManager.getCurrentDomain();
+                const site = data[domain] || (data[domain] = { updated: 0, modules: {} });
+                site.updated = Date.now();
+
+                for (const [module, arm] of Object.entries(this.assignment)) {
+                    const moduleStats = site.modules[module] || (site.modules[module] = { on: { loads: 0 }, off: { loads: 0 } });
+                    const armStats = moduleStats[arm];
+                    armStats.loads++;
+
+                    for (const metric of this.metricNames) {
+                        const value = sample[metric];
+                        if (typeof value !== 'number' || !Number.isFinite(value)) continue;
+                        const agg = armStats[metric] || (armStats[metric] = { n: 0, sum: 0, sumSq: 0 });
+                        agg.n++;
+                        agg.sum += value;
+                        agg.sumSq += value * value;
+                    }
+                }
+
+                // Keep storage bounded
+                const domains = Object.keys(data);
+                if (domains.length > this.maxDomains) {
+                    domains
+                        .sort((a, b) => data[a].updated - data[b].updated)
+                        .slice(0, domains.length - this.maxDomains)
+                        .forEach(old => delete data[old]);
+                }
+
+                await ConfigManager.saveToStorage(this.storageKey, data);
+            } catch (e) {
+                Logger.warn('Failed to record experiment sample', e);
+            }
+        },
+
+        /**
+         * Mean and standard error of an aggregate
+         * @param {{n: number, sum: number, sumSq: number}|undefined} agg - Aggregate
+         * @returns {{n: number, mean: ?number, stderr: ?number}} Summary
+         */
+        summarize(agg) {
+            if (!agg || agg.n === 0) return { n: 0, mean: null, stderr: null };
+            const mean = agg.sum / agg.n;
+            const variance = agg.n > 1 ? Math.max(agg.sumSq / agg.n - mean * mean, 0) * agg.n / (agg.n - 1) : 0;
+            return { n: agg.n, mean, stderr: agg.n > 1 ? Math.sqrt(variance / agg.n) : null };
+        },
+
+        /**
+         * Build per-domain, per-module deltas (module on minus module off)
+         * @returns {Promise<Array<Object>>} Report rows grouped by domain and module
+         */
+        async getReport() {
+            const data = await ConfigManager.loadFromStorage(this.storageKey) || {};
+            const current = ConfigManager.getCurrentDomain();
+
+            return Object.entries(data)
+                .sort(([a, siteA], [b, siteB]) =>
+                    (b === current) - (a === current) || siteB.updated - siteA.updated)
+                .map(([domain, site]) => ({
+                    domain,
+                    updated: site.updated,
+                    modules: Object.entries(site.modules).map(([module, stats]) => ({
+                        module,
+                        loads: { on: stats.on.loads, off: stats.off.loads },
+                        metrics: this.metricNames.map(metric => {
+                            const on = this.summarize(stats.on[metric]);
+                            const off = this.summarize(stats.off[metric]);
+                            const delta = on.mean !== null && off.mean !== null ? on.mean - off.mean : null;
+                            // Roughly 95% confidence that the difference isn't noise
+                            const significant = delta !== null && on.stderr !== null && off.stderr !== null &&
+                                Math.abs(delta) > 2 * Math.sqrt(on.stderr ** 2 + off.stderr ** 2);
+                            return {
+                                metric,
+                                on,
+                                off,
+                                delta,
+                                deltaPct: delta !== null && off.mean ? (delta / off.mean) * 100 : null,
+                                significant
+                            };
+                        })
+                    }))
+                }));
+        },
+
+        /**
+         * Toggle report view
+         */
+        async toggleReport() {
+            if (this.host) {
+                this.host.remove();
+                this.host = null;
+                return;
+            }
+
+            const { host, root } = DOMHelper.createShadowHost('webperf-experiments', SettingsPanel.styles + this.styles);
+            this.host = host;
+            root.appendChild(this.renderReport(await this.getReport()));
+            await DOMHelper.appendToBody(host);
+        },
+
+        /**
+         * Render report contents
+         * @param {Array<Object>} report - Output of getReport()
+         * @returns {HTMLElement} Panel element
+         */
+        renderReport(report) {
+            const panel = DOMHelper.createElement('div', { class: 'panel' });
+            const header = DOMHelper.createElement('header');
+            header.appendChild(DOMHelper.createElement('h1', { textContent: 'WebPerf experiments' }));
+
+            const reset = DOMHelper.createElement('button', { textContent: 'Reset data' });
+            reset.addEventListener('click', async () => {
+                await ConfigManager.saveToStorage(this.storageKey, {});
+                this.toggleReport();
+            });
+            header.appendChild(reset);
+
+            const close = DOMHelper.createElement('button', { textContent: '✕', title: 'Close' });
+            close.addEventListener('click', () => this.toggleReport());
+            header.appendChild(close);
+            panel.appendChild(header);
+
+            if (report.length === 0) {
+                panel.appendChild(DOMHelper.createElement('div', {
+                    class: 'empty',
+                    textContent: 'No samples yet. Enable experimentMode and list modules in experimentModules.'
+                }));
+                return panel;
+            }
+
+            const format = (metric, value) => {
+                if (value === null) return '–';
+                return metric === 'CLS' ? value.toFixed(3) : value.toFixed(metric === 'transferKB' ? 1 : 0);
+            };
+
+            for (const site of report) {
+                panel.appendChild(DOMHelper.createElement('h2', { textContent: site.domain }));
+
+                for (const { module, loads, metrics } of site.modules) {
+                    panel.appendChild(DOMHelper.createElement('h3', {
+                        textContent: `${module} (on: ${loads.on} loads, off: ${loads.off} loads)`
+                    }));
+
+                    const table = DOMHelper.createElement('table');
+                    const head = DOMHelper.createElement('tr');
+                    ['Metric', 'On (n)', 'Off (n)', 'Δ', 'Δ%'].forEach(label => {
+                        head.appendChild(DOMHelper.createElement('th', { textContent: label }));
+                    });
+                    table.appendChild(head);
+
+                    for (const row of metrics) {
+                        const tr = DOMHelper.createElement('tr');
+                        const cells = [
+                            row.metric,
+                            `${format(row.metric, row.on.mean)} (${row.on.n})`,
+                            `${format(row.metric, row.off.mean)} (${row.off.n})`,
+                            row.delta === null ? '–' : `${row.delta > 0 ? '+' : ''}${format(row.metric, row.delta)}${row.significant ? ' *' : ''}`,
+                            row.deltaPct === null ? '–' : `${row.deltaPct > 0 ? '+' : ''}${row.deltaPct.toFixed(1)}%`
+                        ];
+                        cells.forEach(text => tr.appendChild(DOMHelper.createElement('td', { textContent: text })));
+                        if (row.significant) {
+                            tr.classList.add(row.delta < 0 ? 'better' : 'worse');
+                        }
+                        table.appendChild(tr);
+                    }
+                    panel.appendChild(table);
+                }
+            }
+            return panel;
+        },
+
+        /**
+         * Cleanup listeners
+         */
+        cleanup() {
+            if (this.listeners) {
+                this.listeners.abort();
+                this.listeners = null;
+            }
+            if (this.host) {
+                this.host.remove();
+                this.host = null;
+            }
+        }
+    };
+
+    /**
+     * Historical telemetry store
+     * Keeps a bounded, per-domain rolling log of page-load summaries in GM storage
+     * (shared across sites, unlike IndexedDB) and renders per-domain trends
+     * @namespace TelemetryHistory
+     */
+    const TelemetryHistory = {
+        /**
+         * GM storage key prefix for per-domain summaries
+         * @type {string}
+         */
+        keyPrefix: 'webperf_history:',
+
+        /**
+         * GM storage key for the domain index ({domain: lastUpdated})
+         * @type {string}
+         */
+        indexKey: 'webperf_history_index',
+
+        /**
+         * Maximum summaries kept per domain
+         * @type {number}
+         */
+        maxLoadsPerDomain: 200,
+
+        /**
+         * Maximum domains kept (least recently updated are dropped)
+         * @type {number}
+         */
+        maxDomains: 100,
+
+        /**
+         * Vitals aggregated into percentiles
+         * @type {string[]}
+         */
+        vitalNames: ['LCP', 'FCP', 'TTFB', 'CLS', 'INP'],
+
+        /**
+         * Whether this page load has been recorded
+         * @type {boolean}
+         */
+        recorded: false,
+
+        /**
+         * Aborts page listeners added by init()
+         * @type {AbortController|null}
+         */
+        listeners: null,
+
+        /**
+         * Report host element
+         * @type {HTMLDivElement|null}
+         */
+        host: null,
+
+        /**
+         * Report shadow root
+         * @type {ShadowRoot|null}
+         */
+        root: null,
+
+        /**
+         * Report state
+         * @type {{domain: ?string, days: number}}
+         */
+        view: { domain: null, days: 7 },
+
+        /**
+         * Extra report styles (on top of SettingsPanel.styles)
+         * @type {string}
+         */
+        styles: `
+            .panel { width: 600px; }
+            .domains { display: flex; flex-wrap: wrap; gap: 4px; padding: 8px 12px; border-bottom: 1px solid #333; }
+            h2 { margin: 12px 12px 4px; font-size: 12px; color: #0f0; }
+            table { width: calc(100% - 24px); margin: 0 12px 8px; border-collapse: collapse; }
+            th, td { text-align: right; padding: 2px 6px; border-bottom: 1px solid #222; }
+            th:first-child, td:first-child { text-align: left; }
+            .empty { padding: 12px; color: #888; }
+        `,
+
+        /**
+         * Start recording this page load
+         */
+        init() {
+            if (!ConfigManager.isEnabled('telemetryHistory') || !ConfigManager.isEnabled('telemetry')) return;
+
+            this.listeners = new AbortController();
+            const { signal } = this.listeners;
+            document.addEventListener('visibilitychange', () => {
+                if (document.visibilityState === 'hidden') this.record();
+            }, { signal });
+            window.addEventListener('pagehide', () => this.record(), { signal });
+        },
+
+        /**
+         * Build compact summary of this page load
+         * @returns {Object} Summary
+         */
+        buildSummary() {
+            const metrics = Telemetry.getAll();
+            const load = Telemetry.getLoadMetrics();
+            const round = (value, digits = 0) => value === null ? null : Number(value.toFixed(digits));
+
+            return {
+                t: Date.now(),
+                nav: metrics.navigationType,
+                LCP: round(metrics.vitals.LCP),
+                FCP: round(metrics.vitals.FCP),
+                TTFB: round(metrics.vitals.TTFB),
+                CLS: round(metrics.vitals.CLS, 4),
+                INP: round(metrics.vitals.INP),
+                dcl: round(load.domContentLoaded),
+                load: round(load.load),
+                kb: round(load.transferKB, 1),
+                hits: metrics.cacheHits,
+                misses: metrics.cacheMisses,
+                blocked: AdTrackerBlocker.getBlockedCount(),
+                images: metrics.rewrittenImages + metrics.rewrittenSrcsets +
+                    metrics.rewrittenSources + metrics.rewrittenBackgrounds
+            };
+        },
+
+        /**
+         * Oldest timestamp still kept
+         * @returns {number} Cutoff timestamp
+         */
+        getCutoff() {
+            return Date.now() - ConfigManager.get('historyDays') * 24 * 60 * 60 * 1000;
+        },
+
+        /**
+         * Append this page load to the domain's history (once per load)
+         */
+        async record() {
+            if (this.recorded) return;
+            this.recorded = true;
+
+            try {
+                const domain = ConfigManager.getCurrentDomain();
+                const cutoff = this.getCutoff();
+
+                const records = (await this.load(domain)).filter(record => record.t >= cutoff);
+                records.push(this.buildSummary());
+                await ConfigManager.saveToStorage(this.keyPrefix + domain, records.slice(-this.maxLoadsPerDomain));
+
+                // Update index, dropping domains that aged out or overflow the cap
+                const index = await ConfigManager.loadFromStorage(this.indexKey) || {};
+                index[domain] = Date.now();
+                const stale = Object.keys(index)
+                    .sort((a, b) => index[b] - index[a])
+                    .filter((name, i) => i >= this.maxDomains || index[name] < cutoff);
+                for (const name of stale) {
+                    delete index[name];
+                    await ConfigManager.removeFromStorage(this.keyPrefix + name);
+                }
+                await ConfigManager.saveToStorage(this.indexKey, index);
+            } catch (e) {
+                Logger.warn('Failed to record telemetry history', e);
+            }
+        },
+
+        /**
+         * Load a domain's summaries
+         * @param {string} domain - Domain name
+         * @returns {Promise<Array<Object>>} Summaries, oldest first
+         */
+        async load(domain) {
+            const records = await ConfigManager.loadFromStorage(this.keyPrefix + domain);
+            return Array.isArray(records) ? records : [];
+        },
+
+        /**
+         * Nearest-rank percentile
+         * @param {number[]} values - Values
+         * @param {number} p - Percentile (0-100)
+         * @returns {number|null} Percentile value
+         */
+        percentile(values, p) {
+            if (values.length === 0) return null;
+            const sorted = [...values].sort((a, b) => a - b);
+            return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+        },
+
+        /**
+         * Aggregate summaries
+         * @param {Array<Object>} records - Summaries
+         * @returns {Object} Loads, vital percentiles, cache hit rate and blocked counts
+         */
+        aggregate(records) {
+            const vitals = {};
+            for (const name of this.vitalNames) {
+                const values = records.map(record => record[name]).filter(value => typeof value === 'number');
+                vitals[name] = {
+                    n: values.length,
+                    p50: this.percentile(values, 50),
+                    p75: this.percentile(values, 75),
+                    p95: this.percentile(values, 95)
+                };
+            }
+
+            const hits = records.reduce((sum, record) => sum + (record.hits || 0), 0);
+            const misses = records.reduce((sum, record) => sum + (record.misses || 0), 0);
+            const blocked = records.reduce((sum, record) => sum + (record.blocked || 0), 0);
+
+            return {
+                loads: records.length,
+                vitals,
+                cacheHitRate: hits + misses > 0 ? hits / (hits + misses) : null,
+                blocked: {
+                    total: blocked,
+                    perLoad: records.length > 0 ? blocked / records.length : null
+                }
+            };
+        },
+
+        /**
+         * Aggregate summaries per calendar day over the last N days
+         * @param {Array<Object>} records - Summaries
+         * @param {number} days - Number of days
+         * @returns {Array<{date: string, stats: Object}>} Newest day first
+         */
+        trend(records, days) {
+            const buckets = [];
+            const today = new Date();
+            today.setHours(0, 0, 0, 0);
+
+            for (let i = 0; i < days; i++) {
+                const start = new Date(today);
+                start.setDate(today.getDate() - i);
+                const end = new Date(start);
+                end.setDate(start.getDate() + 1);
+
+                const dayRecords = records.filter(record => record.t >= start.getTime() && record.t < end.getTime());
+                // Local calendar date; toISOString() would give the UTC one
+                const date = [start.getFullYear(), start.getMonth() + 1, start.getDate()]
+                    .map(part => String(part).padStart(2, '0'))
+                    .join('-');
+                buckets.push({
+                    date,
+                    stats: this.aggregate(dayRecords)
+                });
+            }
+            return buckets;
+        },
+
+        /**
+         * Toggle report view
+         */
+        async toggleReport() {
+            if (this.host) {
+                this.host.remove();
+                this.host = null;
+                this.root = null;
+                return;
+            }
+
+            ({ host: this.host, root: this.root } = DOMHelper.createShadowHost(
+                'webperf-history',
+                SettingsPanel.styles + this.styles
+            ));
+            await this.renderReport();
+            await DOMHelper.appendToBody(this.host);
+        },
+
+        /**
+         * Render report for the selected domain
+         */
+        async renderReport() {
+            if (!this.root) return;
+
+            const index = await ConfigManager.loadFromStorage(this.indexKey) || {};
+            const domains = Object.keys(index).sort((a, b) => index[b] - index[a]);
+            const current = ConfigManager.getCurrentDomain();
+            if (!this.view.domain || !(this.view.domain in index)) {
+                this.view.domain = current in index ? current : domains[0] || null;
+            }
+
+            const panel = DOMHelper.createElement('div', { class: 'panel' });
+            panel.appendChild(this.renderHeader());
+
+            if (!this.view.domain) {
+                panel.appendChild(DOMHelper.createElement('div', {
+                    class: 'empty',
+                    textContent: 'No history yet. Page loads are recorded when you leave or hide a page.'
+                }));
+            } else {
+                const picker = DOMHelper.createElement('div', { class: 'domains' });
+                for (const domain of domains) {
+                    const button = DOMHelper.createElement('button', { textContent: domain });
+                    if (domain === this.view.domain) button.classList.add('active');
+                    button.addEventListener('click', () => {
+                        this.view.domain = domain;
+                        this.renderReport();
+                    });
+                    picker.appendChild(button);
+                }
+                panel.appendChild(picker);
+
+                const cutoff = Date.now() - this.view.days * 24 * 60 * 60 * 1000;
+                const records = (await this.load(this.view.domain)).filter(record => record.t >= cutoff);
+                const prefetch = await PrefetchEffectiveness.getStats(this.view.domain);
+                this.renderDomain(panel, records, prefetch);
+            }
+
+            const old = this.root.querySelector('.panel');
+            if (old) old.remove();
+            this.root.appendChild(panel);
+        },
+
+        /**
+         * Build header with range switch
+         * @returns {HTMLElement} Header element
+         */
+        renderHeader() {
+            const header = DOMHelper.createElement('header');
+            header.appendChild(DOMHelper.createElement('h1', { textContent: 'WebPerf history' }));
+
+            for (const days of [7, 14, 30]) {
+                if (days > ConfigManager.get('historyDays') && days !== 7) continue;
+                const button = DOMHelper.createElement('button', { textContent: `${days}d` });
+                if (this.view.days === days) button.classList.add('active');
+                button.addEventListener('click', () => {
+                    this.view.days = days;
+                    this.renderReport();
+                });
+                header.appendChild(button);
+            }
+
+            const close = DOMHelper.createElement('button', { textContent: '✕', title: 'Close' });
+            close.addEventListener('click', () => this.toggleReport());
+            header.appendChild(close);
+            return header;
+        },
+
+        /**
+         * Render summary and daily trend tables for one domain
+         * @param {HTMLElement} panel - Panel to append to
+         * @param {Array<Object>} records - Domain summaries within range
+         * @param {Object} prefetch - Prefetch effectiveness per module (PrefetchEffectiveness.getStats)
+         */
+        renderDomain(panel, records, prefetch) {
+            const formatVital = (name, value) => {
+                if (value === null) return '–';
+                return name === 'CLS' ? value.toFixed(3) : `${Math.round(value)}`;
+            };
+            const percent = value => value === null ? '–' : `${(value * 100).toFixed(0)}%`;
+            const table = (headings, rows) => {
+                const el = DOMHelper.createElement('table');
+                const head = DOMHelper.createElement('tr');
+                headings.forEach(text => head.appendChild(DOMHelper.createElement('th', { textContent: text })));
+                el.appendChild(head);
+                for (const cells of rows) {
+                    const tr = DOMHelper.createElement('tr');
+                    cells.forEach(text => tr.appendChild(DOMHelper.createElement('td', { textContent: String(text) })));
+                    el.appendChild(tr);
+                }
+                return el;
+            };
+
+            const stats = this.aggregate(records);
+            panel.appendChild(DOMHelper.createElement('h2', {
+                textContent: `${stats.loads} loads · cache hit rate ${percent(stats.cacheHitRate)} · ` +
+                    `${stats.blocked.total} blocked (${stats.blocked.perLoad === null ? '–' : stats.blocked.perLoad.toFixed(1)}/load)`
+            }));
+            panel.appendChild(table(
+                ['Vital (ms)', 'p50', 'p75', 'p95', 'n'],
+                this.vitalNames.map(name => {
+                    const { p50, p75, p95, n } = stats.vitals[name];
+                    return [name, formatVital(name, p50), formatVital(name, p75), formatVital(name, p95), n];
+                })
+            ));
+
+            const modules = Object.entries(prefetch);
+            if (modules.length > 0) {
+                const kb = bytes => (bytes / 1024).toFixed(0);
+                panel.appendChild(DOMHelper.createElement('h2', { textContent: 'Prefetch effectiveness (all time)' }));
+                panel.appendChild(table(
+                    ['Module', 'Used', 'Wasted', 'Hit rate', 'Used KB', 'Wasted KB'],
+                    modules.map(([name, counts]) => [
+                        name, counts.used, counts.wasted, percent(counts.hitRate), kb(counts.usedBytes), kb(counts.wastedBytes)
+                    ])
+                ));
+            }
+
+            panel.appendChild(DOMHelper.createElement('h2', { textContent: 'Daily p75' }));
+            panel.appendChild(table(
+                ['Day', 'Loads', 'LCP', 'INP', 'CLS', 'TTFB', 'Cache', 'Blocked'],
+                this.trend(records, this.view.days).map(({ date, stats: day }) => [
+                    date,
+                    day.loads,
+                    formatVital('LCP', day.vitals.LCP.p75),
+                    formatVital('INP', day.vitals.INP.p75),
+                    formatVital('CLS', day.vitals.CLS.p75),
+                    formatVital('TTFB', day.vitals.TTFB.p75),
+                    percent(day.cacheHitRate),
+                    day.blocked.total
+                ])
+            ));
+        },
+
+        /**
+         * Cleanup listeners and report
+         */
+        cleanup() {
+            if (this.listeners) {
+                this.listeners.abort();
+                this.listeners = null;
+            }
+            if (this.host) {
+                this.host.remove();
+                this.host = null;
+                this.root = null;
+            }
         }
     };
 
     /**
-     * Third-party resource optimizer
-     * Optimizes non-critical third-party resources instead of blocking
-     * @namespace ThirdPartyOptimizer
+     * Prefetch effectiveness
+     * Records every URL the prefetchers speculate on with its byte cost and, on later
+     * page loads of the same site, checks whether it was navigated to or loaded as a
+     * subresource. Used and wasted counts and bytes are kept per domain and module
+     * @namespace PrefetchEffectiveness
      */
-    const ThirdPartyOptimizer = {
-        deferredDomains: new Set([
-            'google-analytics.com',
-            'googletagmanager.com',
-            'facebook.net',
-            'doubleclick.net',
-            'analytics.google.com'
-        ]),
-        
+    const PrefetchEffectiveness = {
+        /**
+         * GM storage key prefix for unresolved speculations per domain
+         * @type {string}
+         */
+        pendingPrefix: 'webperf_prefetch_pending:',
+
+        /**
+         * GM storage key for the domains with unresolved speculations ({domain: lastSaved})
+         * @type {string}
+         */
+        pendingIndexKey: 'webperf_prefetch_pending_index',
+
+        /**
+         * GM storage key for aggregates ({domain: {t, modules: {module: counts}}})
+         * @type {string}
+         */
+        statsKey: 'webperf_prefetch_stats',
+
+        /**
+         * How long a prefetched response stays usable (browsers keep them about five minutes)
+         * @type {number}
+         */
+        ttlMs: 5 * 60 * 1000,
+
+        /**
+         * Unresolved speculations kept per domain
+         * @type {number}
+         */
+        maxPending: 200,
+
+        /**
+         * Domains kept in the aggregates (least recently updated are dropped)
+         * @type {number}
+         */
+        maxDomains: 100,
+
+        /**
+         * Speculations made on this page and not yet saved
+         * @type {Map<string, {url: string, module: string, kind: string, t: number}>}
+         */
+        speculations: new Map(),
+
+        /**
+         * URLs speculated on from this page (kept after saving)
+         * @type {Set<string>}
+         */
+        own: new Set(),
+
+        /**
+         * Aborts page listeners added by init()
+         * @type {AbortController|null}
+         */
+        listeners: null,
+
+        /**
+         * Save this page's speculations when it's hidden, and resolve earlier ones after load
+         */
         init() {
-            if (!ConfigManager.isEnabled('blockThirdParty')) return;
-            
-            this.optimizeScripts();
-            // Note: Fetch deferral logic moved to AdTrackerBlocker to avoid
-            // multiple fetch override conflicts. AdTrackerBlocker checks
-            // this.shouldDefer() method for deferred domains integration.
-            
-            Logger.info('Third-party optimizer enabled');
+            if (!ConfigManager.isEnabled('telemetry')) return;
+
+            this.listeners = new AbortController();
+            const { signal } = this.listeners;
+            document.addEventListener('visibilitychange', () => {
+                if (document.visibilityState === 'hidden') this.persist();
+            }, { signal });
+            window.addEventListener('pagehide', () => this.persist(), { signal });
+
+            // After load, this page's subresources are in Resource Timing
+            if (document.readyState === 'complete') {
+                SafeScheduler.idle(() => this.resolve());
+            } else {
+                window.addEventListener('load', () => SafeScheduler.idle(() => this.resolve()), { once: true, signal });
+            }
         },
-        
-        shouldDefer(url) {
+
+        /**
+         * Record a speculative request
+         * @param {string} url - Absolute URL
+         * @param {string} module - Module that made it
+         * @param {string} kind - 'prefetch', 'prerender' or 'preload'
+         */
+        record(url, module, kind) {
+            if (!this.listeners || this.own.has(url)) return;
+            this.own.add(url);
+            this.speculations.set(url, { url, module, kind, t: Date.now() });
+        },
+
+        /**
+         * Bytes a speculation cost: Resource Timing size, or the network budget's estimate
+         * (speculation-rules prefetches and opaque cross-origin responses don't report one)
+         * @param {{url: string, kind: string}} entry - Speculation
+         * @returns {number} Bytes
+         */
+        getBytes(entry) {
+            const timing = performance.getEntriesByName(entry.url).find(item => item.entryType === 'resource');
+            const actual = timing ? timing.transferSize || timing.encodedBodySize : 0;
+            return actual || NetworkBudget.estimatedBytes[entry.kind] || 0;
+        },
+
+        /**
+         * Load a domain's unresolved speculations
+         * @param {string} domain - Domain name
+         * @returns {Promise<Array<Object>>} Speculations, oldest first
+         */
+        async loadPending(domain) {
+            const pending = await ConfigManager.loadFromStorage(this.pendingPrefix + domain);
+            return Array.isArray(pending) ? pending : [];
+        },
+
+        /**
+         * Add this page's speculations to the domain's unresolved list
+         */
+        async persist() {
+            if (this.speculations.size === 0) return;
+
+            const entries = [...this.speculations.values()].map(entry => ({ ...entry, bytes: this.getBytes(entry) }));
+            this.speculations.clear();
+
             try {
-                const urlObj = new URL(url, location.href);
-                return Array.from(this.deferredDomains).some(domain => 
-                    urlObj.hostname.includes(domain)
-                );
+                const domain = ConfigManager.getCurrentDomain();
+                const pending = await this.loadPending(domain);
+                await ConfigManager.saveToStorage(this.pendingPrefix + domain, [...pending, ...entries].slice(-this.maxPending));
+
+                const index = await ConfigManager.loadFromStorage(this.pendingIndexKey) || {};
+                index[domain] = Date.now();
+                await ConfigManager.saveToStorage(this.pendingIndexKey, index);
             } catch (e) {
-                return false;
+                Logger.debug('Failed to save speculations', e);
             }
         },
-        
-        optimizeScripts() {
-            // Use unified observer for better performance
-            ObserverManager.registerHandler((mutations) => {
-                for (const mutation of mutations) {
-                    for (const node of mutation.addedNodes) {
-                        if (node.tagName === 'SCRIPT' && node.src) {
-                            if (this.shouldDefer(node.src)) {
-                                if (!node.hasAttribute('async') && !node.hasAttribute('defer')) {
-                                    node.defer = true;
-                                    Logger.log('Deferred script:', node.src);
-                                }
-                            }
-                        }
-                    }
+
+        /**
+         * Match earlier speculations against this navigation and its subresources
+         * Matches within ttlMs are used; expired ones are wasted; the rest stay pending
+         */
+        async resolve() {
+            try {
+                const domain = ConfigManager.getCurrentDomain();
+                await this.sweep(domain);
+
+                const pending = await this.loadPending(domain);
+                if (pending.length === 0) return;
+
+                const consumed = new Set([location.href.split('#')[0]]);
+                for (const entry of performance.getEntriesByType('resource')) {
+                    // This page's own prefetches show up in Resource Timing too
+                    if (!this.own.has(entry.name)) consumed.add(entry.name);
                 }
-            });
-            
-            // Optimize existing scripts
-            document.querySelectorAll('script[src]').forEach(script => {
-                if (this.shouldDefer(script.src)) {
-                    if (!script.hasAttribute('async') && !script.hasAttribute('defer')) {
-                        script.defer = true;
-                        Logger.log('Deferred existing script:', script.src);
+
+                const now = Date.now();
+                const resolved = [];
+                const remaining = [];
+                for (const entry of pending) {
+                    const fresh = now - entry.t <= this.ttlMs;
+                    if (fresh && consumed.has(entry.url)) {
+                        resolved.push({ ...entry, used: true });
+                    } else if (!fresh) {
+                        resolved.push({ ...entry, used: false });
+                    } else {
+                        remaining.push(entry);
                     }
                 }
-            });
-        }
-        
-        // Note: deferNonCriticalRequests() was removed as this functionality
-        // is now handled by AdTrackerBlocker to avoid multiple fetch() overrides.
-        // See AdTrackerBlocker.blockRequests() for unified fetch handling.
-    };
+                if (resolved.length === 0) return;
 
-    /**
-     * Critical CSS inliner
-     * Inlines critical CSS for instant rendering
-     * @namespace CriticalCSS
-     */
-    const CriticalCSS = {
-        init() {
-            if (!ConfigManager.isEnabled('inlineCriticalCSS')) return;
-            
-            SafeScheduler.idle(() => {
-                this.inlineCritical();
-            });
-            
-            Logger.info('Critical CSS inlining enabled');
-        },
-        
-        async inlineCritical() {
-            const stylesheets = Array.from(document.querySelectorAll('link[rel="stylesheet"]'))
-                .slice(0, 2); // First 2 are usually critical
-            
-            for (const link of stylesheets) {
-                try {
-                    // Check if same-origin to avoid CORS issues
-                    const url = new URL(link.href, location.href);
-                    if (url.origin !== location.origin) {
-                        Logger.log('Skipping cross-origin CSS:', link.href);
-                        continue;
-                    }
-                    
-                    const response = await fetch(link.href);
-                    if (!response.ok) {
-                        throw new Error(`HTTP ${response.status}`);
-                    }
-                    
-                    const css = await response.text();
-                    
-                    // Create inline style
-                    const style = DOMHelper.createElement('style', {
-                        textContent: css,
-                        'data-inlined': 'true'
-                    });
-                    
-                    link.parentNode.insertBefore(style, link);
-                    link.rel = 'preload';
-                    link.as = 'style';
-                    
-                    Logger.log('Inlined CSS:', link.href);
-                } catch (e) {
-                    Logger.log('Failed to inline CSS:', link.href, e);
+                await this.addStats(domain, resolved);
+                if (remaining.length > 0) {
+                    await ConfigManager.saveToStorage(this.pendingPrefix + domain, remaining);
+                } else {
+                    await this.removePending(domain);
                 }
+
+                const used = resolved.filter(entry => entry.used);
+                const wasted = resolved.filter(entry => !entry.used);
+                Telemetry.increment('prefetchUsed', used.length);
+                Telemetry.increment('prefetchWasted', wasted.length);
+                Telemetry.increment('prefetchWastedBytes', wasted.reduce((sum, entry) => sum + entry.bytes, 0));
+                Logger.debug(`Prefetch effectiveness: ${used.length} used, ${wasted.length} wasted`);
+            } catch (e) {
+                Logger.debug('Failed to resolve speculations', e);
             }
-        }
-    };
+        },
 
-    /**
-     * Preload scanner
-     * Simulates browser preload scanner for early resource discovery
-     * @namespace PreloadScanner
-     */
-    const PreloadScanner = {
-        init() {
-            if (!ConfigManager.isEnabled('preloadScanner')) return;
-            
-            this.scanAndPreload();
-            Logger.info('Preload scanner enabled');
+        /**
+         * Count other domains' expired speculations as wasted and delete their pending keys,
+         * so domains that are never visited again don't keep them forever
+         * @param {string} current - Current domain (resolved against this page instead)
+         */
+        async sweep(current) {
+            const index = await ConfigManager.loadFromStorage(this.pendingIndexKey) || {};
+            const now = Date.now();
+            for (const [name, saved] of Object.entries(index)) {
+                if (name === current || now - saved <= this.ttlMs) continue;
+                const pending = await this.loadPending(name);
+                if (pending.length > 0) await this.addStats(name, pending.map(entry => ({ ...entry, used: false })));
+                await this.removePending(name);
+            }
         },
-        
-        scanAndPreload() {
-            // Scan HTML for resources to preload
-            const html = document.documentElement.outerHTML;
-            
-            // Find script sources
-            const scriptRegex = /<script[^>]+src=["']([^"']+)["']/gi;
-            let match;
-            let count = 0;
-            
-            while ((match = scriptRegex.exec(html)) !== null && count < 5) {
-                const src = match[1];
-                if (!src.startsWith('data:') && !src.startsWith('blob:')) {
-                    const link = DOMHelper.createElement('link', {
-                        rel: 'preload',
-                        href: src,
-                        as: 'script'
-                    });
-                    DOMHelper.appendToHead(link);
-                    count++;
+
+        /**
+         * Delete a domain's pending key and index entry
+         * @param {string} domain - Domain name
+         */
+        async removePending(domain) {
+            await ConfigManager.removeFromStorage(this.pendingPrefix + domain);
+            const index = await ConfigManager.loadFromStorage(this.pendingIndexKey) || {};
+            delete index[domain];
+            await ConfigManager.saveToStorage(this.pendingIndexKey, index);
+        },
+
+        /**
+         * Add resolved speculations to the domain's aggregates
+         * @param {string} domain - Domain name
+         * @param {Array<Object>} resolved - Speculations with a used flag
+         */
+        async addStats(domain, resolved) {
+            const stats = await ConfigManager.loadFromStorage(this.statsKey) || {};
+            const site = stats[domain] || (stats[domain] = { t: 0, modules: {} });
+            site.t = Date.now();
+
+            for (const entry of resolved) {
+                const counts = site.modules[entry.module] ||
+                    (site.modules[entry.module] = { used: 0, wasted: 0, usedBytes: 0, wastedBytes: 0 });
+                if (entry.used) {
+                    counts.used++;
+                    counts.usedBytes += entry.bytes;
+                } else {
+                    counts.wasted++;
+                    counts.wastedBytes += entry.bytes;
                 }
             }
-            
-            // Find stylesheet hrefs
-            const linkRegex = /<link[^>]+href=["']([^"']+)["'][^>]*rel=["']stylesheet["']/gi;
-            count = 0;
-            
-            while ((match = linkRegex.exec(html)) !== null && count < 3) {
-                const href = match[1];
-                if (!href.startsWith('data:') && !href.startsWith('blob:')) {
-                    const link = DOMHelper.createElement('link', {
-                        rel: 'preload',
-                        href: href,
-                        as: 'style'
-                    });
-                    DOMHelper.appendToHead(link);
-                    count++;
-                }
+
+            Object.keys(stats)
+                .sort((a, b) => stats[b].t - stats[a].t)
+                .slice(this.maxDomains)
+                .forEach(name => delete stats[name]);
+            await ConfigManager.saveToStorage(this.statsKey, stats);
+        },
+
+        /**
+         * Aggregates for a domain
+         * @param {string} [domain] - Domain name (defaults to the current one)
+         * @returns {Promise<Object<string, {used: number, wasted: number, usedBytes: number, wastedBytes: number, hitRate: ?number}>>} Counts per module
+         */
+        async getStats(domain = ConfigManager.getCurrentDomain()) {
+            const stats = await ConfigManager.loadFromStorage(this.statsKey) || {};
+            const modules = stats[domain] ? stats[domain].modules : {};
+            const result = {};
+            for (const [name, counts] of Object.entries(modules)) {
+                const total = counts.used + counts.wasted;
+                result[name] = { ...counts, hitRate: total > 0 ? counts.used / total : null };
+            }
+            return result;
+        },
+
+        /**
+         * Remove page listeners
+         */
+        cleanup() {
+            if (this.listeners) {
+                this.listeners.abort();
+                this.listeners = null;
             }
         }
     };
 
     /**
-     * Resource priority optimizer
-     * Optimizes resource loading order
-     * @namespace ResourcePriority
+     * Request inspector panel
+     * Filterable view of AdTrackerBlocker.requestLog with per-site allow
+     * @namespace RequestInspector
      */
-    const ResourcePriority = {
-        init() {
-            if (!ConfigManager.isEnabled('resourcePriority')) return;
-            
-            SafeScheduler.idle(() => {
-                this.optimizeLoadOrder();
+    const RequestInspector = {
+        /**
+         * Panel host element
+         * @type {HTMLDivElement|null}
+         */
+        host: null,
+
+        /**
+         * Panel shadow root
+         * @type {ShadowRoot|null}
+         */
+        root: null,
+
+        /**
+         * Active filters
+         * @type {{action: string, query: string}}
+         */
+        view: { action: 'all', query: '' },
+
+        /**
+         * Message shown after allowing a domain
+         * @type {string}
+         */
+        notice: '',
+
+        /**
+         * Debounced table re-render (created on open)
+         * @type {Function|null}
+         */
+        scheduleRender: null,
+
+        /**
+         * Extra panel styles (on top of SettingsPanel.styles)
+         * @type {string}
+         */
+        styles: `
+            .panel { width: 640px; }
+            .filters { display: flex; gap: 8px; padding: 8px 12px; border-bottom: 1px solid #333; }
+            .filters input[type="text"] { flex: 1; }
+            table { width: 100%; border-collapse: collapse; table-layout: fixed; }
+            th, td { text-align: left; padding: 2px 6px; border-bottom: 1px solid #222; vertical-align: top; }
+            td { overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+            th:nth-child(1) { width: 56px; } th:nth-child(2) { width: 56px; }
+            th:nth-child(3) { width: 84px; } th:nth-child(6) { width: 48px; }
+            tr.blocked td:nth-child(2) { color: #f66; }
+            tr.deferred td:nth-child(2) { color: #fc0; }
+            tr.allowed td:nth-child(2) { color: #6c6; }
+            .empty { padding: 12px; color: #888; }
+        `,
+
+        /**
+         * Toggle panel visibility
+         */
+        toggle() {
+            if (this.host) {
+                this.close();
+            } else {
+                this.open();
+            }
+        },
+
+        /**
+         * Open panel
+         */
+        async open() {
+            if (this.host) return;
+
+            ({ host: this.host, root: this.root } = DOMHelper.createShadowHost(
+                'webperf-requests',
+                SettingsPanel.styles + this.styles
+            ));
+            this.scheduleRender = SafeScheduler.debounce(() => this.renderEntries(), 300);
+
+            const panel = DOMHelper.createElement('div', { class: 'panel' });
+            panel.appendChild(this.renderHeader());
+            panel.appendChild(this.renderFilters());
+            panel.appendChild(DOMHelper.createElement('div', { class: 'status' }));
+            panel.appendChild(DOMHelper.createElement('div', { class: 'entries' }));
+            this.root.appendChild(panel);
+
+            this.renderEntries();
+            await DOMHelper.appendToBody(this.host);
+        },
+
+        /**
+         * Close panel
+         */
+        close() {
+            if (this.host) {
+                this.host.remove();
+                this.host = null;
+                this.root = null;
+                this.scheduleRender = null;
+            }
+        },
+
+        /**
+         * Re-render entries after new log entries (no-op while closed)
+         */
+        refresh() {
+            if (this.scheduleRender) this.scheduleRender();
+        },
+
+        /**
+         * Build panel header
+         * @returns {HTMLElement} Header element
+         */
+        renderHeader() {
+            const header = DOMHelper.createElement('header');
+            header.appendChild(DOMHelper.createElement('h1', { textContent: 'WebPerf requests' }));
+
+            const clear = DOMHelper.createElement('button', { textContent: 'Clear' });
+            clear.addEventListener('click', () => {
+                AdTrackerBlocker.requestLog.length = 0;
+                this.renderEntries();
             });
-            
-            Logger.info('Resource priority optimizer enabled');
+            header.appendChild(clear);
+
+            const close = DOMHelper.createElement('button', { textContent: '✕', title: 'Close' });
+            close.addEventListener('click', () => this.close());
+            header.appendChild(close);
+            return header;
         },
-        
-        optimizeLoadOrder() {
-            // Defer all non-critical scripts
-            document.querySelectorAll('script[src]:not([async]):not([defer])').forEach(script => {
-                const src = script.src.toLowerCase();
-                if (!src.includes('critical') && !src.includes('essential')) {
-                    script.defer = true;
-                }
+
+        /**
+         * Build action and text filters
+         * @returns {HTMLElement} Filter bar
+         */
+        renderFilters() {
+            const bar = DOMHelper.createElement('div', { class: 'filters' });
+
+            const action = DOMHelper.createElement('select');
+            ['all', 'blocked', 'deferred', 'allowed'].forEach(value => {
+                action.appendChild(DOMHelper.createElement('option', { value, textContent: value }));
             });
-            
-            // Async non-critical stylesheets
-            document.querySelectorAll('link[rel="stylesheet"]').forEach((link, index) => {
-                if (index >= 2) { // After first 2 critical ones
-                    link.media = 'print';
-                    link.onload = function() {
-                        this.media = 'all';
-                    };
-                }
+            action.value = this.view.action;
+            action.addEventListener('change', () => {
+                this.view.action = action.value;
+                this.renderEntries();
             });
-        }
-    };
+            bar.appendChild(action);
 
-    /**
-     * Service Worker cache manager
-     * Aggressive caching with Service Worker
-     * @namespace ServiceWorkerCache
-     */
-    const ServiceWorkerCache = {
-        init() {
-            if (!ConfigManager.isEnabled('serviceWorkerCache')) return;
-            if (!('serviceWorker' in navigator)) return;
-            
-            this.registerServiceWorker();
-            Logger.info('Service Worker cache enabled');
-        },
-        
-        registerServiceWorker() {
-            const swCode = `
-                const CACHE_NAME = 'webperf-v1';
-                
-                self.addEventListener('install', (event) => {
-                    self.skipWaiting();
-                });
-                
-                self.addEventListener('activate', (event) => {
-                    event.waitUntil(clients.claim());
-                });
-                
-                self.addEventListener('fetch', (event) => {
-                    event.respondWith(
-                        caches.open(CACHE_NAME).then((cache) => {
-                            return cache.match(event.request).then((response) => {
-                                if (response) {
-                                    // Return cached response immediately
-                                    fetch(event.request).then((networkResponse) => {
-                                        cache.put(event.request, networkResponse);
-                                    }).catch(() => {});
-                                    return response;
-                                }
-                                
-                                return fetch(event.request).then((networkResponse) => {
-                                    cache.put(event.request, networkResponse.clone());
-                                    return networkResponse;
-                                });
-                            });
-                        })
-                    );
-                });
-            `;
-            
-            const blob = new Blob([swCode], { type: 'application/javascript' });
-            const swUrl = URL.createObjectURL(blob);
-            
-            navigator.serviceWorker.register(swUrl).then(() => {
-                Logger.log('Service Worker registered');
-            }).catch((e) => {
-                Logger.log('Service Worker registration failed:', e);
+            const query = DOMHelper.createElement('input', { type: 'text', placeholder: 'Filter URL, type or rule' });
+            query.value = this.view.query;
+            query.addEventListener('input', () => {
+                this.view.query = query.value.trim().toLowerCase();
+                this.scheduleRender();
             });
-        }
-    };
+            bar.appendChild(query);
 
-    /**
-     * Instant navigation
-     * Instant back/forward navigation
-     * @namespace InstantNavigation
-     */
-    const InstantNavigation = {
-        pageCache: new Map(),
-        
-        init() {
-            if (!ConfigManager.isEnabled('instantNavigation')) return;
-            
-            this.cacheCurrentPage();
-            this.setupPopStateHandler();
-            
-            Logger.info('Instant navigation enabled');
+            return bar;
         },
-        
-        cacheCurrentPage() {
-            // Cache current page HTML
-            const html = document.documentElement.outerHTML;
-            this.pageCache.set(location.href, html);
-            
-            // Limit cache size
-            if (this.pageCache.size > 10) {
-                const firstKey = this.pageCache.keys().next().value;
-                this.pageCache.delete(firstKey);
-            }
+
+        /**
+         * Log entries matching the active filters, newest first
+         * @returns {Array<Object>} Entries
+         */
+        getEntries() {
+            const { action, query } = this.view;
+            return AdTrackerBlocker.requestLog
+                .filter(entry => action === 'all' || entry.action === action)
+                .filter(entry => !query || [entry.url, entry.type, entry.channel, entry.rule, entry.initiator]
+                    .some(field => field && field.toLowerCase().includes(query)))
+                .reverse();
         },
-        
-        setupPopStateHandler() {
-            window.addEventListener('popstate', (e) => {
-                const url = location.href;
-                const cached = this.pageCache.get(url);
-                
-                if (cached) {
-                    // Safely restore from cache using DOMParser to avoid XSS
-                    try {
-                        const parser = new DOMParser();
-                        const doc = parser.parseFromString(cached, 'text/html');
-                        
-                        // Clear and rebuild document safely
-                        document.documentElement.replaceWith(doc.documentElement);
-                        Logger.log('Instant navigation:', url);
-                    } catch (e) {
-                        Logger.warn('Failed to restore cached page:', e);
-                        // Fall back to normal navigation
-                        location.reload();
-                    }
-                }
+
+        /**
+         * Render summary and entry table
+         */
+        renderEntries() {
+            if (!this.root) return;
+
+            const log = AdTrackerBlocker.requestLog;
+            const count = action => log.filter(entry => entry.action === action).length;
+            const allowed = AdTrackerBlocker.getAllowedDomains();
+            this.root.querySelector('.status').textContent =
+                `${count('blocked')} blocked · ${count('deferred')} deferred · ${count('allowed')} allowed third-party` +
+                (allowed.length > 0 ? ` · allowed on this site: ${allowed.join(', ')}` : '') +
+                (this.notice ? `. ${this.notice}` : '');
+
+            const container = this.root.querySelector('.entries');
+            container.textContent = '';
+
+            const entries = this.getEntries();
+            if (entries.length === 0) {
+                container.appendChild(DOMHelper.createElement('div', {
+                    class: 'empty',
+                    textContent: ConfigManager.isEnabled('blockAdsTrackers')
+                        ? 'No matching requests.'
+                        : 'blockAdsTrackers is off for this site, so requests are not inspected.'
+                }));
+                return;
+            }
+
+            const table = DOMHelper.createElement('table');
+            const head = DOMHelper.createElement('tr');
+            ['Time', 'Action', 'Type', 'URL', 'Rule / initiator', ''].forEach(label => {
+                head.appendChild(DOMHelper.createElement('th', { textContent: label }));
             });
+            table.appendChild(head);
+
+            for (const entry of entries) {
+                const tr = DOMHelper.createElement('tr', { class: entry.action });
+                const cells = [
+                    new Date(entry.time).toLocaleTimeString(),
+                    entry.action,
+                    `${entry.type} (${entry.channel})`,
+                    entry.url,
+                    entry.rule || entry.initiator || '–'
+                ];
+                cells.forEach(text => tr.appendChild(DOMHelper.createElement('td', { textContent: text, title: text })));
+
+                const actions = DOMHelper.createElement('td');
+                if (entry.action !== 'allowed') {
+                    const allow = DOMHelper.createElement('button', {
+                        textContent: 'Allow',
+                        title: `Allow ${PublicSuffix.getRegistrableDomain(entry.host)} on ${ConfigManager.getCurrentDomain()}`
+                    });
+                    allow.addEventListener('click', async () => {
+                        const domain = await AdTrackerBlocker.allowDomain(entry.host);
+                        this.notice = `Reload to load ${domain} requests that were already blocked.`;
+                        this.renderEntries();
+                    });
+                    actions.appendChild(allow);
+                }
+                tr.appendChild(actions);
+                table.appendChild(tr);
+            }
+            container.appendChild(table);
         }
     };
 
     /**
-     * JIT Script Compiler
-     * Compiles/preloads scripts when cursor is near clickable elements
-     * @namespace JITScriptCompiler
+     * Offline page snapshots
+     * Saves the current DOM as self-contained HTML (scripts removed, CSS and images
+     * inlined as data URLs) in IndexedDB, lists saved pages and shows them offline
+     * in a sandboxed viewer with an optional reading mode
+     * @namespace OfflineSnapshots
      */
-    const JITScriptCompiler = {
-        compiledScripts: new Set(),
-        pendingCompilations: new Map(),
-        hoverThreshold: 50, // pixels
-        
-        init() {
-            if (!ConfigManager.isEnabled('jitScriptCompile')) return;
-            
-            this.setupHoverDetection();
-            Logger.info('JIT script compilation enabled');
-        },
-        
-        setupHoverDetection() {
-            let lastMousePos = { x: 0, y: 0 };
-            
-            document.addEventListener('mousemove', SafeScheduler.throttle((e) => {
-                lastMousePos = { x: e.clientX, y: e.clientY };
-                this.checkProximityToInteractiveElements(lastMousePos);
-            }, 100), { passive: true });
-        },
-        
-        checkProximityToInteractiveElements(mousePos) {
-            // Find all clickable elements
-            const clickables = document.querySelectorAll('a, button, [onclick], [role="button"]');
-            
-            for (const element of clickables) {
-                if (this.isNearElement(element, mousePos)) {
-                    this.precompileScriptsForElement(element);
-                }
-            }
-        },
-        
-        isNearElement(element, mousePos) {
-            try {
-                const rect = element.getBoundingClientRect();
-                const threshold = this.hoverThreshold;
-                
-                return mousePos.x >= rect.left - threshold &&
-                       mousePos.x <= rect.right + threshold &&
-                       mousePos.y >= rect.top - threshold &&
-                       mousePos.y <= rect.bottom + threshold;
-            } catch (e) {
-                return false;
+    const OfflineSnapshots = {
+        /**
+         * IndexedDB object store
+         * @type {string}
+         */
+        storeName: 'snapshots',
+
+        /**
+         * Largest single resource inlined (bytes)
+         * @type {number}
+         */
+        maxResourceBytes: 5 * 1024 * 1024,
+
+        /**
+         * Total inlined resource budget per snapshot (bytes)
+         * @type {number}
+         */
+        maxSnapshotBytes: 40 * 1024 * 1024,
+
+        /**
+         * Snapshots may only load what they carry inline
+         * @type {string}
+         */
+        contentPolicy: "default-src 'none'; img-src data:; style-src 'unsafe-inline'; font-src data:; media-src data:",
+
+        /**
+         * Elements dropped from snapshots (active content and network hints)
+         * @type {string}
+         */
+        stripSelector: 'script, noscript, iframe, frame, object, embed, base, template, ' +
+            'link:not([rel~="stylesheet"]), meta[http-equiv], [id^="webperf-"]:not(style)',
+
+        /**
+         * List panel host
+         * @type {HTMLDivElement|null}
+         */
+        host: null,
+
+        /**
+         * List panel shadow root
+         * @type {ShadowRoot|null}
+         */
+        root: null,
+
+        /**
+         * Viewer host
+         * @type {HTMLDivElement|null}
+         */
+        viewer: null,
+
+        /**
+         * Extra panel styles (on top of SettingsPanel.styles)
+         * @type {string}
+         */
+        styles: `
+            .panel { width: 520px; }
+            table { width: 100%; border-collapse: collapse; }
+            th, td { text-align: left; padding: 3px 6px; border-bottom: 1px solid #222; }
+            td.title { max-width: 260px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+            .empty { padding: 12px; color: #888; }
+            .scope { padding: 6px; color: #888; }
+            .viewer {
+                position: fixed; inset: 0; z-index: 2147483647; display: flex; flex-direction: column;
+                background: #111; font: 12px/1.4 monospace; color: #ddd;
             }
+            .viewer header { position: static; }
+            .viewer iframe { flex: 1; border: 0; background: #fff; }
+        `,
+
+        /**
+         * Reading mode stylesheet
+         * @type {string}
+         */
+        readerStyles: `
+            body { max-width: 42em; margin: 2em auto; padding: 0 1em; font: 18px/1.6 Georgia, serif; color: #222; background: #fdfdf8; }
+            h1, h2, h3 { line-height: 1.25; }
+            img, video, figure { max-width: 100%; height: auto; }
+            pre { overflow: auto; background: #f0f0ea; padding: 0.5em; }
+            a { color: #1a5fb4; }
+        `,
+
+        /**
+         * Save the current page
+         * @returns {Promise<Object>} Saved record (without html)
+         */
+        async save() {
+            if (!IDBStore.isAvailable()) throw new Error('IndexedDB is not available on this page');
+
+            const { html, missing } = await this.capture();
+            const url = location.href.split('#')[0];
+            const record = {
+                id: url,
+                url,
+                title: document.title || url,
+                savedAt: Date.now(),
+                bytes: new Blob([html]).size,
+                missing,
+                html
+            };
+
+            await IDBStore.put(this.storeName, record);
+            Logger.info(`Page saved for offline (${(record.bytes / 1024).toFixed(0)} KB, ${missing} resources missing)`);
+            return { ...record, html: undefined };
         },
-        
-        precompileScriptsForElement(element) {
-            // If it's a link, preload the destination page's scripts
-            if (element.tagName === 'A' && element.href) {
-                this.preloadPageScripts(element.href);
-            }
-            
-            // If it has onclick, try to parse and compile
-            if (element.onclick) {
-                this.compileInlineScript(element.onclick.toString());
-            }
-            
-            // Check for event listeners (approximate)
-            const events = ['click', 'mousedown', 'touchstart'];
-            events.forEach(eventType => {
-                // Trigger a dummy compilation by preloading nearby scripts
-                this.preloadNearbyScripts(element);
+
+        /**
+         * Serialise the DOM with styles and images inlined
+         * @returns {Promise<{html: string, missing: number}>} Snapshot HTML and count of resources that couldn't be inlined
+         */
+        async capture() {
+            const live = document.documentElement;
+            const clone = live.cloneNode(true);
+            // Clone order matches the live tree, so the nth match on each side is the same element
+            const pairs = selector => {
+                const copies = clone.querySelectorAll(selector);
+                return Array.from(live.querySelectorAll(selector), (el, i) => [el, copies[i]]);
+            };
+
+            // State that lives in properties rather than attributes
+            const sheets = pairs('link[rel~="stylesheet"], style');
+            pairs('img').forEach(([img, copy]) => {
+                if (img.currentSrc) copy.setAttribute('src', img.currentSrc);
+                ['srcset', 'sizes', 'loading'].forEach(attr => copy.removeAttribute(attr));
             });
-        },
-        
-        async preloadPageScripts(url) {
-            if (this.compiledScripts.has(url)) return;
-            
-            try {
-                const urlObj = new URL(url, location.href);
-                if (urlObj.origin !== location.origin) return;
-                
-                // Prefetch the page HTML
-                const link = DOMHelper.createElement('link', {
-                    rel: 'prefetch',
-                    href: url,
-                    as: 'document'
+            pairs('canvas').forEach(([canvas, copy]) => {
+                try {
+                    const img = DOMHelper.createElement('img', {
+                        src: canvas.toDataURL(),
+                        width: canvas.width,
+                        height: canvas.height
+                    });
+                    copy.replaceWith(img);
+                } catch (e) {
+                    // Tainted canvas
+                }
+            });
+            pairs('input, textarea, select').forEach(([field, copy]) => this.captureField(field, copy));
+
+            this.stripActive(clone);
+
+            const context = { memo: new Map(), bytes: 0, missing: 0 };
+            for (const [el, copy] of sheets) {
+                await this.inlineStylesheet(el, copy, context);
+            }
+            await this.inlineImages(clone, context);
+
+            const head = clone.querySelector('head');
+            if (head) {
+                const policy = DOMHelper.createElement('meta', {
+                    'http-equiv': 'Content-Security-Policy',
+                    content: this.contentPolicy
                 });
-                DOMHelper.appendToHead(link);
-                
-                this.compiledScripts.add(url);
-                Logger.log('JIT: Prefetched page scripts for', url);
-            } catch (e) {
-                // Invalid URL
+                head.prepend(DOMHelper.createElement('base', { target: '_blank' }));
+                head.prepend(policy);
+                head.prepend(DOMHelper.createElement('meta', { charset: 'utf-8' }));
             }
+
+            return { html: `<!DOCTYPE html>\n${clone.outerHTML}`, missing: context.missing };
         },
-        
-        compileInlineScript(scriptCode) {
-            const hash = this.hashCode(scriptCode);
-            if (this.compiledScripts.has(hash)) return;
-            
-            try {
-                // Pre-compile by creating a function
-                new Function(scriptCode);
-                this.compiledScripts.add(hash);
-                Logger.log('JIT: Compiled inline script');
-            } catch (e) {
-                // Invalid script
+
+        /**
+         * Copy a form control's current value into attributes
+         * @param {HTMLElement} field - Live control
+         * @param {HTMLElement} copy - Cloned control
+         */
+        captureField(field, copy) {
+            if (field.type === 'password' || field.type === 'hidden') {
+                copy.removeAttribute('value');
+            } else if (field.tagName === 'TEXTAREA') {
+                copy.textContent = field.value;
+            } else if (field.tagName === 'SELECT') {
+                Array.from(copy.options).forEach((option, i) => {
+                    option.toggleAttribute('selected', field.options[i] && field.options[i].selected);
+                });
+            } else if (field.type === 'checkbox' || field.type === 'radio') {
+                copy.toggleAttribute('checked', field.checked);
+            } else if (field.type !== 'file') {
+                copy.setAttribute('value', field.value);
             }
         },
-        
-        preloadNearbyScripts(element) {
-            // Find script elements near this clickable
-            const scripts = document.querySelectorAll('script[src]');
-            
-            scripts.forEach(script => {
-                if (this.isNearElement(script, this.getElementCenter(element))) {
-                    this.preloadScript(script.src);
-                }
-            });
-        },
-        
-        async preloadScript(src) {
-            if (this.compiledScripts.has(src)) return;
-            
-            const link = DOMHelper.createElement('link', {
-                rel: 'prefetch',
-                href: src,
-                as: 'script'
-            });
-            DOMHelper.appendToHead(link);
-            
-            this.compiledScripts.add(src);
-            Logger.log('JIT: Preloaded script', src);
-        },
-        
-        getElementCenter(element) {
+
+        /**
+         * Remove scripts, handlers and embedded content; make links absolute
+         * @param {HTMLElement} clone - Cloned document element
+         */
+        stripActive(clone) {
+            clone.querySelectorAll(this.stripSelector).forEach(el => el.remove());
+            clone.querySelectorAll('picture > source').forEach(el => el.remove());
+
+            for (const el of clone.querySelectorAll('*')) {
+                for (const attr of Array.from(el.attributes)) {
+                    if (attr.name.startsWith('on')) el.removeAttribute(attr.name);
+                }
+                if (el.tagName === 'A' && el.hasAttribute('href')) {
+                    // Cloned elements resolve against the live document's base URL
+                    if (/^\s*javascript:/i.test(el.getAttribute('href'))) el.removeAttribute('href');
+                    else el.setAttribute('href', el.href);
+                } else if (el.tagName === 'FORM') {
+                    el.removeAttribute('action');
+                }
+            }
+        },
+
+        /**
+         * Replace a stylesheet link or style element with an inline style, url()s inlined
+         * @param {HTMLLinkElement|HTMLStyleElement} el - Live element
+         * @param {HTMLElement} copy - Cloned element
+         * @param {Object} context - Capture context
+         */
+        async inlineStylesheet(el, copy, context) {
+            if (!copy) return;
+
+            let css = null;
             try {
-                const rect = element.getBoundingClientRect();
-                return {
-                    x: rect.left + rect.width / 2,
-                    y: rect.top + rect.height / 2
-                };
+                css = el.sheet ? await this.readSheet(el.sheet, context) : null;
             } catch (e) {
-                return { x: 0, y: 0 };
+                // Cross-origin sheet: rules aren't readable, fetch the text instead
+                if (el.href) {
+                    try {
+                        const response = await ServiceWorkerCache.fetchDirect(el.href, { credentials: 'omit' });
+                        if (response.ok) css = await this.inlineCssUrls(await response.text(), el.href, context);
+                    } catch (fetchError) {
+                        // Not CORS-readable either
+                    }
+                }
             }
-        },
-        
-        hashCode(str) {
-            let hash = 0;
-            for (let i = 0; i < str.length; i++) {
-                const char = str.charCodeAt(i);
-                hash = ((hash << 5) - hash) + char;
-                hash = hash & hash;
+
+            if (css === null) {
+                context.missing++;
+                copy.remove();
+                return;
             }
-            return hash.toString();
-        }
-    };
 
-    /**
-     * Hover DNS Prefetcher
-     * DNS prefetch when hovering near links
-     * @namespace HoverDNSPrefetch
-     */
-    const HoverDNSPrefetch = {
-        prefetchedDomains: new Set(),
-        hoverThreshold: 30, // pixels
-        
-        init() {
-            if (!ConfigManager.isEnabled('hoverDNSPrefetch')) return;
-            
-            this.setupHoverPrefetch();
-            Logger.info('Hover DNS prefetch enabled');
+            const style = DOMHelper.createElement('style', { textContent: css });
+            const media = el.getAttribute('media');
+            if (media) style.setAttribute('media', media);
+            copy.replaceWith(style);
         },
-        
-        setupHoverPrefetch() {
-            let lastMousePos = { x: 0, y: 0 };
-            
-            // Track mouse position
-            document.addEventListener('mousemove', SafeScheduler.throttle((e) => {
-                lastMousePos = { x: e.clientX, y: e.clientY };
-                this.checkNearbyLinks(lastMousePos);
-            }, 100), { passive: true });
-            
-            // Also immediate prefetch on direct hover
-            document.addEventListener('mouseover', (e) => {
-                const link = e.target.closest('a[href]');
-                if (link) {
-                    this.prefetchDomain(link.href);
+
+        /**
+         * Serialise a stylesheet's rules, following @import, with url()s inlined
+         * @param {CSSStyleSheet} sheet - Stylesheet (throws if cross-origin)
+         * @param {Object} context - Capture context
+         * @returns {Promise<string>} CSS text
+         */
+        async readSheet(sheet, context) {
+            const parts = [];
+            for (const rule of Array.from(sheet.cssRules)) {
+                if (rule.styleSheet) {
+                    try {
+                        parts.push(await this.readSheet(rule.styleSheet, context));
+                    } catch (e) {
+                        context.missing++;
+                    }
+                } else {
+                    parts.push(rule.cssText);
                 }
-            }, { passive: true, capture: true });
+            }
+            return this.inlineCssUrls(parts.join('\n'), sheet.href || location.href, context);
         },
-        
-        checkNearbyLinks(mousePos) {
-            const links = document.querySelectorAll('a[href]');
-            
-            for (const link of links) {
-                if (this.isNearLink(link, mousePos)) {
-                    this.prefetchDomain(link.href);
-                }
+
+        /**
+         * Replace url() references with data URLs
+         * @param {string} css - CSS text
+         * @param {string} baseUrl - URL relative references resolve against
+         * @param {Object} context - Capture context
+         * @returns {Promise<string>} CSS text
+         */
+        async inlineCssUrls(css, baseUrl, context) {
+            const pattern = /url\(\s*(['"]?)([^'")]+)\1\s*\)/g;
+            const replacements = new Map();
+
+            for (const [, , ref] of css.matchAll(pattern)) {
+                if (replacements.has(ref) || ref.startsWith('data:') || ref.startsWith('#')) continue;
+                const url = URLCache.parse(ref, baseUrl);
+                replacements.set(ref, url ? await this.toDataUrl(url.href, context) : null);
             }
+
+            return css.replace(pattern, (match, quote, ref) => {
+                const data = replacements.get(ref);
+                return data ? `url("${data}")` : match;
+            });
         },
-        
-        isNearLink(link, mousePos) {
-            try {
-                const rect = link.getBoundingClientRect();
-                const threshold = this.hoverThreshold;
-                
-                return mousePos.x >= rect.left - threshold &&
-                       mousePos.x <= rect.right + threshold &&
-                       mousePos.y >= rect.top - threshold &&
-                       mousePos.y <= rect.bottom + threshold;
-            } catch (e) {
-                return false;
+
+        /**
+         * Inline img, poster and inline-style background images
+         * @param {HTMLElement} clone - Cloned document element
+         * @param {Object} context - Capture context
+         */
+        async inlineImages(clone, context) {
+            for (const img of clone.querySelectorAll('img[src], input[type="image"][src]')) {
+                const url = URLCache.parse(img.getAttribute('src'));
+                const data = url && await this.toDataUrl(url.href, context);
+                if (data) img.setAttribute('src', data);
+            }
+            for (const video of clone.querySelectorAll('video[poster]')) {
+                const url = URLCache.parse(video.getAttribute('poster'));
+                const data = url && await this.toDataUrl(url.href, context);
+                if (data) video.setAttribute('poster', data);
+            }
+            for (const el of clone.querySelectorAll('[style*="url("]')) {
+                el.setAttribute('style', await this.inlineCssUrls(el.getAttribute('style'), location.href, context));
             }
         },
-        
-        prefetchDomain(url) {
+
+        /**
+         * Load a resource (through CacheManager) as a data URL, within the size budget
+         * @param {string} url - Absolute URL
+         * @param {Object} context - Capture context
+         * @returns {Promise<string|null>} Data URL, or null if unavailable or over budget
+         */
+        async toDataUrl(url, context) {
+            if (url.startsWith('data:')) return url;
+            if (context.memo.has(url)) return context.memo.get(url);
+
+            let data = null;
             try {
-                const urlObj = new URL(url, location.href);
-                const domain = urlObj.hostname;
-                
-                if (this.prefetchedDomains.has(domain)) return;
-                
-                // DNS prefetch
-                const dnsPrefetch = DOMHelper.createElement('link', {
-                    rel: 'dns-prefetch',
-                    href: `//${domain}`
-                });
-                DOMHelper.appendToHead(dnsPrefetch);
-                
-                // Preconnect for same-origin
-                if (urlObj.origin === location.origin || this.isLikelyImportant(domain)) {
-                    const preconnect = DOMHelper.createElement('link', {
-                        rel: 'preconnect',
-                        href: urlObj.origin,
-                        crossorigin: 'anonymous'
+                // Object URL on success, the original URL if it couldn't be cached
+                const href = await CacheManager.fetch(url);
+                const response = await ServiceWorkerCache.fetchDirect(href);
+                const blob = response.ok ? await response.blob() : null;
+
+                if (blob && blob.size <= this.maxResourceBytes && context.bytes + blob.size <= this.maxSnapshotBytes) {
+                    context.bytes += blob.size;
+                    data = await new Promise((resolve, reject) => {
+                        const reader = new FileReader();
+                        reader.onload = () => resolve(reader.result);
+                        reader.onerror = () => reject(reader.error);
+                        reader.readAsDataURL(blob);
                     });
-                    DOMHelper.appendToHead(preconnect);
                 }
-                
-                this.prefetchedDomains.add(domain);
-                Logger.log('Hover DNS prefetch:', domain);
             } catch (e) {
-                // Invalid URL
+                Logger.debug(`Snapshot could not inline ${url}`, e);
             }
+
+            if (!data) context.missing++;
+            context.memo.set(url, data);
+            return data;
         },
-        
-        isLikelyImportant(domain) {
-            const importantDomains = ['cdn', 'api', 'static', 'assets'];
-            return importantDomains.some(keyword => domain.includes(keyword));
-        }
-    };
 
-    /**
-     * Ad and Tracker Blocker
-     * Blocks known ad and tracker domains by default
-     * @namespace AdTrackerBlocker
-     */
-    const AdTrackerBlocker = {
-        blockedDomains: new Set([
-            // Ads
-            'doubleclick.net',
-            'googleadservices.com',
-            'googlesyndication.com',
-            'adservice.google.com',
-            'ads.google.com',
-            'pagead2.googlesyndication.com',
-            'adfarm.mediaplex.com',
-            'ads.yahoo.com',
-            'advertising.com',
-            'adnxs.com',
-            'adsystem.com',
-            'amazon-adsystem.com',
-            'criteo.com',
-            'outbrain.com',
-            'taboola.com',
-            'media.net',
-            'adroll.com',
-            'serving-sys.com',
-            'adform.net',
-            'advertising.com',
-            
-            // Trackers
-            'google-analytics.com',
-            'googletagmanager.com',
-            'analytics.google.com',
-            'facebook.net',
-            'connect.facebook.net',
-            'pixel.facebook.com',
-            'analytics.facebook.com',
-            'scorecardresearch.com',
-            'quantserve.com',
-            'chartbeat.com',
-            'newrelic.com',
-            'nr-data.net',
-            'hotjar.com',
-            'mouseflow.com',
-            'crazyegg.com',
-            'mixpanel.com',
-            'segment.com',
-            'segment.io',
-            'amplitude.com',
-            'fullstory.com',
-            'logrocket.com',
-            'heap.io',
-            'heapanalytics.com'
-        ]),
-        
-        blockedCount: 0,
-        
-        init() {
-            if (!ConfigManager.isEnabled('blockAdsTrackers')) return;
-            
-            this.blockRequests();
-            this.blockScripts();
-            this.blockImages();
-            this.blockIframes();
-            
-            Logger.info('Ad & Tracker blocker enabled');
+        /**
+         * List saved pages, newest first
+         * @returns {Promise<Array<Object>>} Records
+         */
+        async list() {
+            const records = await IDBStore.getAll(this.storeName);
+            return records.sort((a, b) => b.savedAt - a.savedAt);
         },
-        
-        isBlocked(url) {
-            try {
-                const urlObj = new URL(url, location.href);
-                return Array.from(this.blockedDomains).some(domain => 
-                    urlObj.hostname.includes(domain) || urlObj.href.includes(domain)
-                );
-            } catch (e) {
-                return false;
+
+        /**
+         * Delete a saved page
+         * @param {string} id - Record id
+         */
+        async remove(id) {
+            await IDBStore.delete(this.storeName, id);
+        },
+
+        /**
+         * Build a reading-mode document from a snapshot: main content only, plain typography
+         * @param {Object} record - Snapshot record
+         * @returns {string} HTML
+         */
+        buildReader(record) {
+            const source = new DOMParser().parseFromString(record.html, 'text/html');
+            const main = source.querySelector('article, main, [role="main"]') || source.body;
+            main.querySelectorAll('nav, aside, footer, form, button, style, link, svg, [hidden], [aria-hidden="true"]')
+                .forEach(el => el.remove());
+            main.querySelectorAll('*').forEach(el => {
+                el.removeAttribute('style');
+                el.removeAttribute('class');
+            });
+
+            const reader = document.implementation.createHTMLDocument(record.title);
+            const policy = reader.createElement('meta');
+            policy.setAttribute('http-equiv', 'Content-Security-Policy');
+            policy.setAttribute('content', this.contentPolicy);
+            const base = reader.createElement('base');
+            base.setAttribute('target', '_blank');
+            const style = reader.createElement('style');
+            style.textContent = this.readerStyles;
+            reader.head.append(policy, base, style);
+
+            const heading = reader.createElement('h1');
+            heading.textContent = record.title;
+            reader.body.append(heading, reader.importNode(main, true));
+            return `<!DOCTYPE html>\n${reader.documentElement.outerHTML}`;
+        },
+
+        /**
+         * Toggle saved pages panel
+         */
+        toggle() {
+            if (this.host) {
+                this.close();
+            } else {
+                this.open();
             }
         },
-        
-        blockRequests() {
-            // Unified fetch override handling both blocking and deferring
-            // This consolidates AdTrackerBlocker and ThirdPartyOptimizer logic
-            // to prevent multiple override conflicts
-            const originalFetch = window.fetch;
-            window.fetch = (...args) => {
-                const url = args[0];
-                
-                // Priority 1: Check if should be blocked (ads/trackers)
-                if (this.isBlocked(url)) {
-                    this.blockedCount++;
-                    Logger.log('Blocked fetch:', url);
-                    return Promise.reject(new Error('Blocked by AdTrackerBlocker'));
-                }
-                
-                // Priority 2: Check if should be deferred (analytics/non-critical)
-                // Safe check: only defer if ThirdPartyOptimizer is initialized
-                if (typeof ThirdPartyOptimizer !== 'undefined' && 
-                    ThirdPartyOptimizer.shouldDefer && 
-                    ThirdPartyOptimizer.shouldDefer(url)) {
-                    return new Promise((resolve, reject) => {
-                        SafeScheduler.idle(() => {
-                            Logger.log('Deferred fetch:', url);
-                            originalFetch.apply(this, args)
-                                .then(resolve)
-                                .catch(reject);
-                        });
-                    });
-                }
-                
-                // Priority 3: Allow normal requests
-                return originalFetch.apply(this, args);
-            };
-            
-            // Block XHR requests
-            const originalOpen = XMLHttpRequest.prototype.open;
-            XMLHttpRequest.prototype.open = function(...args) {
-                const url = args[1];
-                if (AdTrackerBlocker.isBlocked(url)) {
-                    AdTrackerBlocker.blockedCount++;
-                    Logger.log('Blocked XHR:', url);
-                    throw new Error('Blocked by AdTrackerBlocker');
-                }
-                return originalOpen.apply(this, args);
-            };
+
+        /**
+         * Open saved pages panel
+         */
+        async open() {
+            if (this.host) return;
+
+            ({ host: this.host, root: this.root } = DOMHelper.createShadowHost(
+                'webperf-snapshots',
+                SettingsPanel.styles + this.styles
+            ));
+            const host = this.host;
+            this.root.appendChild(await this.renderList());
+            if (this.host === host) await DOMHelper.appendToBody(host);
         },
-        
-        blockScripts() {
-            // Use unified observer for better performance (all blocking in one handler)
-            ObserverManager.registerHandler((mutations) => {
-                for (const mutation of mutations) {
-                    for (const node of mutation.addedNodes) {
-                        if (node.tagName === 'SCRIPT' && node.src) {
-                            if (this.isBlocked(node.src)) {
-                                node.remove();
-                                this.blockedCount++;
-                                Logger.log('Blocked script:', node.src);
-                            }
-                        } else if (node.tagName === 'IMG' && node.src) {
-                            if (this.isBlocked(node.src)) {
-                                node.src = 'data:image/gif;base64,R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7';
-                                this.blockedCount++;
-                                Logger.log('Blocked image:', node.src);
-                            }
-                        } else if (node.tagName === 'IFRAME' && node.src) {
-                            if (this.isBlocked(node.src)) {
-                                node.src = 'about:blank';
-                                this.blockedCount++;
-                                Logger.log('Blocked iframe:', node.src);
-                            }
-                        }
-                    }
+
+        /**
+         * Close saved pages panel
+         */
+        close() {
+            if (this.host) {
+                this.host.remove();
+                this.host = null;
+                this.root = null;
+            }
+        },
+
+        /**
+         * Re-render the panel if open
+         */
+        async refreshList() {
+            if (!this.root) return;
+            const panel = await this.renderList();
+            const current = this.root && this.root.querySelector('.panel');
+            if (current) current.replaceWith(panel);
+        },
+
+        /**
+         * Build saved pages panel
+         * @returns {Promise<HTMLElement>} Panel element
+         */
+        async renderList() {
+            const panel = DOMHelper.createElement('div', { class: 'panel' });
+            const header = DOMHelper.createElement('header');
+            header.appendChild(DOMHelper.createElement('h1', { textContent: `Saved pages on ${location.hostname}` }));
+
+            const save = DOMHelper.createElement('button', { textContent: 'Save this page' });
+            save.addEventListener('click', async () => {
+                save.disabled = true;
+                save.textContent = 'Saving…';
+                try {
+                    await this.save();
+                } catch (e) {
+                    Logger.error('Saving page failed', e);
+                    window.alert(`WebPerf: saving page failed (${e.message})`);
                 }
+                await this.refreshList();
             });
-            
-            // Block existing elements
-            document.querySelectorAll('script[src]').forEach(script => {
-                if (this.isBlocked(script.src)) {
-                    script.remove();
-                    this.blockedCount++;
-                    Logger.log('Blocked existing script:', script.src);
-                }
+            header.appendChild(save);
+
+            const close = DOMHelper.createElement('button', { textContent: '✕', title: 'Close' });
+            close.addEventListener('click', () => this.close());
+            header.appendChild(close);
+            panel.appendChild(header);
+
+            // Snapshots live in this origin's IndexedDB, so neither the list nor the viewer reaches other sites
+            panel.appendChild(DOMHelper.createElement('div', {
+                class: 'scope',
+                textContent: 'Only pages saved on this site are listed, and Open works only while the site loads. ' +
+                    'Use Download in the viewer to keep a file you can open offline.'
+            }));
+
+            let records = [];
+            try {
+                records = await this.list();
+            } catch (e) {
+                Logger.warn('Failed to list saved pages', e);
+            }
+
+            if (records.length === 0) {
+                panel.appendChild(DOMHelper.createElement('div', {
+                    class: 'empty',
+                    textContent: `No pages saved on ${location.origin} yet.`
+                }));
+                return panel;
+            }
+
+            const table = DOMHelper.createElement('table');
+            const head = DOMHelper.createElement('tr');
+            ['Title', 'Saved', 'Size', ''].forEach(label => {
+                head.appendChild(DOMHelper.createElement('th', { textContent: label }));
             });
+            table.appendChild(head);
+
+            for (const record of records) {
+                const tr = DOMHelper.createElement('tr');
+                tr.appendChild(DOMHelper.createElement('td', { class: 'title', textContent: record.title, title: record.url }));
+                tr.appendChild(DOMHelper.createElement('td', { textContent: new Date(record.savedAt).toLocaleString() }));
+                tr.appendChild(DOMHelper.createElement('td', { textContent: `${(record.bytes / 1024).toFixed(0)} KB` }));
+
+                const actions = DOMHelper.createElement('td');
+                const open = DOMHelper.createElement('button', { textContent: 'Open' });
+                open.addEventListener('click', () => this.openViewer(record));
+                const remove = DOMHelper.createElement('button', { textContent: 'Delete' });
+                remove.addEventListener('click', async () => {
+                    await this.remove(record.id);
+                    await this.refreshList();
+                });
+                actions.append(open, remove);
+                tr.appendChild(actions);
+                table.appendChild(tr);
+            }
+            panel.appendChild(table);
+            return panel;
         },
-        
-        blockImages() {
-            // Merged into blockScripts for unified observer
+
+        /**
+         * Show a snapshot full-screen in a sandboxed frame (no scripts, no network)
+         * @param {Object} record - Snapshot record
+         */
+        async openViewer(record) {
+            this.closeViewer();
+
+            const { host, root } = DOMHelper.createShadowHost('webperf-snapshot-viewer', SettingsPanel.styles + this.styles);
+            this.viewer = host;
+
+            const viewer = DOMHelper.createElement('div', { class: 'viewer' });
+            const header = DOMHelper.createElement('header');
+            header.appendChild(DOMHelper.createElement('h1', {
+                textContent: `${record.title} (saved ${new Date(record.savedAt).toLocaleString()})`
+            }));
+
+            const frame = DOMHelper.createElement('iframe', {
+                // Links may open in a new tab; nothing else is allowed
+                sandbox: 'allow-popups allow-popups-to-escape-sandbox',
+                title: record.title
+            });
+            frame.srcdoc = record.html;
+
+            const reading = DOMHelper.createElement('button', { textContent: 'Reading mode' });
+            reading.addEventListener('click', () => {
+                const active = reading.classList.toggle('active');
+                frame.srcdoc = active ? this.buildReader(record) : record.html;
+            });
+
+            const download = DOMHelper.createElement('button', { textContent: 'Download' });
+            download.addEventListener('click', () => {
+                const name = record.title.replace(/[^\w.-]+/g, '_').slice(0, 80) || 'page';
+                MenuManager.download(`${name}.html`, record.html, 'text/html');
+            });
+
+            const close = DOMHelper.createElement('button', { textContent: '✕', title: 'Close' });
+            close.addEventListener('click', () => this.closeViewer());
+
+            header.append(reading, download, close);
+            viewer.append(header, frame);
+            root.appendChild(viewer);
+            await DOMHelper.appendToBody(host);
         },
-        
-        blockIframes() {
-            // Merged into blockScripts for unified observer
+
+        /**
+         * Close the viewer
+         */
+        closeViewer() {
+            if (this.viewer) {
+                this.viewer.remove();
+                this.viewer = null;
+            }
         },
-        
-        getBlockedCount() {
-            return this.blockedCount;
+
+        /**
+         * Close panel and viewer
+         */
+        cleanup() {
+            this.closeViewer();
+            this.close();
         }
     };
 
     /**
-     * Diagnostics panel module
-     * @namespace DiagnosticsPanel
+     * In-page settings editor
+     * Shadow-DOM isolated panel listing every config key with a global/domain scope switch
+     * @namespace SettingsPanel
      */
-    const DiagnosticsPanel = {
+    const SettingsPanel = {
         /**
-         * Panel element
-         * @type {HTMLDivElement}
+         * Host element (shadow root is closed, so keep our own reference)
+         * @type {HTMLDivElement|null}
          */
-        panel: null,
+        host: null,
 
         /**
-         * Update interval ID
-         * @type {number}
+         * Shadow root
+         * @type {ShadowRoot|null}
          */
-        updateInterval: null,
+        root: null,
 
         /**
-         * Initialize diagnostics panel
+         * Current write scope
+         * @type {'global'|'domain'}
          */
-        async init() {
-            if (!ConfigManager.isEnabled('diagnosticsPanel')) {
-                this.remove();
-                return;
+        scope: 'global',
+
+        /**
+         * Keys changed this session that need a reload to take effect
+         * @type {Set<string>}
+         */
+        pendingReload: new Set(),
+
+        /**
+         * Settings that can be applied without a reload
+         * Each receives the new effective value
+         * @type {Object<string, Function>}
+         */
+        liveAppliers: {
+            hardwareAccel: () => {
+                HardwareAccel.remove();
+                return HardwareAccel.init();
+            },
+            diagnosticsPanel: () => {
+                DiagnosticsPanel.remove();
+                return DiagnosticsPanel.init();
+            },
+            adaptiveFPS: (enabled) => enabled ? FPSManager.init() : FPSManager.restore(),
+            backgroundFps: () => FPSManager.updateFPSTarget(),
+            activeFps: () => FPSManager.updateFPSTarget(),
+            cacheSizeLimitMB: () => {
+                CacheManager.evict();
+                return CacheManager.evictDisk();
+            },
+            imageRewriter: (enabled) => enabled ? ImageOptimizer.init() : ImageOptimizer.cleanup(),
+            lazyLoadMedia: (enabled) => {
+                LazyLoader.cleanup();
+                return enabled ? LazyLoader.init() : undefined;
+            },
+            telemetry: (enabled) => {
+                Telemetry.cleanup();
+                return enabled ? Telemetry.init() : undefined;
+            },
+            customFilters: () => AdTrackerBlocker.matcher && AdTrackerBlocker.rebuild(),
+            cosmeticFiltering: () => AdTrackerBlocker.applyCosmetic(),
+            allowedDomains: () => AdTrackerBlocker.decisions.clear(),
+            telemetryHistory: (enabled) => {
+                TelemetryHistory.cleanup();
+                return enabled ? TelemetryHistory.init() : undefined;
             }
+        },
 
-            this.panel = DOMHelper.createElement('div', {
-                id: 'webperf-diag',
-                style: {
-                    position: 'fixed',
-                    bottom: '8px',
-                    right: '8px',
-                    background: 'rgba(0, 0, 0, 0.85)',
-                    color: '#0f0',
-                    padding: '8px 12px',
-                    fontSize: '11px',
-                    fontFamily: 'monospace',
-                    borderRadius: '6px',
-                    zIndex: '999999',
-                    pointerEvents: 'auto',
-                    maxWidth: '250px',
-                    lineHeight: '1.4',
-                    whiteSpace: 'pre-line'
-                }
-            });
+        /**
+         * Panel stylesheet (scoped by the shadow root)
+         * @type {string}
+         */
+        styles: `
+            :host { all: initial; }
+            .panel {
+                position: fixed; top: 16px; right: 16px; z-index: 2147483647;
+                width: 360px; max-height: calc(100vh - 32px); overflow: auto;
+                background: #111; color: #ddd; border: 1px solid #333; border-radius: 8px;
+                font: 12px/1.4 monospace; box-shadow: 0 4px 24px rgba(0, 0, 0, 0.5);
+            }
+            header {
+                position: sticky; top: 0; background: #111; padding: 10px 12px;
+                border-bottom: 1px solid #333; display: flex; gap: 8px; align-items: center;
+            }
+            header h1 { flex: 1; margin: 0; font-size: 13px; color: #0f0; }
+            .row { display: flex; align-items: center; gap: 8px; padding: 4px 12px; }
+            .row:hover { background: #1a1a1a; }
+            .row label { flex: 1; overflow: hidden; text-overflow: ellipsis; }
+            .row.overridden label { color: #fc0; }
+            input[type="number"], input[type="text"], select, textarea {
+                background: #222; color: #ddd; border: 1px solid #444; border-radius: 3px;
+                font: inherit; width: 120px;
+            }
+            textarea { height: 3.5em; resize: vertical; }
+            button {
+                background: #222; color: #ddd; border: 1px solid #444; border-radius: 3px;
+                font: inherit; cursor: pointer;
+            }
+            button.active { background: #0a0; color: #000; }
+            .notice { padding: 8px 12px; color: #fc0; border-top: 1px solid #333; }
+            .status { padding: 6px 12px; color: #888; border-bottom: 1px solid #333; }
+        `,
 
-            await DOMHelper.appendToBody(this.panel);
+        /**
+         * Toggle panel visibility
+         */
+        toggle() {
+            if (this.host) {
+                this.close();
+            } else {
+                this.open();
+            }
+        },
 
-            // Use requestAnimationFrame for efficient updates instead of setInterval
-            this.scheduleUpdate();
+        /**
+         * Open panel
+         */
+        async open() {
+            if (this.host) return;
+
+            ({ host: this.host, root: this.root } = DOMHelper.createShadowHost('webperf-settings', this.styles));
+            this.render();
+
+            await DOMHelper.appendToBody(this.host);
         },
 
         /**
-         * Schedule next update using requestAnimationFrame
+         * Close panel
          */
-        scheduleUpdate() {
-            if (!this.panel) return;
-            
-            this.update();
-            // Update at 1fps instead of constant polling
-            setTimeout(() => {
-                if (this.panel) {
-                    requestAnimationFrame(() => this.scheduleUpdate());
-                }
-            }, 1000);
+        close() {
+            if (this.host) {
+                this.host.remove();
+                this.host = null;
+                this.root = null;
+            }
         },
 
         /**
-         * Update panel content (optimized with textContent)
+         * (Re)build panel contents
          */
-        update() {
-            if (!this.panel) return;
+        render() {
+            if (!this.root) return;
 
-            const cacheStats = CacheManager.getStats();
-            const metrics = Telemetry.getAll();
-            const blockedCount = AdTrackerBlocker.getBlockedCount ? AdTrackerBlocker.getBlockedCount() : 0;
+            const old = this.root.querySelector('.panel');
+            if (old) old.remove();
 
-            // Use textContent instead of innerHTML for better performance (no parsing)
-            this.panel.textContent = `WebPerf v6.4 ULTRA
-FPS: ${FPSManager.fpsTarget}
-Cache: ${cacheStats.hits}/${cacheStats.hits + cacheStats.misses} hits (${cacheStats.mb} MB)
-Images: ${metrics.rewrittenImages}
-Scripts: ${metrics.deferredScripts} deferred
-Blocked: ${blockedCount} ads/trackers
-Observers: ${metrics.observerCount}
-Uptime: ${Telemetry.getUptime()}s`;
+            const panel = DOMHelper.createElement('div', { class: 'panel' });
+            panel.appendChild(this.renderHeader());
+
+            const status = ConfigManager.explain();
+            panel.appendChild(DOMHelper.createElement('div', {
+                class: 'status',
+                textContent: `${status.enabled ? 'Active' : 'Disabled'} on this page: ${status.message}`
+            }));
+
+            const overrides = ConfigManager.getDomainOverrides();
+            for (const key of Object.keys(ConfigManager.defaults)) {
+                panel.appendChild(this.renderRow(key, overrides));
+            }
+
+            if (this.pendingReload.size > 0) {
+                const notice = DOMHelper.createElement('div', {
+                    class: 'notice',
+                    textContent: `Reload to apply: ${[...this.pendingReload].join(', ')} `
+                });
+                const reload = DOMHelper.createElement('button', { textContent: 'Reload' });
+                reload.addEventListener('click', () => location.reload());
+                notice.appendChild(reload);
+                panel.appendChild(notice);
+            }
+
+            this.root.appendChild(panel);
         },
 
         /**
-         * Remove panel
+         * Build header with scope switch
+         * @returns {HTMLElement} Header element
          */
-        remove() {
-            if (this.panel) {
-                this.panel.remove();
-                this.panel = null;
+        renderHeader() {
+            const header = DOMHelper.createElement('header');
+            header.appendChild(DOMHelper.createElement('h1', { textContent: 'WebPerf settings' }));
+
+            const scopes = [
+                ['global', 'Global'],
+                ['domain', ConfigManager.getCurrentDomain() || 'This domain']
+            ];
+            for (const [scope, label] of scopes) {
+                const button = DOMHelper.createElement('button', {
+                    textContent: label,
+                    title: scope === 'global' ? 'Edit settings for all sites' : 'Edit overrides for this domain'
+                });
+                if (this.scope === scope) button.classList.add('active');
+                button.addEventListener('click', () => {
+                    this.scope = scope;
+                    this.render();
+                });
+                header.appendChild(button);
+            }
+
+            const close = DOMHelper.createElement('button', { textContent: '✕', title: 'Close' });
+            close.addEventListener('click', () => this.close());
+            header.appendChild(close);
+
+            return header;
+        },
+
+        /**
+         * Build row for one setting
+         * @param {string} key - Config key
+         * @param {Object} overrides - Current domain overrides
+         * @returns {HTMLElement} Row element
+         */
+        renderRow(key, overrides) {
+            const isOverridden = key in overrides;
+            const value = this.scope === 'domain' && isOverridden
+                ? overrides[key]
+                : ConfigManager.globalConfig[key];
+
+            const row = DOMHelper.createElement('div', { class: 'row' });
+            if (this.scope === 'domain' && isOverridden) row.classList.add('overridden');
+
+            const id = `webperf-setting-${key}`;
+            row.appendChild(DOMHelper.createElement('label', { for: id, textContent: key, title: key }));
+
+            const control = this.createControl(key, value);
+            control.id = id;
+            row.appendChild(control);
+
+            if (this.scope === 'domain' && isOverridden) {
+                const reset = DOMHelper.createElement('button', {
+                    textContent: '↺',
+                    title: 'Use global value on this domain'
+                });
+                reset.addEventListener('click', async () => {
+                    await this.commit(key, () => ConfigManager.clearDomainValue(key));
+                });
+                row.appendChild(reset);
+            }
+
+            return row;
+        },
+
+        /**
+         * Create a type-appropriate input for a setting
+         * @param {string} key - Config key
+         * @param {any} value - Current value
+         * @returns {HTMLElement} Input element
+         */
+        createControl(key, value) {
+            const defaultValue = ConfigManager.defaults[key];
+            const rule = ConfigManager.constraints[key] || {};
+            let control;
+            let read;
+
+            if (typeof defaultValue === 'boolean') {
+                control = DOMHelper.createElement('input', { type: 'checkbox' });
+                control.checked = Boolean(value);
+                read = () => control.checked;
+            } else if (typeof defaultValue === 'number') {
+                control = DOMHelper.createElement('input', { type: 'number' });
+                if (rule.min !== undefined) control.min = String(rule.min);
+                if (rule.max !== undefined) control.max = String(rule.max);
+                if (rule.integer) control.step = '1';
+                control.value = String(value);
+                read = () => Number(control.value);
+            } else if (Array.isArray(defaultValue)) {
+                control = DOMHelper.createElement('textarea', { placeholder: 'one per line' });
+                control.value = (value || []).join('\n');
+                // Filter rules contain commas, so multiline lists split on newlines only
+                const separator = rule.multiline ? /\n/ : /[\n,]/;
+                read = () => control.value.split(separator).map(item => item.trim()).filter(Boolean);
+            } else if (rule.choices) {
+                control = DOMHelper.createElement('select');
+                rule.choices.forEach(choice => {
+                    control.appendChild(DOMHelper.createElement('option', { value: choice, textContent: choice }));
+                });
+                control.value = value;
+                read = () => control.value;
+            } else {
+                control = DOMHelper.createElement('input', { type: 'text' });
+                control.value = value == null ? '' : String(value);
+                read = () => control.value;
+            }
+
+            control.addEventListener('change', async () => {
+                const next = read();
+                if (!ConfigManager.isValidValue(key, next)) {
+                    control.setCustomValidity('Invalid value');
+                    control.reportValidity();
+                    return;
+                }
+                control.setCustomValidity('');
+                await this.commit(key, () => ConfigManager.setValue(key, next, this.scope));
+            });
+
+            return control;
+        },
+
+        /**
+         * Write a change, then apply it live or queue a reload notice
+         * @param {string} key - Config key
+         * @param {Function} write - Performs the ConfigManager write
+         */
+        async commit(key, write) {
+            const before = ConfigManager.get(key);
+            await write();
+            const after = ConfigManager.get(key);
+
+            if (JSON.stringify(before) !== JSON.stringify(after)) {
+                const apply = this.liveAppliers[key];
+                if (apply) {
+                    try {
+                        await apply(after);
+                        Logger.info(`${key} applied live`);
+                    } catch (e) {
+                        Logger.warn(`Failed to apply ${key} live`, e);
+                        this.pendingReload.add(key);
+                    }
+                } else {
+                    this.pendingReload.add(key);
+                }
             }
+
+            this.render();
         }
     };
 
@@ -2987,7 +11361,8 @@ Uptime: ${Telemetry.getUptime()}s`;
             }
 
             try {
-                this.registerToggleCommands();
+                this.registerSettingsCommand();
+                this.registerFilterCommands();
                 this.registerDomainCommands();
             } catch (e) {
                 Logger.warn('Failed to register menu commands', e);
@@ -2995,31 +11370,172 @@ Uptime: ${Telemetry.getUptime()}s`;
         },
 
         /**
-         * Register toggle commands for features
+         * Register settings panel command
          */
-        registerToggleCommands() {
-            const features = [
-                'imageRewriter', 'smartCache', 'adaptiveFPS', 'parallelPrefetch',
-                'diagnosticsPanel', 'lazyLoadMedia', 'hardwareAccel', 'dnsPrefetch',
-                'preconnect', 'preloadCritical', 'fontOptimization', 'aggressiveDefer',
-                'reduceReflows', 'telemetry', 'extremeMode', 'speculativePrefetch',
-                'priorityHints', 'blockThirdParty', 'inlineCriticalCSS', 
-                'jitScriptCompile', 'hoverDNSPrefetch', 'blockAdsTrackers'
-            ];
+        registerSettingsCommand() {
+            try {
+                const cmd = GM_registerMenuCommand('⚙️ Settings', () => SettingsPanel.toggle());
+                this.commands.push(cmd);
+
+                const exportCmd = GM_registerMenuCommand('📤 Export settings', () => this.exportSettings());
+                this.commands.push(exportCmd);
+
+                const importCmd = GM_registerMenuCommand('📥 Import settings', () => this.importSettings());
+                this.commands.push(importCmd);
+
+                const workerCmd = GM_registerMenuCommand('⬇️ Download service worker', () => this.downloadServiceWorker());
+                this.commands.push(workerCmd);
+
+                const experimentCmd = GM_registerMenuCommand('🧪 Experiment report', () => Experiment.toggleReport());
+                this.commands.push(experimentCmd);
+
+                const historyCmd = GM_registerMenuCommand('📈 Performance history', () => TelemetryHistory.toggleReport());
+                this.commands.push(historyCmd);
+
+                const requestsCmd = GM_registerMenuCommand('🛡️ Request log', () => RequestInspector.toggle());
+                this.commands.push(requestsCmd);
+
+                const bfcacheCmd = GM_registerMenuCommand('⏪ Back/forward cache', () => InstantNavigation.toggleReport());
+                this.commands.push(bfcacheCmd);
+
+                const saveCmd = GM_registerMenuCommand('💾 Save page for offline', () => this.savePage());
+                this.commands.push(saveCmd);
+
+                const savedCmd = GM_registerMenuCommand('📄 Saved pages (this site)', () => OfflineSnapshots.toggle());
+                this.commands.push(savedCmd);
+            } catch (e) {
+                Logger.debug('Failed to register settings command', e);
+            }
+        },
+
+        /**
+         * Download global settings and domain overrides as a JSON file
+         */
+        exportSettings() {
+            const data = JSON.stringify(ConfigManager.exportSettings(), null, 2);
+            const date = new Date().toISOString().slice(0, 10);
+            this.download(`webperf-settings-${date}.json`, data, 'application/json');
+        },
+
+        /**
+         * Download the generated Service Worker script
+         */
+        downloadServiceWorker() {
+            this.download('webperf-sw.js', ServiceWorkerCache.buildWorkerScript(), 'text/javascript');
+        },
+
+        /**
+         * Save the current page for offline reading and show the saved list
+         */
+        async savePage() {
+            try {
+                await OfflineSnapshots.save();
+                if (OfflineSnapshots.host) {
+                    await OfflineSnapshots.refreshList();
+                } else {
+                    await OfflineSnapshots.open();
+                }
+            } catch (e) {
+                Logger.error('Saving page failed', e);
+                window.alert(`WebPerf: saving page failed (${e.message})`);
+            }
+        },
+
+        /**
+         * Save text as a file via a temporary download link
+         * @param {string} filename - Suggested file name
+         * @param {string} content - File contents
+         * @param {string} type - MIME type
+         */
+        download(filename, content, type) {
+            const url = URL.createObjectURL(new Blob([content], { type }));
+            const link = DOMHelper.createElement('a', {
+                href: url,
+                download: filename
+            });
+
+            document.documentElement.appendChild(link);
+            link.click();
+            link.remove();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+        },
+
+        /**
+         * Pick a settings file and import it, replacing current settings
+         */
+        importSettings() {
+            const input = DOMHelper.createElement('input', {
+                type: 'file',
+                accept: 'application/json,.json'
+            });
+
+            input.addEventListener('change', async () => {
+                const file = input.files && input.files[0];
+                if (!file) return;
 
-            features.forEach(feature => {
-                const enabled = ConfigManager.isEnabled(feature);
-                const label = `${enabled ? '✓' : '✗'} ${feature}`;
-                
                 try {
-                    const cmd = GM_registerMenuCommand(label, async () => {
-                        await this.toggleFeature(feature);
-                    });
-                    this.commands.push(cmd);
+                    await ConfigManager.importSettings(JSON.parse(await file.text()));
+                    Logger.info('Settings imported');
+                    location.reload();
                 } catch (e) {
-                    Logger.debug(`Failed to register ${feature}`, e);
+                    Logger.error('Settings import failed', e);
+                    window.alert(`WebPerf: settings import failed (${e.message})`);
                 }
+            }, { once: true });
+
+            input.click();
+        },
+
+        /**
+         * Register filter list commands
+         */
+        registerFilterCommands() {
+            try {
+                const importCmd = GM_registerMenuCommand('📋 Import filter list', () => this.importFilterList());
+                this.commands.push(importCmd);
+
+                const removeCmd = GM_registerMenuCommand('🧹 Remove imported filter lists', async () => {
+                    await AdTrackerBlocker.loadLists();
+                    const names = Object.keys(AdTrackerBlocker.lists);
+                    if (names.length === 0) {
+                        window.alert('WebPerf: no imported filter lists');
+                        return;
+                    }
+                    if (window.confirm(`WebPerf: remove ${names.join(', ')}?`)) {
+                        await AdTrackerBlocker.removeLists();
+                        Logger.info('Imported filter lists removed');
+                    }
+                });
+                this.commands.push(removeCmd);
+            } catch (e) {
+                Logger.debug('Failed to register filter commands', e);
+            }
+        },
+
+        /**
+         * Pick an Adblock Plus / EasyList file and store it as a filter list
+         */
+        importFilterList() {
+            const input = DOMHelper.createElement('input', {
+                type: 'file',
+                accept: 'text/plain,.txt'
             });
+
+            input.addEventListener('change', async () => {
+                const file = input.files && input.files[0];
+                if (!file) return;
+
+                try {
+                    const rules = await AdTrackerBlocker.importList(file.name, await file.text());
+                    Logger.info(`Filter list ${file.name} imported (${rules} rules)`);
+                    window.alert(`WebPerf: imported ${rules} rules from ${file.name}`);
+                } catch (e) {
+                    Logger.error('Filter list import failed', e);
+                    window.alert(`WebPerf: filter list import failed (${e.message})`);
+                }
+            }, { once: true });
+
+            input.click();
         },
 
         /**
@@ -3029,7 +11545,7 @@ Uptime: ${Telemetry.getUptime()}s`;
             const domain = ConfigManager.getCurrentDomain();
             
             try {
-                const cmd1 = GM_registerMenuCommand('⚙️ Disable on this domain', async () => {
+                const cmd1 = GM_registerMenuCommand('🚫 Disable on this domain', async () => {
                     const blacklist = ConfigManager.get('blacklist');
                     blacklist.push(domain);
                     await ConfigManager.updateConfig({ blacklist });
@@ -3038,24 +11554,14 @@ Uptime: ${Telemetry.getUptime()}s`;
                 this.commands.push(cmd1);
 
                 const cmd2 = GM_registerMenuCommand('🗑️ Clear cache', async () => {
-                    CacheManager.clear();
+                    await CacheManager.clear();
+                    await ServiceWorkerCache.clear();
                     Logger.info('Cache cleared');
                 });
                 this.commands.push(cmd2);
             } catch (e) {
                 Logger.debug('Failed to register domain commands', e);
             }
-        },
-
-        /**
-         * Toggle feature
-         * @param {string} feature - Feature name
-         */
-        async toggleFeature(feature) {
-            const newValue = !ConfigManager.isEnabled(feature);
-            await ConfigManager.updateConfig({ [feature]: newValue });
-            Logger.info(`${feature}: ${newValue ? 'ON' : 'OFF'}`);
-            location.reload();
         }
     };
 
@@ -3082,12 +11588,21 @@ Uptime: ${Telemetry.getUptime()}s`;
 
                 // Phase 1: Configuration
                 await ConfigManager.init();
+                Experiment.init();
 
                 // Phase 2: Core systems
                 CacheManager.init();
+                NetworkBudget.init();
                 Telemetry.init();
+                TelemetryHistory.init();
+                PrefetchEffectiveness.init();
                 ObserverManager.observers = new Set();
 
+                // Blocking and element hiding must be in place before the page's own requests and markup
+                await AdTrackerBlocker.init();
+                InstantNavigation.monitor();
+                CriticalCSS.apply();
+
                 // Phase 3: Wait for DOM ready
                 await this.waitForDOM();
 
@@ -3149,9 +11664,9 @@ Uptime: ${Telemetry.getUptime()}s`;
             // JIT and hover optimizations
             JITScriptCompiler.init();
             HoverDNSPrefetch.init();
-            AdTrackerBlocker.init();
             
-            // Speculative loading
+            // Speculative loading (prefetchers rank candidates with the predictor's history)
+            await NavigationPredictor.init();
             SpeculativePrefetch.init();
             InstantNavigation.init();
 
@@ -3195,7 +11710,17 @@ Uptime: ${Telemetry.getUptime()}s`;
             ImageOptimizer.cleanup();
             LazyLoader.cleanup();
             Telemetry.cleanup();
+            Experiment.cleanup();
+            TelemetryHistory.cleanup();
+            PrefetchEffectiveness.cleanup();
+            NavigationPredictor.cleanup();
+            CriticalCSS.cleanup();
+            AdTrackerBlocker.cleanup();
+            RequestInspector.close();
+            InstantNavigation.close();
+            OfflineSnapshots.cleanup();
             DiagnosticsPanel.remove();
+            SettingsPanel.close();
             FPSManager.restore();
             
             // Cleanup cache manager intervals
@@ -3216,6 +11741,8 @@ Uptime: ${Telemetry.getUptime()}s`;
         config: ConfigManager,
         cache: CacheManager,
         telemetry: Telemetry,
+        prefetchStats: (domain) => PrefetchEffectiveness.getStats(domain),
+        explain: (href) => ConfigManager.explain(href),
         cleanup: () => WebPerf.cleanup()
     };
 })();